@@ -0,0 +1,4 @@
+module.exports = {
+    name: 'help',
+    description: 'Show help information'
+};
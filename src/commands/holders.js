@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'holders',
+    description: 'Get token holder info',
+    options: [{
+        name: 'address',
+        description: 'Token address to check',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
@@ -0,0 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+
+// Slash command definitions, one module per command in this directory.
+// CommandSync diffs them against what Discord has registered.
+function loadCommands() {
+    return fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort()
+        .map(file => require(path.join(__dirname, file)));
+}
+
+module.exports = { loadCommands };
@@ -0,0 +1,43 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'keywordmonitor',
+    description: 'Watch search terms across Twitter',
+    options: [
+        {
+            name: 'add',
+            description: 'Add a keyword search rule',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [
+                {
+                    name: 'query',
+                    description: 'Search query, e.g. "$TICKER", "pump.fun" or a contract prefix',
+                    type: ApplicationCommandOptionType.String,
+                    required: true
+                },
+                {
+                    name: 'label',
+                    description: 'Optional name shown on matched tweets',
+                    type: ApplicationCommandOptionType.String,
+                    required: false
+                }
+            ]
+        },
+        {
+            name: 'list',
+            description: 'List keyword search rules',
+            type: ApplicationCommandOptionType.Subcommand
+        },
+        {
+            name: 'remove',
+            description: 'Remove a keyword search rule',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                name: 'id',
+                description: 'Rule ID from /keywordmonitor list',
+                type: ApplicationCommandOptionType.Integer,
+                required: true
+            }]
+        }
+    ]
+};
@@ -0,0 +1,26 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+const CallTracker = require('../core/CallTracker');
+
+module.exports = {
+    name: 'leaderboard',
+    description: 'Rank this server\'s monitored accounts by how their contract calls performed',
+    options: [
+        {
+            name: 'period',
+            description: 'Only count calls made within this window',
+            type: ApplicationCommandOptionType.String,
+            required: false,
+            choices: CallTracker.PERIODS.map(period => ({ name: period, value: period }))
+        },
+        {
+            name: 'sort',
+            description: 'Rank by median or best multiple since call',
+            type: ApplicationCommandOptionType.String,
+            required: false,
+            choices: [
+                { name: 'Median multiple', value: 'median' },
+                { name: 'Max multiple', value: 'max' }
+            ]
+        }
+    ]
+};
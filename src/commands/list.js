@@ -0,0 +1,4 @@
+module.exports = {
+    name: 'list',
+    description: 'List accounts and wallets monitored in this server'
+};
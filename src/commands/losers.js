@@ -0,0 +1,17 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'losers',
+    description: 'Get top losers',
+    options: [{
+        name: 'timeframe',
+        description: 'Timeframe for losers data',
+        type: ApplicationCommandOptionType.String,
+        required: true,
+        choices: [
+            { name: '1h', value: '1h' },
+            { name: '6h', value: '6h' },
+            { name: '24h', value: '24h' }
+        ]
+    }]
+};
@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'metrics',
+    description: 'Get token metrics',
+    options: [{
+        name: 'address',
+        description: 'Token address to check',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'monitor',
+    description: 'Monitor a Twitter account for tweets',
+    options: [{
+        name: 'twitter_id',
+        description: 'Twitter username to monitor',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
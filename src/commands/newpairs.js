@@ -0,0 +1,51 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+const SOURCE_CHOICES = [
+    { name: 'Raydium', value: 'raydium' },
+    { name: 'Meteora', value: 'meteora' },
+    { name: 'pump.fun graduations', value: 'pumpfun' }
+];
+
+module.exports = {
+    name: 'newpairs',
+    description: 'Get new trading pairs',
+    options: [
+        {
+            name: 'hours',
+            description: 'How far back to look for new pairs (default 24)',
+            type: ApplicationCommandOptionType.Integer,
+            required: false,
+            min_value: 1,
+            max_value: 72
+        },
+        {
+            name: 'min_liquidity',
+            description: 'Minimum liquidity in USD',
+            type: ApplicationCommandOptionType.Number,
+            required: false,
+            min_value: 0
+        },
+        {
+            name: 'min_mcap',
+            description: 'Minimum market cap in USD',
+            type: ApplicationCommandOptionType.Number,
+            required: false,
+            min_value: 0
+        },
+        {
+            name: 'source',
+            description: 'Only pairs from this DEX',
+            type: ApplicationCommandOptionType.String,
+            required: false,
+            choices: SOURCE_CHOICES
+        },
+        {
+            name: 'page',
+            description: 'Page of results (default 1)',
+            type: ApplicationCommandOptionType.Integer,
+            required: false,
+            min_value: 1,
+            max_value: 20
+        }
+    ]
+};
@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'security',
+    description: 'Get token security info',
+    options: [{
+        name: 'address',
+        description: 'Token address to check',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
@@ -0,0 +1,15 @@
+const { ApplicationCommandOptionType, ChannelType, PermissionFlagsBits } = require('discord.js');
+const GuildRepository = require('../database/GuildRepository');
+
+module.exports = {
+    name: 'setup',
+    description: 'Choose where this server receives notifications',
+    default_member_permissions: PermissionFlagsBits.ManageGuild.toString(),
+    options: GuildRepository.CHANNEL_KINDS.map(kind => ({
+        name: `${kind}_channel`,
+        description: `Channel for ${kind} notifications`,
+        type: ApplicationCommandOptionType.Channel,
+        channel_types: [ChannelType.GuildText, ChannelType.GuildAnnouncement],
+        required: false
+    }))
+};
@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'smsalert',
+    description: 'Subscribe to SMS alerts',
+    options: [{
+        name: 'phone',
+        description: 'Phone number (E.164 format)',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
@@ -0,0 +1,14 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'smsverify',
+    description: 'Confirm your phone number with the code sent by /smsalert',
+    options: [{
+        name: 'code',
+        description: '6-digit verification code',
+        type: ApplicationCommandOptionType.String,
+        required: true,
+        min_length: 6,
+        max_length: 6
+    }]
+};
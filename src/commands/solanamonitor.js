@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'solanamonitor',
+    description: 'Monitor a Twitter account for Solana addresses',
+    options: [{
+        name: 'twitter_id',
+        description: 'Twitter username to monitor for Solana addresses',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
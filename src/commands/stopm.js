@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'stopm',
+    description: 'Stop monitoring a Twitter account',
+    options: [{
+        name: 'twitter_id',
+        description: 'Twitter username to stop monitoring',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    name: 'stopsms',
+    description: 'Unsubscribe from SMS alerts'
+};
@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'stopwallet',
+    description: 'Stop tracking a Solana wallet',
+    options: [{
+        name: 'wallet',
+        description: 'Wallet address or name to stop tracking',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
@@ -0,0 +1,173 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+const EVENT_CHOICES = [
+    { name: 'Tweets', value: 'tweet' },
+    { name: 'VIP tweets', value: 'vip_tweet' },
+    { name: 'Contract calls', value: 'contract_call' },
+    { name: 'Wallet swaps', value: 'wallet_swap' },
+    { name: 'Wallet transfers', value: 'wallet_transfer' },
+    { name: 'Cluster buys', value: 'wallet_convergence' },
+    { name: 'New pairs', value: 'new_pair' },
+    { name: 'Token watches (your own)', value: 'token_watch' }
+];
+
+module.exports = {
+    name: 'subscriptions',
+    description: 'Choose which alerts you receive by SMS',
+    options: [
+        {
+            name: 'view',
+            description: 'Show your alert subscriptions',
+            type: ApplicationCommandOptionType.Subcommand
+        },
+        {
+            name: 'events',
+            description: 'Turn an alert type on or off',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [
+                {
+                    name: 'type',
+                    description: 'Alert type',
+                    type: ApplicationCommandOptionType.String,
+                    required: true,
+                    choices: EVENT_CHOICES
+                },
+                {
+                    name: 'enabled',
+                    description: 'Receive this alert type',
+                    type: ApplicationCommandOptionType.Boolean,
+                    required: true
+                }
+            ]
+        },
+        {
+            name: 'thresholds',
+            description: 'Set minimum values; 0 clears a threshold',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [
+                {
+                    name: 'min_usd',
+                    description: 'Minimum USD value of wallet activity',
+                    type: ApplicationCommandOptionType.Number,
+                    required: false,
+                    min_value: 0
+                },
+                {
+                    name: 'min_mcap',
+                    description: 'Minimum market cap of called tokens',
+                    type: ApplicationCommandOptionType.Number,
+                    required: false,
+                    min_value: 0
+                },
+                {
+                    name: 'min_liquidity',
+                    description: 'Minimum liquidity of called tokens',
+                    type: ApplicationCommandOptionType.Number,
+                    required: false,
+                    min_value: 0
+                }
+            ]
+        },
+        {
+            name: 'account',
+            description: 'Limit tweet alerts to specific monitored accounts',
+            type: ApplicationCommandOptionType.SubcommandGroup,
+            options: [
+                {
+                    name: 'add',
+                    description: 'Only alert on tweets from this account (and any others added)',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [{
+                        name: 'username',
+                        description: 'Monitored Twitter username',
+                        type: ApplicationCommandOptionType.String,
+                        required: true
+                    }]
+                },
+                {
+                    name: 'remove',
+                    description: 'Remove an account from your filter',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [{
+                        name: 'username',
+                        description: 'Twitter username',
+                        type: ApplicationCommandOptionType.String,
+                        required: true
+                    }]
+                }
+            ]
+        },
+        {
+            name: 'wallet',
+            description: 'Choose which tracked wallets alert you',
+            type: ApplicationCommandOptionType.SubcommandGroup,
+            options: [
+                {
+                    name: 'add',
+                    description: 'Alert on this tracked wallet',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [{
+                        name: 'address',
+                        description: 'Tracked wallet address',
+                        type: ApplicationCommandOptionType.String,
+                        required: true
+                    }]
+                },
+                {
+                    name: 'remove',
+                    description: 'Stop alerting on this wallet',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [{
+                        name: 'address',
+                        description: 'Wallet address',
+                        type: ApplicationCommandOptionType.String,
+                        required: true
+                    }]
+                }
+            ]
+        },
+        {
+            name: 'delivery',
+            description: 'Set quiet hours and a per-hour SMS cap; held alerts arrive as one digest',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [
+                {
+                    name: 'quiet_start',
+                    description: 'Quiet hours start, HH:MM (24h), or "off"',
+                    type: ApplicationCommandOptionType.String,
+                    required: false
+                },
+                {
+                    name: 'quiet_end',
+                    description: 'Quiet hours end, HH:MM (24h)',
+                    type: ApplicationCommandOptionType.String,
+                    required: false
+                },
+                {
+                    name: 'timezone',
+                    description: 'IANA timezone, e.g. Europe/Berlin or America/New_York',
+                    type: ApplicationCommandOptionType.String,
+                    required: false
+                },
+                {
+                    name: 'max_per_hour',
+                    description: 'Most texts per hour before alerts are batched (0 = no cap)',
+                    type: ApplicationCommandOptionType.Integer,
+                    required: false,
+                    min_value: 0
+                },
+                {
+                    name: 'vip_breakthrough',
+                    description: 'Let VIP tweets through during quiet hours and over the cap',
+                    type: ApplicationCommandOptionType.Boolean,
+                    required: false
+                }
+            ]
+        },
+        {
+            name: 'reset',
+            description: 'Go back to the default subscriptions',
+            type: ApplicationCommandOptionType.Subcommand
+        }
+    ]
+};
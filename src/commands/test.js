@@ -0,0 +1,4 @@
+module.exports = {
+    name: 'test',
+    description: 'Test notifications'
+};
@@ -0,0 +1,27 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'trackwallet',
+    description: 'Track a Solana wallet',
+    options: [
+        {
+            name: 'wallet',
+            description: 'Solana wallet address to track',
+            type: ApplicationCommandOptionType.String,
+            required: true
+        },
+        {
+            name: 'name',
+            description: 'Name shown in alerts (renames the wallet if already tracked)',
+            type: ApplicationCommandOptionType.String,
+            required: false,
+            max_length: 32
+        },
+        {
+            name: 'tags',
+            description: 'Comma-separated tags, e.g. smart money, dev, kol (replaces existing tags)',
+            type: ApplicationCommandOptionType.String,
+            required: false
+        }
+    ]
+};
@@ -0,0 +1,12 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'vipmonitor',
+    description: 'Monitor a VIP Twitter account',
+    options: [{
+        name: 'twitter_id',
+        description: 'Twitter username to monitor as VIP',
+        type: ApplicationCommandOptionType.String,
+        required: true
+    }]
+};
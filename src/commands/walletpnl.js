@@ -0,0 +1,22 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+const WalletPnLTracker = require('../core/WalletPnLTracker');
+
+module.exports = {
+    name: 'walletpnl',
+    description: 'Show a tracked wallet\'s positions, win rate and PnL',
+    options: [
+        {
+            name: 'wallet',
+            description: 'Wallet name or address tracked in this server',
+            type: ApplicationCommandOptionType.String,
+            required: true
+        },
+        {
+            name: 'period',
+            description: 'Window for realized PnL and win rate',
+            type: ApplicationCommandOptionType.String,
+            required: false,
+            choices: WalletPnLTracker.PERIODS.map(period => ({ name: period, value: period }))
+        }
+    ]
+};
@@ -0,0 +1,79 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+module.exports = {
+    name: 'wallets',
+    description: 'List, tag, import and export the wallets tracked in this server',
+    options: [
+        {
+            name: 'list',
+            description: 'List wallets and the Helius sync status',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                name: 'tag',
+                description: 'Only wallets in this tag group',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            }]
+        },
+        {
+            name: 'tag',
+            description: 'Add tags to a wallet',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [
+                {
+                    name: 'wallet',
+                    description: 'Wallet address or name',
+                    type: ApplicationCommandOptionType.String,
+                    required: true
+                },
+                {
+                    name: 'tags',
+                    description: 'Comma-separated tags, e.g. smart money, dev, kol, insider',
+                    type: ApplicationCommandOptionType.String,
+                    required: true
+                }
+            ]
+        },
+        {
+            name: 'untag',
+            description: 'Remove a tag from a wallet',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [
+                {
+                    name: 'wallet',
+                    description: 'Wallet address or name',
+                    type: ApplicationCommandOptionType.String,
+                    required: true
+                },
+                {
+                    name: 'tag',
+                    description: 'Tag to remove',
+                    type: ApplicationCommandOptionType.String,
+                    required: true
+                }
+            ]
+        },
+        {
+            name: 'export',
+            description: 'Download this server\'s wallets as wallets.json',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                name: 'tag',
+                description: 'Only wallets in this tag group',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            }]
+        },
+        {
+            name: 'import',
+            description: 'Add or update wallets from a wallets.json file',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                name: 'file',
+                description: 'JSON file in the wallets.json format',
+                type: ApplicationCommandOptionType.Attachment,
+                required: true
+            }]
+        }
+    ]
+};
@@ -0,0 +1,83 @@
+const { ApplicationCommandOptionType, ChannelType } = require('discord.js');
+
+const CONDITION_CHOICES = [
+    { name: 'Price above (USD)', value: 'price_above' },
+    { name: 'Price below (USD)', value: 'price_below' },
+    { name: 'Percent change over a window (negative for drops)', value: 'change' },
+    { name: 'Market cap above (USD)', value: 'mcap_above' },
+    { name: 'Market cap below (USD)', value: 'mcap_below' },
+    { name: 'Liquidity drops by percent', value: 'liquidity_drop' },
+    { name: 'Holder count changes by percent', value: 'holders_change' }
+];
+
+const WINDOW_CHOICES = [
+    { name: '5 minutes', value: 5 },
+    { name: '15 minutes', value: 15 },
+    { name: '1 hour', value: 60 },
+    { name: '4 hours', value: 240 },
+    { name: '24 hours', value: 1440 }
+];
+
+module.exports = {
+    name: 'watch',
+    description: 'Get alerted when a token moves',
+    options: [
+        {
+            name: 'add',
+            description: 'Watch a token for a condition',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [
+                {
+                    name: 'token',
+                    description: 'Token mint address',
+                    type: ApplicationCommandOptionType.String,
+                    required: true
+                },
+                {
+                    name: 'condition',
+                    description: 'When to alert',
+                    type: ApplicationCommandOptionType.String,
+                    required: true,
+                    choices: CONDITION_CHOICES
+                },
+                {
+                    name: 'value',
+                    description: 'Threshold: USD for price and market cap, percent for the others',
+                    type: ApplicationCommandOptionType.Number,
+                    required: true
+                },
+                {
+                    name: 'window',
+                    description: 'Window for percent change (default 1 hour)',
+                    type: ApplicationCommandOptionType.Integer,
+                    required: false,
+                    choices: WINDOW_CHOICES
+                },
+                {
+                    name: 'channel',
+                    description: 'Post alerts in this channel instead of DMing you (requires Manage Server)',
+                    type: ApplicationCommandOptionType.Channel,
+                    channel_types: [ChannelType.GuildText, ChannelType.GuildAnnouncement],
+                    required: false
+                }
+            ]
+        },
+        {
+            name: 'remove',
+            description: 'Stop a watch',
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                name: 'id',
+                description: 'Watch ID from /watch list',
+                type: ApplicationCommandOptionType.Integer,
+                required: true,
+                min_value: 1
+            }]
+        },
+        {
+            name: 'list',
+            description: 'Your watches and this server\'s channel watches',
+            type: ApplicationCommandOptionType.Subcommand
+        }
+    ]
+};
@@ -1,3 +1,6 @@
+const path = require('path');
+const { parseWalletTags } = require('../utils/walletTags');
+
 require('dotenv').config({
     path: process.env.NODE_ENV === 'test' ? '.env.test' : '.env'
 });
@@ -24,7 +27,8 @@ const config = {
                     requestsPerWindow: 450,
                     windowSizeMinutes: 15,
                     maxBatchSize: 100,
-                    maxAccountsPerBatch: 25
+                    maxAccountsPerBatch: 25,
+                    maxQueryLength: 512
                 },
                 'users': {
                     requestsPerWindow: 900,
@@ -41,12 +45,20 @@ const config = {
                 maxRetries: 3,
                 retryDelayMs: 10000
             }
+        },
+        readBudget: {
+            monthlyLimit: parseInt(process.env.TWITTER_MONTHLY_READ_LIMIT) || 10000,
+            resetDay: parseInt(process.env.TWITTER_BUDGET_RESET_DAY) || 1,
+            warningThresholds: [0.5, 0.8, 0.95],
+            vipOnlyThreshold: 0.95
         }
     },
     discord: {
         token: process.env.DISCORD_BOT_TOKEN || '',
         clientId: process.env.DISCORD_CLIENT_ID || '',
         guildId: process.env.DISCORD_GUILD_ID || '',
+        // 'guild' registers slash commands per server (instant), 'global' once for all servers
+        commandScope: process.env.DISCORD_COMMAND_SCOPE === 'global' ? 'global' : 'guild',
         channels: {
             tweets: process.env.DISCORD_TWEETS_CHANNEL || '',
             solana: process.env.DISCORD_SOLANA_CHANNEL || '',
@@ -57,22 +69,145 @@ const config = {
     monitoring: {
         interval: parseInt(process.env.MONITORING_INTERVAL) || 60000,
         maxAccountsPerBatch: parseInt(process.env.MAX_ACCOUNTS_PER_BATCH) || 25,
-        maxTweetsPerAccount: parseInt(process.env.MAX_TWEETS_PER_ACCOUNT) || 5
+        maxTweetsPerAccount: parseInt(process.env.MAX_TWEETS_PER_ACCOUNT) || 5,
+        // Pages of 100 one search may follow through next_token
+        maxSearchPages: parseInt(process.env.MAX_SEARCH_PAGES) || 5,
+        // 'timeline' = one users/:id/tweets call per account
+        // 'search'   = "from:a OR from:b" batches through tweets/search/recent
+        pollingMode: process.env.TWITTER_POLLING_MODE === 'search' ? 'search' : 'timeline'
     },
     twilio: {
         accountSid: process.env.TWILIO_ACCOUNT_SID || '',
         authToken: process.env.TWILIO_AUTH_TOKEN || '',
-        phoneNumber: process.env.TWILIO_PHONE_NUMBER || ''
+        phoneNumber: process.env.TWILIO_PHONE_NUMBER || '',
+        // Public URL set as the number's incoming message webhook; used to
+        // check request signatures behind proxies
+        webhookUrl: process.env.TWILIO_WEBHOOK_URL || '',
+        verification: {
+            codeTtlMs: parseInt(process.env.SMS_VERIFICATION_CODE_TTL) || 10 * 60 * 1000,
+            maxAttempts: 5,         // wrong codes before the code is discarded
+            maxCodesPerHour: 3,     // per Discord user and per phone number
+            maxFailedPerHour: 10    // failed attempts before the user is locked out for the hour
+        }
     },
     helius: {
         apiKey: process.env.HELIUS_API_KEY || '',
         webhookUrl: process.env.HELIUS_WEBHOOK_URL || '',
+        webhookSecret: process.env.HELIUS_WEBHOOK_SECRET || '',
         minSwapValue: parseFloat(process.env.HELIUS_MIN_SWAP_VALUE) || 100,
-        minSmsSwapValue: parseFloat(process.env.HELIUS_MIN_SMS_SWAP_VALUE) || 1000
+        highValueUsd: parseFloat(process.env.HELIUS_HIGH_VALUE_USD) || 1000,
+        // Seed list imported into the wallet registry on start
+        walletsPath: process.env.HELIUS_WALLETS_PATH || path.join(__dirname, 'wallets.json'),
+        // Wallet changes are batched into one webhook update after this delay
+        syncDebounceMs: parseInt(process.env.HELIUS_SYNC_DEBOUNCE_MS) || 5000,
+        syncRetryMs: 60 * 1000
     },
     birdeye: {
         apiKey: process.env.BIRDEYE_API_KEY || ''
     },
+    tokenData: {
+        // Merged token info is reused for this long
+        cacheTtlMs: 60 * 1000,
+        // A provider failing this many times in a row is skipped for cooldownMs
+        failureThreshold: 3,
+        cooldownMs: 2 * 60 * 1000
+    },
+    newPairs: {
+        pageSize: 5,
+        // Birdeye new-listing pages (20 pools each) fetched per /newpairs query
+        maxListingPages: 5,
+        // Security lookups per query; pairs beyond this are shown unchecked
+        maxSecurityChecks: 30,
+        listingCacheMs: 60 * 1000,
+        securityCacheMs: 30 * 60 * 1000,
+        // Pairs whose top 10 holders own more than this share are hidden
+        maxTop10HolderShare: (parseFloat(process.env.NEW_PAIRS_MAX_TOP10_PERCENT) || 50) / 100
+    },
+    newPairFeed: {
+        // Background scan for the /setup newpairs channel; 0 disables it
+        intervalMs: (parseInt(process.env.NEW_PAIR_FEED_INTERVAL_SECONDS ?? 120) || 0) * 1000,
+        // Pools listed longer ago than this are not considered
+        maxAgeMinutes: parseInt(process.env.NEW_PAIR_FEED_MAX_AGE_MINUTES) || 60,
+        // Pairs fully checked per poll; the rest wait for the next one
+        maxChecksPerPoll: 10,
+        // Birdeye requests per rate-limit window left for commands and alerts
+        birdeyeReserve: 15,
+        // Posted/rejected pairs are remembered this long
+        retentionMs: 7 * 24 * 60 * 60 * 1000,
+        rules: {
+            minLiquidity: parseFloat(process.env.NEW_PAIR_FEED_MIN_LIQUIDITY) || 10000,
+            requireMintRevoked: process.env.NEW_PAIR_FEED_REQUIRE_MINT_REVOKED !== 'false',
+            requireFreezeRevoked: process.env.NEW_PAIR_FEED_REQUIRE_FREEZE_REVOKED !== 'false',
+            maxTop10HolderShare: (parseFloat(process.env.NEW_PAIR_FEED_MAX_TOP10_PERCENT) || 30) / 100,
+            // Share of LP burned or locked per RugCheck; 0 skips the check
+            minLpBurnedPercent: parseFloat(process.env.NEW_PAIR_FEED_MIN_LP_BURNED_PERCENT ?? 90) || 0
+        }
+    },
+    watch: {
+        // How often /watch conditions are re-checked
+        checkIntervalMs: (parseInt(process.env.WATCH_CHECK_INTERVAL_SECONDS) || 60) * 1000,
+        // Mints priced per Birdeye multi_price request
+        batchSize: 100,
+        // Market cap and holder counts come from token overviews, refreshed this often
+        overviewRefreshMs: 5 * 60 * 1000,
+        // Birdeye requests per rate-limit window left for commands and alerts
+        birdeyeReserve: 10,
+        // A price, market cap or change condition re-arms once the value is
+        // back past its threshold by this share of the threshold
+        hysteresis: (parseFloat(process.env.WATCH_HYSTERESIS_PERCENT) || 5) / 100,
+        maxPerUser: parseInt(process.env.WATCH_MAX_PER_USER) || 20
+    },
+    prices: {
+        // SOL/token USD prices are reused for this long before re-fetching
+        ttlMs: (parseInt(process.env.PRICE_CACHE_TTL_SECONDS) || 30) * 1000,
+        // Oldest last-known price served (marked stale) when every source fails
+        maxStaleMs: 24 * 60 * 60 * 1000
+    },
+    server: {
+        port: parseInt(process.env.PORT) || 3000,
+        heliusWebhookPath: process.env.HELIUS_WEBHOOK_PATH || '/webhooks/helius',
+        twilioWebhookPath: process.env.TWILIO_WEBHOOK_PATH || '/webhooks/twilio',
+        maxBodyBytes: 5 * 1024 * 1024
+    },
+    webhookQueue: {
+        pollIntervalMs: 1000,
+        maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS) || 5,
+        baseRetryDelayMs: 5000,
+        maxRetryDelayMs: 5 * 60 * 1000,
+        retentionDays: 7
+    },
+    convergence: {
+        // Alert when this many distinct tracked wallets buy the same mint...
+        minWallets: parseInt(process.env.CONVERGENCE_MIN_WALLETS) || 3,
+        // ...within this window...
+        windowMs: (parseInt(process.env.CONVERGENCE_WINDOW_MINUTES) || 30) * 60 * 1000,
+        // ...counting only buys at least this large
+        minBuyUsd: parseFloat(process.env.CONVERGENCE_MIN_BUY_USD) || 500,
+        // Wallet tags also checked as their own group, e.g. "smart money,insider"
+        groups: parseWalletTags(process.env.CONVERGENCE_GROUPS || '')
+    },
+    calls: {
+        // How often recorded contract calls are re-priced for /leaderboard
+        repriceIntervalMs: parseInt(process.env.CALL_REPRICE_INTERVAL) || 15 * 60 * 1000
+    },
+    notifications: {
+        // Which alerts go where; see docs/PROJECT.md "Notification Routing"
+        rulesPath: process.env.NOTIFICATION_RULES_PATH || path.join(__dirname, 'notification-rules.json'),
+        webhookUrl: process.env.NOTIFICATION_WEBHOOK_URL || '',
+        // Wallet alert minimum for users who have not set one with /subscriptions
+        defaultMinUsdValue: parseFloat(process.env.NOTIFICATION_DEFAULT_MIN_USD) || 1000,
+        sms: {
+            // Texts per subscriber per hour before alerts go into a digest
+            maxPerHour: parseInt(process.env.SMS_MAX_PER_HOUR) || 10,
+            flushIntervalMs: 60 * 1000,
+            digestMaxLength: 1500,
+            // Held alerts older than this are dropped instead of sent
+            digestMaxAgeMs: 24 * 60 * 60 * 1000
+        }
+    },
+    database: {
+        path: process.env.DATABASE_PATH || 'data/kek-monitor.db'
+    },
     debug: process.env.DEBUG === 'true'
 };
 
@@ -82,7 +217,7 @@ function validateConfig() {
     
     const required = {
         twitter: ['apiKey', 'apiKeySecret', 'bearerToken', 'accessToken', 'accessTokenSecret'],
-        discord: ['token', 'clientId', 'guildId'],
+        discord: ['token', 'clientId'],
         helius: ['apiKey', 'webhookUrl'],
         twilio: ['accountSid', 'authToken', 'phoneNumber']
     };
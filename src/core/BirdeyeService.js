@@ -45,6 +45,14 @@ class BirdeyeRateLimitManager extends EventEmitter {
         console.log(`[DEBUG] Executing request for ${endpoint} (${this.window.requestCount}/${safeLimit})`);
         return await requestFn();
     }
+
+    // Requests left in the current window before scheduleRequest starts waiting
+    getRemaining() {
+        const windowSize = this.limit.windowSizeMinutes * 60 * 1000;
+        const safeLimit = Math.floor(this.limit.requestsPerWindow * this.limit.safetyMargin);
+        if (Date.now() - this.window.startTime >= windowSize) return safeLimit;
+        return Math.max(0, safeLimit - this.window.requestCount);
+    }
 }
 
 class BirdeyeService {
@@ -363,6 +371,110 @@ ${priceChangeEmoji} 24h Change: ${priceChangeSymbol}${this.formatNumber(priceCha
         };
     }
 
+    // Pools listed in the last `hours`, newest first, walking back one page
+    // of 20 at a time up to maxPages. Bonding-curve launches are left out, so
+    // pump.fun tokens only appear once they graduate to a real pool.
+    // Resolves to { pairs, searchedFrom }: searchedFrom is null when the
+    // whole window was covered, else how far back (ms) the pages reached.
+    async getNewPairs(hours = 24, maxPages = 5) {
+        const cutoff = Date.now() - hours * 60 * 60 * 1000;
+        const pairs = [];
+        let timeTo = Math.floor(Date.now() / 1000);
+        let searchedFrom = Date.now();
+
+        try {
+            for (let page = 0; page < maxPages; page++) {
+                const result = await this.rateLimitManager.scheduleRequest(
+                    async () => {
+                        const response = await axios.get(`${this.baseUrl}/defi/v2/tokens/new_listing`, {
+                            headers: {
+                                ...this.headers,
+                                'x-chain': 'solana'
+                            },
+                            params: {
+                                time_to: timeTo,
+                                limit: 20,
+                                meme_platform_enabled: false
+                            }
+                        });
+                        return response.data;
+                    },
+                    'birdeye/new_listing'
+                );
+
+                const items = result?.success ? result.data?.items || [] : [];
+                if (items.length === 0) {
+                    searchedFrom = null;
+                    break;
+                }
+
+                for (const item of items) {
+                    const listedAt = new Date(item.liquidityAddedAt).getTime();
+                    if (!(listedAt >= cutoff)) continue;
+
+                    pairs.push({
+                        address: item.address,
+                        name: item.name || 'Unknown',
+                        symbol: item.symbol || 'UNKNOWN',
+                        source: item.source || 'unknown',
+                        liquidity: parseFloat(item.liquidity || 0),
+                        listedAt,
+                        logoURI: item.logoURI || null
+                    });
+                }
+
+                const oldest = Math.min(...items.map(item => new Date(item.liquidityAddedAt).getTime() || Infinity));
+                if (!(oldest >= cutoff)) {
+                    searchedFrom = null;
+                    break;
+                }
+                searchedFrom = oldest;
+                timeTo = Math.floor(oldest / 1000) - 1;
+            }
+        } catch (error) {
+            console.error('[ERROR] Error fetching new pairs:', error.message);
+            if (pairs.length === 0) return { pairs: [], searchedFrom: null };
+        }
+
+        // Pages can overlap on the boundary timestamp
+        const seen = new Set();
+        return {
+            pairs: pairs.filter(pair => !seen.has(pair.address) && seen.add(pair.address)),
+            searchedFrom
+        };
+    }
+
+    // pairs are NewPairFinder results; page, pageSize, pageCount, total,
+    // hidden, searchedFrom and filters describe the listing they were cut from
+    createNewPairsEmbed(pairs, { page = 1, pageSize = pairs.length, pageCount = 1, total = pairs.length, hidden = 0, searchedFrom = null, filters = [] } = {}) {
+        const offset = (page - 1) * pageSize;
+
+        return {
+            title: '🆕 New Pairs',
+            description: [
+                filters.length > 0 ? `Filters: ${filters.join(' • ')}` : null,
+                searchedFrom ? `⚠️ Results capped: only pools listed in the last ${this.formatTimeAgo(new Date(searchedFrom))} were searched` : null,
+                pairs.length === 0 ? 'No new pairs match these filters.' : null
+            ].filter(Boolean).join('\n') || null,
+            color: 0x9945FF,
+            fields: pairs.map((pair, index) => ({
+                name: `${offset + index + 1}. ${pair.name} (${pair.symbol})${pair.security ? '' : ' ❔'}`,
+                value: [
+                    `💧 Liq: $${this.formatNumber(pair.liquidity)} • 💎 MC: ${pair.marketCap ? `$${this.formatNumber(pair.marketCap)}` : 'N/A'}`,
+                    `⏰ Listed ${this.formatTimeAgo(new Date(pair.listedAt))} ago on ${pair.source}`,
+                    `📜 [${pair.address.slice(0, 6)}...${pair.address.slice(-4)}](https://birdeye.so/token/${pair.address}?chain=solana)` +
+                        (pair.url ? ` • [Chart](${pair.url})` : '')
+                ].join('\n'),
+                inline: false
+            })),
+            footer: {
+                text: `Page ${page}/${pageCount} • ${total} pairs${hidden > 0 ? `, ${hidden} hidden by security checks` : ''} • ❔ security unchecked • built by keklabs`,
+                icon_url: "https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png"
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
     formatTimeAgo(date) {
         const now = new Date();
         const diffInSeconds = Math.floor((now - date) / 1000);
@@ -451,6 +563,72 @@ ${priceChangeEmoji} 24h Change: ${priceChangeSymbol}${this.formatNumber(priceCha
         }
     }
 
+    // USD price only, for PriceService; null when Birdeye has none
+    async getTokenPrice(address) {
+        try {
+            const result = await this.rateLimitManager.scheduleRequest(
+                async () => {
+                    const response = await axios.get(`${this.baseUrl}/defi/price`, {
+                        headers: {
+                            ...this.headers,
+                            'x-chain': 'solana'
+                        },
+                        params: {
+                            address: address
+                        }
+                    });
+                    return response.data;
+                },
+                'birdeye/price'
+            );
+
+            const price = parseFloat(result?.data?.value);
+            return result?.success && price > 0 ? price : null;
+        } catch (error) {
+            console.error('[ERROR] Error fetching token price:', error.message);
+            return null;
+        }
+    }
+
+    // Prices and liquidity for up to 100 mints in one request. Resolves to a
+    // Map of address -> { price, liquidity, updatedAt }, leaving out mints
+    // Birdeye has no price for; throws when the request fails.
+    async getMultiPrice(addresses) {
+        const result = await this.rateLimitManager.scheduleRequest(
+            async () => {
+                const response = await axios.get(`${this.baseUrl}/defi/multi_price`, {
+                    headers: {
+                        ...this.headers,
+                        'x-chain': 'solana'
+                    },
+                    params: {
+                        list_address: addresses.join(','),
+                        include_liquidity: true
+                    }
+                });
+                return response.data;
+            },
+            'birdeye/multi_price'
+        );
+
+        if (!result?.success) {
+            throw new Error('Invalid multi price response');
+        }
+
+        const prices = new Map();
+        for (const [address, entry] of Object.entries(result.data || {})) {
+            const price = parseFloat(entry?.value);
+            if (!(price > 0)) continue;
+
+            prices.set(address, {
+                price,
+                liquidity: parseFloat(entry.liquidity) || null,
+                updatedAt: entry.updateUnixTime ? entry.updateUnixTime * 1000 : Date.now()
+            });
+        }
+        return prices;
+    }
+
     createSecurityEmbed(address, securityData) {
         if (!securityData) {
             return {
@@ -776,58 +954,80 @@ ${priceChangeEmoji} 24h Change: ${priceChangeSymbol}${this.formatNumber(priceCha
 
     async getTokenInfo(address) {
         try {
-            // Check cache first
-            const cached = this.tokenInfoCache.get(address);
-            const now = Date.now();
-            if (cached && (now - cached.timestamp) < this.CACHE_DURATION) {
-                return cached.data;
-            }
-
-            // If not in cache or expired, fetch from API
-            const response = await axios.get(`https://public-api.birdeye.so/public/token_info?address=${address}`);
-            const tokenData = response?.data?.data;
-
-            if (!tokenData) {
-                console.log(`[Cache Miss] No data for token ${address}`);
-                return null;
-            }
+            return await this.fetchTokenInfo(address);
+        } catch (error) {
+            console.error('[ERROR] Error fetching token info:', error.message);
+            return null;
+        }
+    }
 
-            // Format and cache the data
-            const formattedData = {
-                name: tokenData.name || 'Unknown',
-                symbol: tokenData.symbol || 'UNKNOWN',
-                price: parseFloat(tokenData.price || 0),
-                priceChange: parseFloat(tokenData.priceChange24hPercent || 0),
-                volume24h: parseFloat(tokenData.v24hUSD || 0),
-                marketCap: parseFloat(tokenData.marketCap || tokenData.fdv || 0),
-                liquidity: parseFloat(tokenData.liquidity || 0),
-                trades24h: parseInt(tokenData.trade24h || 0),
-                buys24h: parseInt(tokenData.buy24h || 0),
-                sells24h: parseInt(tokenData.sell24h || 0),
-                holders: parseInt(tokenData.holder || 0),
-                uniqueWallets24h: parseInt(tokenData.uniqueWallet24h || 0),
-                buyRatio24h: tokenData.buy24h && tokenData.trade24h ? 
-                    (tokenData.buy24h / tokenData.trade24h * 100) : 50,
-                social: tokenData.extensions || {},
-                logoURI: tokenData.logoURI,
-                priceChange1h: parseFloat(tokenData.priceChange1hPercent || 0),
-                priceChange4h: parseFloat(tokenData.priceChange4hPercent || 0),
-                uniqueWallets1h: parseInt(tokenData.uniqueWallet1h || 0),
-                uniqueWalletChange1h: parseFloat(tokenData.uniqueWallet1hChangePercent || 0),
-                volumeChange24h: parseFloat(tokenData.v24hChangePercent || 0)
-            };
+    // Cached token overview. Resolves to null for mints Birdeye does not know
+    // and throws when the request itself fails, so TokenDataService can tell
+    // the two apart.
+    async fetchTokenInfo(address) {
+        // Check cache first
+        const cached = this.tokenInfoCache.get(address);
+        const now = Date.now();
+        if (cached && (now - cached.timestamp) < this.CACHE_DURATION) {
+            return cached.data;
+        }
 
-            // Store in cache
-            this.tokenInfoCache.set(address, {
-                timestamp: now,
-                data: formattedData
-            });
+        // If not in cache or expired, fetch from API
+        const result = await this.rateLimitManager.scheduleRequest(
+            async () => {
+                const response = await axios.get(`${this.baseUrl}/defi/token_overview`, {
+                    headers: {
+                        ...this.headers,
+                        'x-chain': 'solana'
+                    },
+                    params: {
+                        address: address
+                    }
+                });
+                return response.data;
+            },
+            'birdeye/token_overview'
+        );
+        const tokenData = result?.success ? result.data : null;
 
-            return formattedData;
-        } catch (error) {
-            console.error('[ERROR] Error fetching token info:', error.message);
+        if (!tokenData || Object.keys(tokenData).length === 0) {
+            console.log(`[Cache Miss] No data for token ${address}`);
             return null;
         }
+
+        // Format and cache the data
+        const formattedData = {
+            address: address,
+            name: tokenData.name || 'Unknown',
+            symbol: tokenData.symbol || 'UNKNOWN',
+            price: parseFloat(tokenData.price || 0),
+            priceChange: parseFloat(tokenData.priceChange24hPercent || 0),
+            volume24h: parseFloat(tokenData.v24hUSD || 0),
+            marketCap: parseFloat(tokenData.mc || tokenData.marketCap || tokenData.fdv || 0),
+            liquidity: parseFloat(tokenData.liquidity || 0),
+            trades24h: parseInt(tokenData.trade24h || 0),
+            buys24h: parseInt(tokenData.buy24h || 0),
+            sells24h: parseInt(tokenData.sell24h || 0),
+            holders: parseInt(tokenData.holder || 0),
+            uniqueWallets24h: parseInt(tokenData.uniqueWallet24h || 0),
+            buyRatio24h: tokenData.buy24h && tokenData.trade24h ? 
+                (tokenData.buy24h / tokenData.trade24h * 100) : 50,
+            social: tokenData.extensions || {},
+            logoURI: tokenData.logoURI,
+            priceChange1h: parseFloat(tokenData.priceChange1hPercent || 0),
+            priceChange4h: parseFloat(tokenData.priceChange4hPercent || 0),
+            uniqueWallets1h: parseInt(tokenData.uniqueWallet1h || 0),
+            uniqueWalletChange1h: parseFloat(tokenData.uniqueWallet1hChangePercent || 0),
+            volumeChange24h: parseFloat(tokenData.v24hChangePercent || 0)
+        };
+
+        // Store in cache
+        this.tokenInfoCache.set(address, {
+            timestamp: now,
+            data: formattedData
+        });
+
+        return formattedData;
     }
 
     createTokenEmbed(address, tokenInfo) {
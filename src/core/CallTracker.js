@@ -0,0 +1,142 @@
+const CallRepository = require('../database/CallRepository');
+
+const LEADERBOARD_PERIODS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// Records contract mentions as "calls" priced at call time, re-prices them on
+// a schedule, and ranks callers by how the tokens they called have moved.
+class CallTracker {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.repository = new CallRepository(dependencies.database);
+        this.priceService = dependencies.priceService;
+        this.config = dependencies.config.calls;
+
+        this.timer = null;
+        this.isRepricing = false;
+    }
+
+    validateDependencies(deps) {
+        if (!deps.database) throw new Error('Database required');
+        if (!deps.priceService) throw new Error('PriceService required');
+        if (!deps.config?.calls) throw new Error('Call tracking configuration required');
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.repriceCalls(), this.config.repriceIntervalMs);
+        console.log(`[DEBUG] Call re-pricing every ${this.config.repriceIntervalMs / 1000}s`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // tokenInfo is the BirdeyeService.getTokenInfo result already fetched for
+    // the tweet; its price seeds the PriceService cache. Calls are only
+    // recorded at a live price, never a stale fallback.
+    async recordCall({ guildId, tweet, caller, address, tokenInfo }) {
+        const quote = tokenInfo?.price
+            ? this.priceService.remember(address, tokenInfo.price, 'birdeye')
+            : await this.priceService.getPrice(address);
+        if (!quote || quote.stale) return null;
+
+        const call = this.repository.recordCall({
+            guildId,
+            tweetId: tweet.id,
+            tokenAddress: address,
+            callerId: caller.id,
+            callerUsername: caller.username,
+            calledAt: tweet.created_at ? new Date(tweet.created_at).getTime() : Date.now(),
+            price: quote.price,
+            marketCap: tokenInfo?.marketCap || null
+        });
+
+        if (call) {
+            console.log(`[DEBUG] Recorded ${call.is_first_call ? 'first ' : ''}call of ${address} by @${caller.username} in guild ${guildId}`);
+        }
+        return call;
+    }
+
+    async repriceCalls() {
+        if (this.isRepricing) return;
+        this.isRepricing = true;
+
+        try {
+            const since = Date.now() - LEADERBOARD_PERIODS['30d'];
+            const tokens = this.repository.getTokensSince(since);
+
+            for (const address of tokens) {
+                const quote = await this.priceService.getPrice(address);
+                if (quote && !quote.stale) {
+                    this.repository.updateTokenPrice(address, quote.price, quote.fetchedAt, since);
+                }
+            }
+
+            console.log(`[DEBUG] Re-priced calls for ${tokens.length} tokens`);
+        } catch (error) {
+            console.error('[ERROR] Call re-pricing failed:', error);
+        } finally {
+            this.isRepricing = false;
+        }
+    }
+
+    // The guild's callers ranked by median (or max) multiple of calls made
+    // within the period
+    getLeaderboard(guildId, period = '7d', sortBy = 'median') {
+        const windowMs = LEADERBOARD_PERIODS[period];
+        if (!windowMs) throw new Error(`Unknown leaderboard period: ${period}`);
+
+        const calls = this.repository.getGuildCallsSince(guildId, Date.now() - windowMs);
+        const callers = new Map();
+
+        for (const call of calls) {
+            if (!callers.has(call.caller_id)) {
+                callers.set(call.caller_id, {
+                    callerId: call.caller_id,
+                    username: call.caller_username,
+                    calls: 0,
+                    firstCalls: 0,
+                    multiples: [],
+                    maxMultiple: 0,
+                    bestToken: null
+                });
+            }
+
+            const entry = callers.get(call.caller_id);
+            const multiple = (call.last_price || call.price_at_call) / call.price_at_call;
+            const peakMultiple = (call.max_price || call.price_at_call) / call.price_at_call;
+
+            entry.username = call.caller_username;
+            entry.calls++;
+            entry.firstCalls += call.is_first_call;
+            entry.multiples.push(multiple);
+            if (peakMultiple > entry.maxMultiple) {
+                entry.maxMultiple = peakMultiple;
+                entry.bestToken = call.token_address;
+            }
+        }
+
+        const key = sortBy === 'max' ? 'maxMultiple' : 'medianMultiple';
+        return [...callers.values()]
+            .map(({ multiples, ...entry }) => ({ ...entry, medianMultiple: this.median(multiples) }))
+            .sort((a, b) => b[key] - a[key]);
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0
+            ? (sorted[middle - 1] + sorted[middle]) / 2
+            : sorted[middle];
+    }
+}
+
+CallTracker.PERIODS = Object.keys(LEADERBOARD_PERIODS);
+
+module.exports = CallTracker;
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Brings Discord's registered slash commands in line with src/commands.
+// Only commands that differ are created, edited or deleted; a dry run just
+// prints the diff.
+class CommandSync {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.client = dependencies.client;
+        this.commands = dependencies.commands;
+        this.config = dependencies.config.discord;
+    }
+
+    validateDependencies(deps) {
+        if (!deps.client) throw new Error('Discord client required');
+        if (!Array.isArray(deps.commands)) throw new Error('Command definitions required');
+        if (!deps.config?.discord) throw new Error('Discord configuration required');
+    }
+
+    // Short hash of the definitions, logged so deployments can be compared
+    getVersion() {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(this.commands))
+            .digest('hex')
+            .slice(0, 12);
+    }
+
+    // 'guild' registers in every guild the bot is in. 'global' registers once
+    // and clears guild copies that would otherwise show up twice.
+    async sync({ scope = this.config.commandScope, dryRun = false } = {}) {
+        console.log(`🔄 Syncing ${this.commands.length} commands (version ${this.getVersion()}, ${scope} scope${dryRun ? ', dry run' : ''})`);
+
+        const results = [];
+        if (scope === 'global') {
+            results.push(await this.syncTarget('global', this.client.application.commands, this.commands, dryRun));
+        }
+
+        for (const guild of this.client.guilds.cache.values()) {
+            results.push(await this.syncGuild(guild, { scope, dryRun }));
+        }
+        return results.filter(Boolean);
+    }
+
+    async syncGuild(guild, { scope = this.config.commandScope, dryRun = false } = {}) {
+        const commands = scope === 'global' ? [] : this.commands;
+        return this.syncTarget(guild.name, guild.commands, commands, dryRun);
+    }
+
+    async syncTarget(label, manager, commands, dryRun) {
+        try {
+            const remote = await manager.fetch();
+            const changes = this.diff([...remote.values()], commands);
+            this.printDiff(label, changes);
+
+            if (!dryRun) {
+                for (const { local } of changes.create) {
+                    await manager.create(local);
+                }
+                for (const { local, remote: existing } of changes.update) {
+                    await existing.edit(local);
+                }
+                for (const { remote: existing } of changes.delete) {
+                    await existing.delete();
+                }
+            }
+
+            return { label, changes };
+        } catch (error) {
+            console.error(`❌ Error syncing commands for ${label}:`, error);
+            return null;
+        }
+    }
+
+    // remoteCommands are discord.js ApplicationCommand instances
+    diff(remoteCommands, localCommands) {
+        const remoteByName = new Map(remoteCommands.map(command => [command.name, command]));
+        const localNames = new Set(localCommands.map(command => command.name));
+        const changes = { create: [], update: [], delete: [], unchanged: [] };
+
+        for (const local of localCommands) {
+            const remote = remoteByName.get(local.name);
+            if (!remote) {
+                changes.create.push({ local });
+            } else if (!remote.equals(local)) {
+                changes.update.push({ local, remote });
+            } else {
+                changes.unchanged.push({ local, remote });
+            }
+        }
+
+        for (const remote of remoteCommands) {
+            if (!localNames.has(remote.name)) {
+                changes.delete.push({ remote });
+            }
+        }
+
+        return changes;
+    }
+
+    printDiff(label, changes) {
+        console.log(`[${label}] ${changes.create.length} to create, ${changes.update.length} to update, ${changes.delete.length} to delete, ${changes.unchanged.length} unchanged`);
+        changes.create.forEach(({ local }) => console.log(`  + /${local.name}`));
+        changes.update.forEach(({ local }) => console.log(`  ~ /${local.name}`));
+        changes.delete.forEach(({ remote }) => console.log(`  - /${remote.name}`));
+    }
+}
+
+module.exports = CommandSync;
@@ -0,0 +1,84 @@
+// Spots "cluster buys": several tracked wallets buying the same mint within
+// a short window. Buys are kept in memory for the window only; a scope (one
+// guild) is alerted once per mint until the window has passed again.
+class ConvergenceDetector {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.config = dependencies.config.convergence;
+
+        this.buys = new Map();       // mint -> [{ walletAddress, usdValue, signature, symbol, at }]
+        this.alerted = new Map();    // `${scope}:${mint}` -> alerted at
+    }
+
+    validateDependencies(deps) {
+        if (!deps.config?.convergence) throw new Error('Convergence configuration required');
+    }
+
+    prune(now) {
+        const cutoff = now - this.config.windowMs;
+
+        for (const [mint, buys] of this.buys) {
+            const recent = buys.filter(buy => buy.at >= cutoff);
+            if (recent.length > 0) {
+                this.buys.set(mint, recent);
+            } else {
+                this.buys.delete(mint);
+            }
+        }
+
+        for (const [key, at] of this.alerted) {
+            if (at < cutoff) this.alerted.delete(key);
+        }
+    }
+
+    // Returns false for buys under minBuyUsd or already seen (WebhookQueue
+    // retries). at is the on-chain time in ms when known.
+    recordBuy({ mint, symbol, walletAddress, usdValue, signature, at }, now = Date.now()) {
+        this.prune(now);
+        if (!(usdValue >= this.config.minBuyUsd)) return false;
+
+        const buys = this.buys.get(mint) || [];
+        if (signature && buys.some(buy => buy.signature === signature)) return false;
+
+        buys.push({ walletAddress, usdValue, signature, symbol, at: at || now });
+        this.buys.set(mint, buys);
+        return true;
+    }
+
+    /**
+     * Cluster for mint among walletAddresses (the wallets a scope tracks), or
+     * null if fewer than minWallets distinct wallets bought in the window or
+     * the scope was already alerted. Returns { mint, symbol, wallets, totalUsd,
+     * firstAt, lastAt } with wallets [{ address, usdValue, buys }] by size.
+     */
+    getConvergence(scope, mint, walletAddresses, now = Date.now()) {
+        this.prune(now);
+
+        const key = `${scope}:${mint}`;
+        if (this.alerted.has(key)) return null;
+
+        const buys = (this.buys.get(mint) || []).filter(buy => walletAddresses.has(buy.walletAddress));
+        const wallets = new Map();
+        for (const buy of buys) {
+            const entry = wallets.get(buy.walletAddress) || { address: buy.walletAddress, usdValue: 0, buys: 0 };
+            entry.usdValue += buy.usdValue;
+            entry.buys++;
+            wallets.set(buy.walletAddress, entry);
+        }
+
+        if (wallets.size < this.config.minWallets) return null;
+
+        this.alerted.set(key, now);
+        return {
+            mint,
+            symbol: buys.find(buy => buy.symbol)?.symbol || null,
+            wallets: [...wallets.values()].sort((a, b) => b.usdValue - a.usdValue),
+            totalUsd: buys.reduce((sum, buy) => sum + buy.usdValue, 0),
+            firstAt: Math.min(...buys.map(buy => buy.at)),
+            lastAt: Math.max(...buys.map(buy => buy.at))
+        };
+    }
+}
+
+module.exports = ConvergenceDetector;
@@ -1,6 +1,5 @@
 const { default: axios } = require('axios');
 const RateLimitManager = require('./RateLimitManager');
-const BirdeyeService = require('./BirdeyeService');
 
 class DexScreenerRateLimitManager extends RateLimitManager {
     constructor() {
@@ -24,29 +23,108 @@ class DexScreenerService {
     constructor() {
         this.rateLimitManager = new DexScreenerRateLimitManager();
         this.baseUrl = 'https://api.dexscreener.com/latest/dex';
-        this.birdeye = new BirdeyeService();
     }
 
-    async getTokenInfo(address) {
+    async getDexScreenerInfo(address) {
         try {
-            const [dexScreenerData, birdeyeData] = await Promise.all([
-                this.getDexScreenerInfo(address),
-                this.birdeye.getTokenInfo(address)
-            ]);
+            return await this.fetchDexScreenerInfo(address);
+        } catch (error) {
+            console.error('[ERROR] Error fetching DexScreener info:', error.message);
+            if (error.response) {
+                console.error('[ERROR] DexScreener API response:', error.response.data);
+            }
+            return null;
+        }
+    }
 
-            if (!dexScreenerData) return null;
+    // Resolves to null when no pair has address as its base token and throws
+    // when the request fails, so TokenDataService can tell the two apart
+    async fetchDexScreenerInfo(address) {
+        const result = await this.rateLimitManager.scheduleRequest(
+            async () => {
+                const response = await axios.get(`${this.baseUrl}/tokens/${address}`);
+                return response.data;
+            },
+            'dexscreener/tokens'
+        );
 
-            return {
-                ...dexScreenerData,
-                birdeye: birdeyeData
-            };
-        } catch (error) {
-            console.error('[ERROR] Error fetching combined token info:', error.message);
+        // Pairs quoting this token against something else describe the other token
+        const pairs = (result?.pairs || []).filter(pair => pair.baseToken?.address === address);
+        if (pairs.length === 0) {
+            console.log(`[DEBUG] No pairs found for address ${address}`);
             return null;
         }
+
+        // Get the most relevant pair (usually the one with highest volume)
+        const bestPair = pairs.sort((a, b) => 
+            (parseFloat(b.volume?.h24 || 0) - parseFloat(a.volume?.h24 || 0))
+        )[0];
+
+        return {
+            symbol: bestPair.baseToken?.symbol || 'UNKNOWN',
+            name: bestPair.baseToken?.name || bestPair.baseToken?.symbol || 'Unknown Token',
+            marketCap: bestPair.marketCap || bestPair.fdv || '0',
+            volume: {
+                m5: bestPair.volume?.m5 || '0',
+                h1: bestPair.volume?.h1 || '0',
+                h24: bestPair.volume?.h24 || '0'
+            },
+            priceUsd: bestPair.priceUsd || '0',
+            priceChange: bestPair.priceChange || {},
+            liquidity: bestPair.liquidity || '0',
+            txns: bestPair.txns || { h24: { buys: 0, sells: 0 } },
+            pairCreatedAt: bestPair.pairCreatedAt,
+            address: address,
+            pairAddress: bestPair.pairAddress,
+            dexId: bestPair.dexId,
+            chainId: bestPair.chainId,
+            url: `https://dexscreener.com/${bestPair.chainId}/${bestPair.pairAddress}`,
+            logoUrl: bestPair.info?.imageUrl || bestPair.baseToken?.logoUrl || null
+        };
+    }
+
+    // Deepest pair per mint for up to 30 mints per request. Resolves to a Map
+    // of address -> { pairAddress, dexId, priceUsd, marketCap, liquidityUsd,
+    // pairCreatedAt, url }; mints without a pair are left out.
+    async getPairsForTokens(addresses) {
+        const pairs = new Map();
+
+        for (let i = 0; i < addresses.length; i += 30) {
+            const batch = addresses.slice(i, i + 30);
+            try {
+                const result = await this.rateLimitManager.scheduleRequest(
+                    async () => {
+                        const response = await axios.get(`${this.baseUrl}/tokens/${batch.join(',')}`);
+                        return response.data;
+                    },
+                    'dexscreener/tokens'
+                );
+
+                for (const pair of result?.pairs || []) {
+                    const address = pair.baseToken?.address;
+                    const liquidityUsd = pair.liquidity?.usd || 0;
+                    if (!batch.includes(address) || (pairs.get(address)?.liquidityUsd || 0) > liquidityUsd) continue;
+
+                    pairs.set(address, {
+                        pairAddress: pair.pairAddress,
+                        dexId: pair.dexId,
+                        priceUsd: parseFloat(pair.priceUsd) || null,
+                        marketCap: pair.marketCap || pair.fdv || null,
+                        liquidityUsd,
+                        pairCreatedAt: pair.pairCreatedAt || null,
+                        url: pair.url || `https://dexscreener.com/${pair.chainId}/${pair.pairAddress}`
+                    });
+                }
+            } catch (error) {
+                console.error('[ERROR] Error fetching DexScreener pairs:', error.message);
+            }
+        }
+        return pairs;
     }
 
-    async getDexScreenerInfo(address) {
+    // USD price from the deepest pair where address is the base token (a
+    // quote token such as SOL also appears in other tokens' pairs)
+    async getTokenPrice(address) {
         try {
             const result = await this.rateLimitManager.scheduleRequest(
                 async () => {
@@ -56,40 +134,13 @@ class DexScreenerService {
                 'dexscreener/tokens'
             );
 
-            if (!result.pairs || result.pairs.length === 0) {
-                console.log(`[DEBUG] No pairs found for address ${address}`);
-                return null;
-            }
+            const bestPair = (result?.pairs || [])
+                .filter(pair => pair.baseToken?.address === address && parseFloat(pair.priceUsd) > 0)
+                .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
 
-            // Get the most relevant pair (usually the one with highest volume)
-            const bestPair = result.pairs.sort((a, b) => 
-                (parseFloat(b.volume?.h24 || 0) - parseFloat(a.volume?.h24 || 0))
-            )[0];
-
-            return {
-                symbol: bestPair.baseToken?.symbol || 'UNKNOWN',
-                name: bestPair.baseToken?.name || bestPair.baseToken?.symbol || 'Unknown Token',
-                marketCap: bestPair.marketCap || '0',
-                volume: {
-                    m5: bestPair.volume?.m5 || '0',
-                    h1: bestPair.volume?.h1 || '0',
-                    h24: bestPair.volume?.h24 || '0'
-                },
-                priceUsd: bestPair.priceUsd || '0',
-                liquidity: bestPair.liquidity || '0',
-                txns: bestPair.txns || { h24: { buys: 0, sells: 0 } },
-                pairCreatedAt: bestPair.pairCreatedAt,
-                address: address,
-                pairAddress: bestPair.pairAddress,
-                chainId: bestPair.chainId,
-                url: `https://dexscreener.com/${bestPair.chainId}/${bestPair.pairAddress}`,
-                logoUrl: bestPair.baseToken?.logoUrl || null
-            };
+            return bestPair ? parseFloat(bestPair.priceUsd) : null;
         } catch (error) {
-            console.error('[ERROR] Error fetching DexScreener info:', error.message);
-            if (error.response) {
-                console.error('[ERROR] DexScreener API response:', error.response.data);
-            }
+            console.error('[ERROR] Error fetching DexScreener price:', error.message);
             return null;
         }
     }
@@ -1,8 +1,7 @@
 const axios = require('axios');
 const RateLimitManager = require('./RateLimitManager');
-const BirdeyeService = require('./BirdeyeService');
-const path = require('path');
-const fs = require('fs').promises;
+const { decodeSwap } = require('../utils/swapDecoder');
+const { isSolanaAddress } = require('../utils/solanaAddress');
 
 class HeliusRateLimitManager extends RateLimitManager {
     constructor() {
@@ -27,6 +26,10 @@ class HeliusRateLimitManager extends RateLimitManager {
                 'helius/webhooks/update': {
                     requestsPerWindow: 5,
                     windowSizeMinutes: 1
+                },
+                'helius/rpc/account': {
+                    requestsPerWindow: 60,
+                    windowSizeMinutes: 1
                 }
             },
             defaultLimit: {
@@ -40,57 +43,14 @@ class HeliusRateLimitManager extends RateLimitManager {
 
 class HeliusService {
     constructor(apiKey, birdeyeService, config) {
-        if (!config?.discord?.channels?.wallets) {
-            throw new Error('Discord wallets channel configuration required');
-        }
         this.apiKey = apiKey;
         this.baseUrl = 'https://api.helius.xyz/v0';
+        this.rpcUrl = 'https://mainnet.helius-rpc.com';
         this.rateLimitManager = new HeliusRateLimitManager();
         this.activeWebhooks = new Map(); // In-memory storage
-        this.walletNames = new Map(); // In-memory wallet name storage
+        this.walletNames = new Map(); // Names from the bot's wallet registry
         this.birdeyeService = birdeyeService; // Use provided Birdeye service
-        this.walletsPath = path.join(__dirname, '../config/wallets.json');
         this.config = config;
-
-        // Load wallets immediately
-        this.loadWalletsFromJson().catch(error => {
-            console.error('Failed to load initial wallets:', error);
-        });
-    }
-
-    // Add this new method
-    async loadWalletsFromJson() {
-        try {
-            console.log('📝 Loading wallets from JSON file...');
-            const data = await fs.readFile(this.walletsPath, 'utf8');
-            const jsonData = JSON.parse(data);
-            
-            const wallets = jsonData.wallets || [];
-            
-            if (wallets.length === 0) {
-                console.log('⚠️ No wallets found in wallets.json');
-                return;
-            }
-
-            // Initialize wallets in memory
-            wallets.forEach(wallet => {
-                if (wallet.address && wallet.name) {
-                    this.walletNames.set(wallet.address, wallet.name);
-                }
-            });
-
-            console.log(`✅ Loaded ${this.walletNames.size} wallets into memory`);
-            
-            // Log first few wallets as sample
-            console.log('Sample wallets loaded:');
-            [...this.walletNames.entries()].slice(0, 3).forEach(([address, name]) => {
-                console.log(`- ${name}: ${address}`);
-            });
-
-        } catch (error) {
-            console.error('❌ Failed to load wallets from JSON:', error);
-            throw error;
-        }
     }
 
     // Get webhook URL for a specific wallet
@@ -98,20 +58,24 @@ class HeliusService {
         return `${this.baseUrl}/webhook/${webhookId}?api-key=${this.apiKey}`;
     }
 
-    // Sync wallets with Helius webhook
+    // Sync wallets with Helius webhook. With no wallets left the webhook is
+    // deleted, since Helius will not keep one without addresses.
     async syncWallets(webhookUrl, accountAddresses) {
         try {
-            // Load initial wallets if not already loaded
-            if (this.walletNames.size === 0) {
-                await this.loadWalletsFromJson();
-            }
-            
             console.log('📡 Checking webhook configuration...');
             
             // Get existing webhooks
             const webhooks = await this.listWebhooks();
             let webhook = webhooks.find(w => w.webhookURL === webhookUrl);
 
+            if (accountAddresses.length === 0) {
+                if (webhook) {
+                    console.log('🗑️ No wallets tracked, deleting webhook...');
+                    await this.deleteWebhook(webhook.webhookID);
+                }
+                return null;
+            }
+
             if (webhook) {
                 // Update existing webhook
                 console.log('📝 Updating existing webhook...');
@@ -146,7 +110,8 @@ class HeliusService {
                 webhookURL: webhookUrl,
                 accountAddresses,
                 transactionTypes: ['SWAP', 'TOKEN_TRANSFER'],
-                webhookType: 'enhanced'
+                webhookType: 'enhanced',
+                ...this.getAuthHeaderPayload()
             };
             console.log('Creating webhook with payload:', JSON.stringify(payload, null, 2));
 
@@ -180,7 +145,8 @@ class HeliusService {
                 webhookURL: existingWebhook.webhookURL,
                 accountAddresses: addresses,
                 transactionTypes: ['SWAP', 'TOKEN_TRANSFER'],
-                webhookType: 'enhanced'
+                webhookType: 'enhanced',
+                ...this.getAuthHeaderPayload()
             };
 
             console.log('Updating webhook with payload:', JSON.stringify(payload, null, 2));
@@ -196,6 +162,12 @@ class HeliusService {
         }
     }
 
+    // Helius sends authHeader back as the Authorization header on each delivery
+    getAuthHeaderPayload() {
+        const secret = this.config.helius?.webhookSecret;
+        return secret ? { authHeader: secret } : {};
+    }
+
     // Delete a webhook
     async deleteWebhook(webhookId) {
         try {
@@ -219,106 +191,11 @@ class HeliusService {
         }
     }
 
-    // Parse SWAP transaction data with enhanced details
-    parseSwapTransaction(transaction) {
-        console.log('[DEBUG] Parsing swap transaction:', JSON.stringify(transaction, null, 2));
-
-        // Handle both enhanced and basic webhook formats
-        if (!transaction) return null;
-
+    // What walletAddress gave and got in a SWAP, rebuilt from the token and
+    // native transfers (see utils/swapDecoder). Amounts are in whole tokens.
+    parseSwapTransaction(transaction, walletAddress = transaction?.feePayer, options = {}) {
         try {
-            // For enhanced webhook format
-            if (transaction.type === 'SWAP' && transaction.events?.swap) {
-                const {
-                    timestamp,
-                    signature,
-                    source,
-                    fee,
-                    events
-                } = transaction;
-
-                const swapEvent = events.swap;
-
-                return {
-                    timestamp,
-                    signature,
-                    wallet: source,
-                    fee: fee || 0,
-                    type: 'SWAP',
-                    usdValue: swapEvent.usdValue || 0,
-                    tokenSent: {
-                        mint: swapEvent.tokenIn,
-                        amount: swapEvent.amountIn,
-                        symbol: swapEvent.tokenInSymbol || 'Unknown',
-                        decimals: swapEvent.tokenInDecimals || 0,
-                        usdValue: swapEvent.tokenInUsdValue || 0
-                    },
-                    tokenReceived: {
-                        mint: swapEvent.tokenOut,
-                        amount: swapEvent.amountOut,
-                        symbol: swapEvent.tokenOutSymbol || 'Unknown',
-                        decimals: swapEvent.tokenOutDecimals || 0,
-                        usdValue: swapEvent.tokenOutUsdValue || 0
-                    },
-                    market: {
-                        name: swapEvent.platformName || 'Unknown DEX',
-                        address: swapEvent.platformAddress || null,
-                        fee: swapEvent.platformFee || 0
-                    }
-                };
-            }
-
-            // For basic webhook format
-            if (transaction.description?.includes('Swap') || transaction.type?.includes('SWAP')) {
-                const {
-                    timestamp,
-                    signature,
-                    accountData,
-                    tokenTransfers,
-                    nativeTransfers
-                } = transaction;
-
-                // Calculate total value
-                let usdValue = 0;
-                let tokenSent = null;
-                let tokenReceived = null;
-
-                if (tokenTransfers?.length >= 2) {
-                    tokenSent = {
-                        mint: tokenTransfers[0].mint,
-                        amount: tokenTransfers[0].tokenAmount,
-                        symbol: tokenTransfers[0].symbol || 'Unknown',
-                        decimals: tokenTransfers[0].decimals || 0,
-                        usdValue: tokenTransfers[0].usdValue || 0
-                    };
-                    tokenReceived = {
-                        mint: tokenTransfers[1].mint,
-                        amount: tokenTransfers[1].tokenAmount,
-                        symbol: tokenTransfers[1].symbol || 'Unknown',
-                        decimals: tokenTransfers[1].decimals || 0,
-                        usdValue: tokenTransfers[1].usdValue || 0
-                    };
-                    usdValue = Math.max(tokenSent.usdValue, tokenReceived.usdValue);
-                }
-
-                return {
-                    timestamp,
-                    signature,
-                    wallet: accountData?.account || transaction.source,
-                    fee: transaction.fee || 0,
-                    type: 'SWAP',
-                    usdValue,
-                    tokenSent,
-                    tokenReceived,
-                    market: {
-                        name: 'DEX',
-                        address: null,
-                        fee: 0
-                    }
-                };
-            }
-
-            return null;
+            return decodeSwap(transaction, walletAddress, options);
         } catch (error) {
             console.error('[ERROR] Failed to parse swap transaction:', error);
             console.error('[ERROR] Transaction data:', JSON.stringify(transaction, null, 2));
@@ -326,69 +203,6 @@ class HeliusService {
         }
     }
 
-    // Format swap notification with rich details
-    async formatSwapNotification(swapData) {
-        const {
-            walletName,
-            tokenSent,
-            tokenReceived,
-            usdValue
-        } = swapData;
-
-        // Format amounts with proper decimals
-        const sentAmount = this.formatTokenAmount(tokenSent.amount, tokenSent.decimals);
-        const receivedAmount = this.formatTokenAmount(tokenReceived.amount, tokenReceived.decimals);
-
-        // List of stablecoin/base token mints
-        const baseTokens = [
-            'So11111111111111111111111111111111111111112', // SOL
-            'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-            'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
-        ];
-
-        const fields = [
-            {
-                name: '📤 Sent',
-                value: `${sentAmount} ${tokenSent.symbol}\n($${this.formatUSD(tokenSent.usdValue)})`,
-                inline: true
-            },
-            {
-                name: '📥 Received',
-                value: `${receivedAmount} ${tokenReceived.symbol}\n($${this.formatUSD(tokenReceived.usdValue)})`,
-                inline: true
-            }
-        ];
-
-        // Only show token stats if:
-        // 1. Sending a base token (SOL/USDC/USDT)
-        // 2. Receiving a non-base token
-        if (baseTokens.includes(tokenSent.mint) && !baseTokens.includes(tokenReceived.mint)) {
-            // Get token info for received token
-            const tokenInfo = await this.birdeyeService.getTokenInfo(tokenReceived.mint);
-            if (tokenInfo) {
-                fields.push({
-                    name: '📊 Token Stats',
-                    value: [
-                        `💰 Price: $${this.formatUSD(tokenInfo.price)}`,
-                        tokenInfo.marketCap ? `💎 MC: $${this.formatUSD(tokenInfo.marketCap)}` : null,
-                        tokenInfo.liquidity ? `💧 LP: $${this.formatUSD(tokenInfo.liquidity)}` : null,
-                        tokenInfo.holders ? `👥 Holders: ${this.formatNumber(tokenInfo.holders)}` : null,
-                        `\n[📈 View Chart](https://dexscreener.com/solana/${tokenReceived.mint})`
-                    ].filter(Boolean).join('\n'),
-                    inline: false
-                });
-            }
-        }
-
-        return {
-            title: `🔄 Swap by ${walletName}`,
-            description: `Swapped tokens worth $${this.formatUSD(usdValue)}`,
-            fields,
-            color: 0x00ff00,
-            timestamp: new Date().toISOString()
-        };
-    }
-
     // Helper function to format token amounts
     formatTokenAmount(amount, decimals) {
         if (!amount) return '0';
@@ -440,188 +254,37 @@ class HeliusService {
         }
     }
 
-    // Validate Solana address format
-    isValidSolanaAddress(address) {
-        return address && 
-               address.length === 44 && 
-               /^[1-9A-HJ-NP-Za-km-z]{44}$/.test(address);
-    }
-
-    // Handle webhook events with simplified in-memory approach
-    async handleWebhook(data) {
-        try {
-            console.log('[DEBUG] Received webhook data:', JSON.stringify(data, null, 2));
-
-            // Ensure we have the correct channel ID from config
-            const WALLETS_CHANNEL = this.config.discord.channels.wallets;
-            if (!WALLETS_CHANNEL) {
-                console.error('[ERROR] Wallets channel not configured in config');
-                return;
-            }
-
-            // Process transactions in small batches with slight delays
-            const BATCH_SIZE = 3;
-            const DELAY_BETWEEN_NOTIFICATIONS = 2000;
-
-            // Group transactions into batches
-            for (let i = 0; i < data.length; i += BATCH_SIZE) {
-                const batch = data.slice(i, i + BATCH_SIZE);
-                
-                // Process each transaction in the batch concurrently
-                await Promise.all(batch.map(async (transaction) => {
-                    try {
-                        // Find the relevant wallet address from the transaction
-                        let walletAddress = transaction.accountData?.account || 
-                                          transaction.source ||
-                                          (transaction.tokenBalanceChanges?.[0]?.userAccount);
-
-                        console.log(`[DEBUG] Identified wallet address: ${walletAddress}`);
-
-                        // Skip if not a tracked wallet
-                        if (!walletAddress || !this.walletNames.has(walletAddress)) {
-                            console.log(`[DEBUG] Skipping transaction for untracked wallet: ${walletAddress}`);
-                            return;
-                        }
-
-                        let notification;
-                        const walletName = this.walletNames.get(walletAddress);
-
-                        // Handle SWAP transactions
-                        if (transaction.type === 'SWAP') {
-                            try {
-                                const swapData = this.parseSwapTransaction(transaction);
-                                if (swapData) {
-                                    notification = await this.formatSwapNotification({
-                                        ...swapData,
-                                        walletName
-                                    });
-
-                                    // Check if this is a high-value transaction
-                                    const isHighValue = swapData.usdValue >= this.config.helius.minSmsSwapValue;
-                                    await this.onNotification({
-                                        content: isHighValue ? '@everyone High-value swap detected! 🔥' : null,
-                                        embeds: [notification],
-                                        allowedMentions: { parse: isHighValue ? ['everyone'] : [] }
-                                    });
-                                    console.log('[DEBUG] Sent notification for swap transaction');
-                                }
-                            } catch (txError) {
-                                console.error('[ERROR] Error processing swap transaction:', txError);
-                            }
-                        } 
-                        // Handle TRANSFER transactions
-                        else if (transaction.tokenBalanceChanges?.length > 0) {
-                            notification = await this.formatTransferNotification(transaction, walletName);
-
-                            // Send notification if we have one
-                            if (notification && this.onNotification) {
-                                // Check if this is a high-value transfer (>= $1000)
-                                const isHighValue = notification.color === 0xFF0000;
-                                await this.onNotification({
-                                    content: isHighValue ? '@everyone High-value transfer detected! 🔥' : null,
-                                    embeds: [notification],
-                                    allowedMentions: { parse: isHighValue ? ['everyone'] : [] }
-                                });
-                                console.log('[DEBUG] Sent notification for transfer transaction');
-                            }
-                        }
-
-                    } catch (txError) {
-                        console.error('[ERROR] Error processing transaction:', txError);
-                    }
-                }));
-
-                // Add delay between batches if there are more to process
-                if (i + BATCH_SIZE < data.length) {
-                    await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_NOTIFICATIONS));
-                }
-            }
-
-        } catch (error) {
-            console.error('[ERROR] Error processing webhook:', error);
-        }
-    }
-
-    // Format transfer notification
-    async formatTransferNotification(transaction, walletName) {
-        try {
-            let totalUsdValue = 0;
-            const fields = [];
-
-            // List of stablecoin/base token mints
-            const baseTokens = [
-                'So11111111111111111111111111111111111111112', // SOL
-                'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-                'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
-            ];
-
-            // Process token transfers
-            for (const transfer of transaction.tokenBalanceChanges) {
-                let tokenInfo = null;
-                if (transfer.mint) {
-                    try {
-                        tokenInfo = await this.birdeyeService.getTokenInfo(transfer.mint);
-                    } catch (error) {
-                        console.error(`[ERROR] Failed to fetch Birdeye data for token ${transfer.mint}:`, error);
-                    }
-                }
-
-                const amount = Math.abs(Number(transfer.rawTokenAmount.tokenAmount));
-                const decimals = transfer.rawTokenAmount.decimals;
-                const formattedAmount = this.formatTokenAmount(amount, decimals);
-                const isOutgoing = Number(transfer.rawTokenAmount.tokenAmount) < 0;
-
-                // Calculate USD value if available
-                if (tokenInfo?.price) {
-                    const usdValue = (amount / Math.pow(10, decimals)) * tokenInfo.price;
-                    totalUsdValue += usdValue;
-                }
-
-                // Create token transfer field
-                const fieldValue = [`${formattedAmount} ${tokenInfo?.symbol || 'tokens'}`];
-                
-                if (tokenInfo?.price) {
-                    fieldValue.push(`$${this.formatUSD((amount / Math.pow(10, decimals)) * tokenInfo.price)}`);
-                }
-
-                fields.push({
-                    name: isOutgoing ? '📤 Sent' : '📥 Received',
-                    value: fieldValue.join('\n'),
-                    inline: true
+    // Mint and freeze authorities of an SPL mint, null when revoked. Resolves
+    // to null when the account is missing or is not a mint.
+    async getMintAuthorities(mint) {
+        const result = await this.rateLimitManager.scheduleRequest(
+            async () => {
+                const response = await axios.post(`${this.rpcUrl}/?api-key=${this.apiKey}`, {
+                    jsonrpc: '2.0',
+                    id: 'mint-authorities',
+                    method: 'getAccountInfo',
+                    params: [mint, { encoding: 'jsonParsed' }]
                 });
-
-                // Only show token stats for non-base tokens
-                if (tokenInfo && !baseTokens.includes(transfer.mint)) {
-                    fields.push({
-                        name: '📊 Token Stats',
-                        value: [
-                            `💰 Price: $${this.formatUSD(tokenInfo.price)}`,
-                            tokenInfo.marketCap ? `💎 MC: $${this.formatUSD(tokenInfo.marketCap)}` : null,
-                            tokenInfo.liquidity ? `💧 LP: $${this.formatUSD(tokenInfo.liquidity)}` : null,
-                            tokenInfo.holders ? `👥 Holders: ${this.formatNumber(tokenInfo.holders)}` : null,
-                            `\n[📈 View Chart](https://dexscreener.com/solana/${transfer.mint})`
-                        ].filter(Boolean).join('\n'),
-                        inline: false
-                    });
+                if (response.data?.error) {
+                    throw new Error(`Helius RPC error: ${response.data.error.message}`);
                 }
-            }
+                return response.data?.result;
+            },
+            'helius/rpc/account'
+        );
 
-            return {
-                title: totalUsdValue >= this.config.helius.minSmsSwapValue ? '🔥 High Value Transfer' : '💸 Token Transfer',
-                description: `Transfer by ${walletName}${totalUsdValue > 0 ? ` worth $${this.formatUSD(totalUsdValue)}` : ''}`,
-                fields,
-                color: totalUsdValue >= this.config.helius.minSmsSwapValue ? 0xFF0000 : 0x9945FF,
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            console.error('[ERROR] Error formatting transfer notification:', error);
-            return null;
-        }
+        const parsed = result?.value?.data?.parsed;
+        if (parsed?.type !== 'mint') return null;
+
+        return {
+            mintAuthority: parsed.info.mintAuthority || null,
+            freezeAuthority: parsed.info.freezeAuthority || null
+        };
     }
 
-    // Register notification callback
-    setNotificationHandler(callback) {
-        this.onNotification = callback;
+    // Validate Solana address format (32-44 base58 characters decoding to 32 bytes)
+    isValidSolanaAddress(address) {
+        return isSolanaAddress(address);
     }
 
     // Add a wallet name to in-memory storage
@@ -629,6 +292,10 @@ class HeliusService {
         this.walletNames.set(address, name);
     }
 
+    removeWalletName(address) {
+        this.walletNames.delete(address);
+    }
+
     // Get a wallet name from in-memory storage
     getWalletName(address) {
         return this.walletNames.get(address);
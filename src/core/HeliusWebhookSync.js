@@ -0,0 +1,90 @@
+const { EventEmitter } = require('events');
+
+// Keeps the Helius webhook's account list equal to the wallet registry.
+// Changes are debounced so a burst of /trackwallet calls costs one API
+// update. A failed sync is retried on a timer; 'failed' is emitted on the
+// first failure of a streak and 'recovered' once a later sync succeeds,
+// each with the guilds whose changes were waiting on it.
+class HeliusWebhookSync extends EventEmitter {
+    constructor(dependencies) {
+        super();
+        this.validateDependencies(dependencies);
+
+        this.heliusService = dependencies.heliusService;
+        this.getAddresses = dependencies.getAddresses;
+        this.config = dependencies.config.helius;
+
+        this.timer = null;
+        this.isSyncing = false;
+        this.pendingGuilds = new Set();
+        this.status = {
+            webhookId: null,
+            addressCount: 0,
+            lastSyncedAt: null,
+            lastError: null,
+            failedAttempts: 0
+        };
+    }
+
+    validateDependencies(deps) {
+        if (!deps.heliusService) throw new Error('HeliusService required');
+        if (typeof deps.getAddresses !== 'function') throw new Error('Wallet address source required');
+        if (!deps.config?.helius) throw new Error('Helius configuration required');
+    }
+
+    // guildId is the server whose change needs syncing, for the failure report
+    requestSync(guildId = null, delayMs = this.config.syncDebounceMs) {
+        if (guildId) this.pendingGuilds.add(guildId);
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.sync(), delayMs);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    isInSync() {
+        return this.status.lastError === null && this.status.lastSyncedAt !== null && !this.timer && !this.isSyncing;
+    }
+
+    async sync() {
+        this.timer = null;
+        if (this.isSyncing) {
+            // A change landed mid-sync; go again once this one finishes
+            this.requestSync();
+            return;
+        }
+        this.isSyncing = true;
+
+        const addresses = this.getAddresses();
+        const guildIds = [...this.pendingGuilds];
+
+        try {
+            this.status.webhookId = await this.heliusService.syncWallets(this.config.webhookUrl, addresses);
+
+            const wasFailing = this.status.lastError !== null;
+            this.status.addressCount = addresses.length;
+            this.status.lastSyncedAt = new Date().toISOString();
+            this.status.lastError = null;
+            this.status.failedAttempts = 0;
+            guildIds.forEach(guildId => this.pendingGuilds.delete(guildId));
+
+            console.log(`[DEBUG] Helius webhook synced with ${addresses.length} wallets`);
+            if (wasFailing) this.emit('recovered', { ...this.status, guildIds });
+        } catch (error) {
+            this.status.lastError = error.response?.data?.error || error.message;
+            this.status.failedAttempts++;
+
+            console.error(`[ERROR] Helius wallet sync failed (attempt ${this.status.failedAttempts}):`, this.status.lastError);
+            if (this.status.failedAttempts === 1) this.emit('failed', { ...this.status, guildIds });
+
+            this.requestSync(null, this.config.syncRetryMs);
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+}
+
+module.exports = HeliusWebhookSync;
@@ -0,0 +1,173 @@
+const NewPairFeedRepository = require('../database/NewPairFeedRepository');
+const { getSecurityIssues } = require('../utils/tokenQuality');
+
+// Birdeye requests one fully checked pair costs: security, then token info
+const BIRDEYE_COST_PER_PAIR = 2;
+
+// Background scan of new pools for guilds with a /setup newpairs channel.
+// Each poll takes NewPairFinder's recent listings, oldest first, and runs the
+// quality rules cheapest first: liquidity, then mint/freeze authority (Helius
+// RPC), LP burned (RugCheck) and top 10 holder share (Birdeye). Pairs that
+// pass are handed to publish; passed and failed pairs are both recorded so
+// they are not checked again. A pair whose check could not complete, or that
+// is still below the liquidity minimum, is retried on a later poll while it
+// is within maxAgeMinutes.
+//
+// Birdeye's per-minute budget is shared with commands and alerts, so a poll
+// stops as soon as it would leave less than birdeyeReserve requests.
+class NewPairFeed {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.repository = new NewPairFeedRepository(dependencies.database);
+        this.newPairFinder = dependencies.newPairFinder;
+        this.heliusService = dependencies.heliusService;
+        this.rugCheckService = dependencies.rugCheckService;
+        this.tokenDataService = dependencies.tokenDataService;
+        this.birdeyeRateLimit = dependencies.birdeyeService.rateLimitManager;
+        this.getGuildIds = dependencies.getGuildIds;
+        this.publish = dependencies.publish;
+        this.config = dependencies.config.newPairFeed;
+        this.maxListingPages = dependencies.config.newPairs.maxListingPages;
+
+        this.timer = null;
+        this.isPolling = false;
+    }
+
+    validateDependencies(deps) {
+        if (!deps.database) throw new Error('Database required');
+        if (!deps.newPairFinder) throw new Error('NewPairFinder required');
+        if (!deps.heliusService) throw new Error('HeliusService required');
+        if (!deps.rugCheckService) throw new Error('RugCheckService required');
+        if (!deps.tokenDataService) throw new Error('TokenDataService required');
+        if (!deps.birdeyeService) throw new Error('BirdeyeService required');
+        if (typeof deps.getGuildIds !== 'function') throw new Error('getGuildIds function required');
+        if (typeof deps.publish !== 'function') throw new Error('publish function required');
+        if (!deps.config?.newPairFeed || !deps.config?.newPairs) throw new Error('New pair feed configuration required');
+    }
+
+    start() {
+        if (this.timer || !this.config.intervalMs) return;
+        this.timer = setInterval(() => this.poll(), this.config.intervalMs);
+        console.log(`[DEBUG] New pair feed scanning every ${this.config.intervalMs / 1000}s`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One line per enabled rule, for the posted embed
+    describeRules() {
+        const { rules } = this.config;
+        return [
+            `💧 Liquidity ≥ $${rules.minLiquidity.toLocaleString()}`,
+            rules.requireMintRevoked ? '🔒 Mint authority revoked' : null,
+            rules.requireFreezeRevoked ? '🧊 Freeze authority revoked' : null,
+            rules.minLpBurnedPercent > 0 ? `🔥 ≥ ${rules.minLpBurnedPercent}% of LP burned or locked` : null,
+            `👥 Top 10 holders ≤ ${(rules.maxTop10HolderShare * 100).toFixed(0)}%`
+        ].filter(Boolean);
+    }
+
+    hasBirdeyeBudget(cost) {
+        return this.birdeyeRateLimit.getRemaining() - cost >= this.config.birdeyeReserve;
+    }
+
+    async poll() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        try {
+            const guildIds = this.getGuildIds();
+            if (guildIds.length === 0) return;
+
+            if (!this.hasBirdeyeBudget(this.maxListingPages)) {
+                console.log('[DEBUG] New pair feed skipped: Birdeye budget reserved for commands');
+                return;
+            }
+
+            const now = Date.now();
+            this.repository.prune(now - this.config.retentionMs);
+
+            const { pairs: listings } = await this.newPairFinder.getListings(this.config.maxAgeMinutes / 60);
+            const candidates = listings
+                .filter(pair => pair.liquidity >= this.config.rules.minLiquidity && !this.repository.isSeen(pair.address))
+                .sort((a, b) => a.listedAt - b.listedAt);
+
+            let checked = 0;
+            let posted = 0;
+            for (const pair of candidates) {
+                if (checked >= this.config.maxChecksPerPoll) break;
+                if (!this.hasBirdeyeBudget(BIRDEYE_COST_PER_PAIR)) {
+                    console.log('[DEBUG] New pair feed paused: Birdeye budget reserved for commands');
+                    break;
+                }
+                checked++;
+
+                if (await this.processPair(pair, guildIds)) posted++;
+            }
+
+            console.log(`[DEBUG] New pair feed: ${candidates.length} candidates, ${checked} checked, ${posted} posted`);
+        } catch (error) {
+            console.error('[ERROR] New pair feed poll failed:', error.message);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    // Resolves to true when the pair was posted
+    async processPair(pair, guildIds) {
+        const issues = await this.getIssues(pair.address);
+        if (!issues) return false;
+
+        if (issues.length > 0) {
+            this.repository.record(pair.address, 'rejected', issues.join(', '), Date.now());
+            return false;
+        }
+
+        const tokenInfo = await this.tokenDataService.getTokenInfo(pair.address);
+        if (!tokenInfo) return false;
+
+        try {
+            await this.publish(pair, tokenInfo, guildIds);
+        } catch (error) {
+            console.error(`[ERROR] Failed to post new pair ${pair.address}:`, error.message);
+            return false;
+        }
+
+        this.repository.record(pair.address, 'posted', null, Date.now());
+        return true;
+    }
+
+    // Failed quality rules, stopping at the first rule that fails; null when
+    // a check could not be completed
+    async getIssues(address) {
+        const { rules } = this.config;
+
+        try {
+            if (rules.requireMintRevoked || rules.requireFreezeRevoked) {
+                const authorities = await this.heliusService.getMintAuthorities(address);
+                if (!authorities) return ['not an SPL mint'];
+
+                const issues = [];
+                if (rules.requireMintRevoked && authorities.mintAuthority) issues.push('mint authority not revoked');
+                if (rules.requireFreezeRevoked && authorities.freezeAuthority) issues.push('freeze authority not revoked');
+                if (issues.length > 0) return issues;
+            }
+
+            if (rules.minLpBurnedPercent > 0) {
+                const lpBurned = await this.rugCheckService.getLpLockedPercent(address);
+                if (lpBurned < rules.minLpBurnedPercent) return [`only ${lpBurned.toFixed(0)}% of LP burned`];
+            }
+        } catch (error) {
+            console.error(`[ERROR] New pair feed check failed for ${address}:`, error.message);
+            return null;
+        }
+
+        const security = await this.newPairFinder.getSecurity(address);
+        if (!security) return null;
+        return getSecurityIssues(security, rules);
+    }
+}
+
+module.exports = NewPairFeed;
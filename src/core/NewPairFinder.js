@@ -0,0 +1,121 @@
+const { getSecurityIssues } = require('../utils/tokenQuality');
+
+// Source DEX filters for /newpairs. Bonding-curve launches are not listed, so
+// any pump.fun mint here has graduated (to PumpSwap or Raydium).
+const SOURCE_FILTERS = {
+    raydium: pair => /raydium/i.test(pair.source),
+    meteora: pair => /meteora/i.test(pair.source),
+    pumpfun: pair => /pump/i.test(pair.source) || pair.address.endsWith('pump')
+};
+
+// Newly listed Solana pools for /newpairs: Birdeye's new listings, with
+// market cap and current liquidity from one batched DexScreener lookup,
+// filtered and then security-checked in order until the requested page is
+// full. Listings and security results are cached so paging through one
+// query costs little.
+class NewPairFinder {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.birdeyeService = dependencies.birdeyeService;
+        this.dexScreenerService = dependencies.dexScreenerService;
+        this.tokenDataService = dependencies.tokenDataService;
+        this.config = dependencies.config.newPairs;
+
+        this.listings = new Map();   // hours -> { at, listings }
+        this.security = new Map();   // address -> { at, data }
+    }
+
+    validateDependencies(deps) {
+        if (!deps.birdeyeService) throw new Error('BirdeyeService required');
+        if (!deps.dexScreenerService) throw new Error('DexScreenerService required');
+        if (!deps.tokenDataService) throw new Error('TokenDataService required');
+        if (!deps.config?.newPairs) throw new Error('New pairs configuration required');
+    }
+
+    // Resolves to { pairs, searchedFrom } (see BirdeyeService.getNewPairs)
+    async getListings(hours) {
+        const cached = this.listings.get(hours);
+        if (cached && Date.now() - cached.at < this.config.listingCacheMs) return cached.listings;
+
+        const { pairs: listed, searchedFrom } = await this.birdeyeService.getNewPairs(hours, this.config.maxListingPages);
+        const markets = await this.dexScreenerService.getPairsForTokens(listed.map(pair => pair.address));
+
+        const pairs = listed.map(pair => {
+            const market = markets.get(pair.address);
+            return {
+                ...pair,
+                liquidity: market?.liquidityUsd || pair.liquidity,
+                marketCap: market?.marketCap || null,
+                dexId: market?.dexId || null,
+                url: market?.url || null
+            };
+        });
+
+        const listings = { pairs, searchedFrom };
+        this.listings.set(hours, { at: Date.now(), listings });
+        return listings;
+    }
+
+    async getSecurity(address) {
+        const cached = this.security.get(address);
+        if (cached && Date.now() - cached.at < this.config.securityCacheMs) return cached.data;
+
+        const data = await this.tokenDataService.getTokenSecurity(address);
+        if (data) this.security.set(address, { at: Date.now(), data });
+        return data;
+    }
+
+    prune(now) {
+        for (const [hours, entry] of this.listings) {
+            if (now - entry.at >= this.config.listingCacheMs) this.listings.delete(hours);
+        }
+        for (const [address, entry] of this.security) {
+            if (now - entry.at >= this.config.securityCacheMs) this.security.delete(address);
+        }
+    }
+
+    // Resolves to { pairs, page, pageSize, pageCount, total, hidden, listed,
+    // searchedFrom }, listed being the pool count before any filter and
+    // searchedFrom set when the listing pages ran out before `hours`. Pairs
+    // past the security check cap are listed unchecked (security: null);
+    // total and pageCount count those as passing.
+    async find({ hours = 24, minLiquidity = 0, minMarketCap = 0, source = null, page = 1 }) {
+        this.prune(Date.now());
+        const { pageSize, maxSecurityChecks } = this.config;
+
+        const { pairs: listings, searchedFrom } = await this.getListings(hours);
+        const candidates = listings.filter(pair =>
+            pair.liquidity >= minLiquidity &&
+            (!minMarketCap || pair.marketCap >= minMarketCap) &&
+            (!source || SOURCE_FILTERS[source](pair))
+        );
+
+        const shown = [];
+        let hidden = 0;
+        for (const [index, pair] of candidates.entries()) {
+            if (shown.length >= page * pageSize) break;
+
+            const security = index < maxSecurityChecks ? await this.getSecurity(pair.address) : null;
+            if (security && getSecurityIssues(security, this.config).length > 0) {
+                hidden++;
+                continue;
+            }
+            shown.push({ ...pair, security });
+        }
+
+        const total = candidates.length - hidden;
+        return {
+            pairs: shown.slice((page - 1) * pageSize),
+            page,
+            pageSize,
+            pageCount: Math.max(1, Math.ceil(total / pageSize)),
+            total,
+            hidden,
+            listed: listings.length,
+            searchedFrom
+        };
+    }
+}
+
+module.exports = NewPairFinder;
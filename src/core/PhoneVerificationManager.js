@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const PhoneVerificationRepository = require('../database/PhoneVerificationRepository');
+
+const E164_REGEX = /^\+[1-9]\d{7,14}$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+// One-time SMS codes that prove a Discord user owns the number they register
+// for alerts. Codes are stored hashed, expire after codeTtlMs, and both code
+// sends and failed attempts are capped per hour. Results are returned as
+// { ok, reason } so command handlers can explain what went wrong.
+class PhoneVerificationManager {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.repository = new PhoneVerificationRepository(dependencies.database);
+        this.config = dependencies.config.twilio.verification;
+        this.sendCode = dependencies.sendCode;
+    }
+
+    validateDependencies(deps) {
+        if (!deps.database) throw new Error('Database required');
+        if (!deps.config?.twilio?.verification) throw new Error('SMS verification configuration required');
+        if (typeof deps.sendCode !== 'function') throw new Error('SMS code sender required');
+    }
+
+    // Strips spaces, dashes and brackets; returns null unless the result is E.164
+    static normalizePhone(input) {
+        const phone = String(input || '').replace(/[\s().-]/g, '');
+        return E164_REGEX.test(phone) ? phone : null;
+    }
+
+    generateCode() {
+        return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    }
+
+    hashCode(discordUserId, code) {
+        return crypto.createHash('sha256').update(`${discordUserId}:${code}`).digest('hex');
+    }
+
+    isLockedOut(discordUserId, now) {
+        return this.repository.countUserEvents(discordUserId, 'verify_failed', now - HOUR_MS) >= this.config.maxFailedPerHour;
+    }
+
+    async startVerification(discordUserId, input, now = Date.now()) {
+        const phone = PhoneVerificationManager.normalizePhone(input);
+        if (!phone) return { ok: false, reason: 'invalid_phone' };
+
+        if (this.isLockedOut(discordUserId, now)) return { ok: false, reason: 'locked_out' };
+
+        // Per user and per number, so nobody can flood someone else's phone
+        // from several Discord accounts
+        const since = now - HOUR_MS;
+        if (this.repository.countUserEvents(discordUserId, 'code_sent', since) >= this.config.maxCodesPerHour ||
+            this.repository.countPhoneEvents(phone, 'code_sent', since) >= this.config.maxCodesPerHour) {
+            return { ok: false, reason: 'rate_limited' };
+        }
+
+        const code = this.generateCode();
+        const expiresAt = now + this.config.codeTtlMs;
+        this.repository.savePending(discordUserId, phone, this.hashCode(discordUserId, code), expiresAt, now);
+
+        try {
+            await this.sendCode(phone, `Your kek-monitor verification code is ${code}. It expires in ${Math.round(this.config.codeTtlMs / 60000)} minutes.`);
+        } catch (error) {
+            this.repository.deletePending(discordUserId);
+            throw error;
+        }
+
+        this.repository.recordEvent(discordUserId, phone, 'code_sent', null, now);
+        console.log(`[DEBUG] Sent SMS verification code to ${phone} for ${discordUserId}`);
+        return { ok: true, phone, expiresAt };
+    }
+
+    verify(discordUserId, code, now = Date.now()) {
+        if (this.isLockedOut(discordUserId, now)) return { ok: false, reason: 'locked_out' };
+
+        const pending = this.repository.getPending(discordUserId);
+        if (!pending) return { ok: false, reason: 'no_pending' };
+
+        const fail = reason => {
+            this.repository.recordEvent(discordUserId, pending.phone, 'verify_failed', reason, now);
+            return { ok: false, reason };
+        };
+
+        if (pending.expires_at < now) {
+            this.repository.deletePending(discordUserId);
+            return fail('expired');
+        }
+
+        const provided = Buffer.from(this.hashCode(discordUserId, String(code || '').trim()));
+        const expected = Buffer.from(pending.code_hash);
+        if (!crypto.timingSafeEqual(provided, expected)) {
+            const attempts = pending.attempts + 1;
+            if (attempts >= this.config.maxAttempts) {
+                this.repository.deletePending(discordUserId);
+                return fail('too_many_attempts');
+            }
+            this.repository.incrementAttempts(discordUserId);
+            return { ...fail('wrong_code'), attemptsLeft: this.config.maxAttempts - attempts };
+        }
+
+        this.repository.deletePending(discordUserId);
+        this.repository.recordEvent(discordUserId, pending.phone, 'verified', null, now);
+        return { ok: true, phone: pending.phone };
+    }
+
+    cancel(discordUserId) {
+        this.repository.deletePending(discordUserId);
+    }
+}
+
+module.exports = PhoneVerificationManager;
@@ -0,0 +1,78 @@
+const { WSOL_MINT } = require('../utils/swapDecoder');
+
+// USD prices for SOL and tokens. A lookup is served from cache for ttlMs,
+// otherwise tried against Birdeye and then DexScreener. When both fail the
+// last price seen (up to maxStaleMs old) is returned with stale: true, so
+// embeds can say the value is not current.
+class PriceService {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.config = dependencies.config.prices;
+        this.providers = [
+            { name: 'birdeye', getPrice: mint => dependencies.birdeyeService.getTokenPrice(mint) },
+            { name: 'dexscreener', getPrice: mint => dependencies.dexScreenerService.getTokenPrice(mint) }
+        ];
+
+        this.quotes = new Map();     // mint -> { mint, price, source, fetchedAt }
+        this.pending = new Map();    // mint -> in-flight lookup
+    }
+
+    validateDependencies(deps) {
+        if (!deps.birdeyeService) throw new Error('BirdeyeService required');
+        if (!deps.dexScreenerService) throw new Error('DexScreenerService required');
+        if (!deps.config?.prices) throw new Error('Price configuration required');
+    }
+
+    prune(now) {
+        for (const [mint, quote] of this.quotes) {
+            if (now - quote.fetchedAt > this.config.maxStaleMs) this.quotes.delete(mint);
+        }
+    }
+
+    // Resolves to { mint, price, source, fetchedAt, stale } or null when no
+    // provider has a price and none is remembered
+    async getPrice(mint) {
+        const cached = this.quotes.get(mint);
+        if (cached && Date.now() - cached.fetchedAt < this.config.ttlMs) {
+            return { ...cached, stale: false };
+        }
+
+        // Concurrent lookups of one mint share a request
+        if (!this.pending.has(mint)) {
+            this.pending.set(mint, this.fetchPrice(mint).finally(() => this.pending.delete(mint)));
+        }
+        return this.pending.get(mint);
+    }
+
+    getSolPrice() {
+        return this.getPrice(WSOL_MINT);
+    }
+
+    async fetchPrice(mint) {
+        for (const provider of this.providers) {
+            const price = await provider.getPrice(mint).catch(() => null);
+            if (price > 0) return this.remember(mint, price, provider.name);
+        }
+
+        const last = this.quotes.get(mint);
+        if (!last) {
+            console.log(`[DEBUG] No price available for ${mint}`);
+            return null;
+        }
+        console.log(`[DEBUG] Using last known price for ${mint} from ${new Date(last.fetchedAt).toISOString()}`);
+        return { ...last, stale: true };
+    }
+
+    // Caches a price fetched elsewhere (e.g. with BirdeyeService.getTokenInfo)
+    remember(mint, price, source) {
+        const now = Date.now();
+        this.prune(now);
+
+        const quote = { mint, price, source, fetchedAt: now };
+        this.quotes.set(mint, quote);
+        return { ...quote, stale: false };
+    }
+}
+
+module.exports = PriceService;
@@ -0,0 +1,131 @@
+const { EventEmitter } = require('events');
+const ReadBudgetRepository = require('../database/ReadBudgetRepository');
+
+// Longest delay setTimeout honours; larger values fire after 1ms
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Monthly Twitter read cap on top of RateLimitManager's per-window limits.
+// Counts tweets read per billing period, stretches the polling interval so
+// the remaining budget lasts until the reset date, and emits 'threshold'
+// when usage crosses one of the configured warning levels.
+class ReadBudgetManager extends EventEmitter {
+    constructor(dependencies) {
+        super();
+        this.validateDependencies(dependencies);
+
+        this.repository = new ReadBudgetRepository(dependencies.database);
+        this.config = dependencies.config.twitter.readBudget;
+
+        this.state = {
+            cycleReads: 0,
+            averageReadsPerCycle: null,
+            currentIntervalMs: null
+        };
+    }
+
+    validateDependencies(deps) {
+        if (!deps.database) throw new Error('Database required');
+        if (!deps.config?.twitter?.readBudget) throw new Error('Read budget configuration required');
+    }
+
+    // Start of the current billing period (UTC), given the reset day of month
+    getPeriodStart(now = new Date()) {
+        const resetDay = Math.min(Math.max(this.config.resetDay, 1), 28);
+        const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), resetDay));
+        if (now < start) {
+            start.setUTCMonth(start.getUTCMonth() - 1);
+        }
+        return start;
+    }
+
+    getResetDate(now = new Date()) {
+        const reset = this.getPeriodStart(now);
+        reset.setUTCMonth(reset.getUTCMonth() + 1);
+        return reset;
+    }
+
+    getPeriodKey(now = new Date()) {
+        return this.getPeriodStart(now).toISOString().slice(0, 10);
+    }
+
+    recordReads(count) {
+        if (!count) return;
+
+        const periodKey = this.getPeriodKey();
+        this.repository.addReads(periodKey, count);
+        this.state.cycleReads += count;
+
+        this.checkThresholds(periodKey);
+    }
+
+    checkThresholds(periodKey) {
+        const { tweetsRead, warnedThreshold } = this.repository.getPeriod(periodKey);
+        const usage = tweetsRead / this.config.monthlyLimit;
+
+        const crossed = this.config.warningThresholds
+            .filter(threshold => usage >= threshold && threshold > warnedThreshold)
+            .pop();
+
+        if (crossed) {
+            this.repository.setWarnedThreshold(periodKey, crossed);
+            this.emit('threshold', { threshold: crossed, ...this.getStatus() });
+        }
+    }
+
+    // Close out a polling cycle and fold its read count into the running average
+    completeCycle() {
+        const reads = this.state.cycleReads;
+        this.state.cycleReads = 0;
+
+        this.state.averageReadsPerCycle = this.state.averageReadsPerCycle === null
+            ? reads
+            : this.state.averageReadsPerCycle * 0.8 + reads * 0.2;
+    }
+
+    // Interval that spends the remaining budget evenly until the reset date,
+    // capped at the longest timer delay (the check after it recomputes)
+    getPollingInterval(baseIntervalMs) {
+        const now = new Date();
+        const msUntilReset = this.getResetDate(now) - now;
+        const { remaining } = this.getStatus();
+
+        let interval = baseIntervalMs;
+        if (remaining <= 0) {
+            interval = msUntilReset;
+        } else {
+            const readsPerCycle = Math.max(this.state.averageReadsPerCycle || 0, 1);
+            const affordableCycles = remaining / readsPerCycle;
+            interval = Math.min(Math.max(baseIntervalMs, msUntilReset / affordableCycles), msUntilReset);
+        }
+
+        this.state.currentIntervalMs = Math.round(Math.min(interval, MAX_TIMER_MS));
+        return this.state.currentIntervalMs;
+    }
+
+    // VIP accounts first; only VIPs once usage passes vipOnlyThreshold
+    prioritizeAccounts(accounts) {
+        const vip = accounts.filter(account => account.isVIP);
+        const regular = accounts.filter(account => !account.isVIP);
+
+        if (this.getStatus().usage >= this.config.vipOnlyThreshold) {
+            return vip;
+        }
+        return [...vip, ...regular];
+    }
+
+    getStatus() {
+        const { tweetsRead } = this.repository.getPeriod(this.getPeriodKey());
+        const limit = this.config.monthlyLimit;
+
+        return {
+            used: tweetsRead,
+            limit,
+            remaining: Math.max(limit - tweetsRead, 0),
+            usage: tweetsRead / limit,
+            resetsAt: this.getResetDate(),
+            currentIntervalMs: this.state.currentIntervalMs
+        };
+    }
+}
+
+module.exports = ReadBudgetManager;
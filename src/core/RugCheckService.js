@@ -0,0 +1,45 @@
+const axios = require('axios');
+const RateLimitManager = require('./RateLimitManager');
+
+class RugCheckRateLimitManager extends RateLimitManager {
+    constructor() {
+        super({
+            endpoints: {
+                'rugcheck/report': {
+                    requestsPerWindow: 30,
+                    windowSizeMinutes: 1
+                }
+            },
+            defaultLimit: {
+                requestsPerWindow: 30,
+                windowSizeMinutes: 1
+            }
+        });
+    }
+}
+
+// RugCheck's keyless token report summary, used by the new pair feed for how
+// much of a token's liquidity is burned or locked.
+class RugCheckService {
+    constructor() {
+        this.rateLimitManager = new RugCheckRateLimitManager();
+        this.baseUrl = 'https://api.rugcheck.xyz/v1';
+    }
+
+    // Share (0-100) of the token's LP tokens burned or locked, across its
+    // markets. Throws when the report cannot be fetched.
+    async getLpLockedPercent(mint) {
+        const report = await this.rateLimitManager.scheduleRequest(
+            async () => {
+                const response = await axios.get(`${this.baseUrl}/tokens/${mint}/report/summary`);
+                return response.data;
+            },
+            'rugcheck/report'
+        );
+
+        const percent = parseFloat(report?.lpLockedPct);
+        return Number.isFinite(percent) ? percent : 0;
+    }
+}
+
+module.exports = RugCheckService;
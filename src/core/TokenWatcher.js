@@ -0,0 +1,253 @@
+const TokenWatchRepository = require('../database/TokenWatchRepository');
+
+// Conditions /watch offers. metric is the value compared each check; rising
+// level conditions fire when it reaches the threshold, falling ones when it
+// drops to it. change compares against the price windowMinutes ago, rising
+// for a positive threshold and falling for a negative one.
+const CONDITIONS = {
+    price_above: { metric: 'price', type: 'level', rising: true },
+    price_below: { metric: 'price', type: 'level', rising: false },
+    mcap_above: { metric: 'marketCap', type: 'level', rising: true },
+    mcap_below: { metric: 'marketCap', type: 'level', rising: false },
+    change: { metric: 'change', type: 'level' },
+    liquidity_drop: { metric: 'liquidity', type: 'drop' },
+    holders_change: { metric: 'holders', type: 'move' }
+};
+
+const WINDOW_MINUTES = [5, 15, 60, 240, 1440];
+
+// Re-checks every /watch condition on a timer. Watched mints are priced
+// through one Birdeye multi_price request per batchSize mints (prices are
+// also kept as samples for change windows); market cap and holder counts
+// come from token overviews refreshed every overviewRefreshMs, and only for
+// mints a condition needs them for.
+//
+// A watch alerts once per trigger. Level conditions then stay disarmed until
+// the value is back past the threshold by the hysteresis margin.
+// liquidity_drop compares against the peak liquidity since its last alert
+// and holders_change against the holder count at its last alert; an alert
+// moves the reference to the current value, so the next one needs another
+// full move.
+class TokenWatcher {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.repository = new TokenWatchRepository(dependencies.database);
+        this.birdeyeService = dependencies.birdeyeService;
+        this.publish = dependencies.publish;
+        this.config = dependencies.config.watch;
+
+        this.overviews = new Map();  // mint -> { at, supply, holders }
+        this.timer = null;
+        this.isChecking = false;
+    }
+
+    validateDependencies(deps) {
+        if (!deps.database) throw new Error('Database required');
+        if (!deps.birdeyeService) throw new Error('BirdeyeService required');
+        if (typeof deps.publish !== 'function') throw new Error('publish function required');
+        if (!deps.config?.watch) throw new Error('Watch configuration required');
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.check(), this.config.checkIntervalMs);
+        console.log(`[DEBUG] Token watches checked every ${this.config.checkIntervalMs / 1000}s`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // tokenInfo is the token's current info, used to start the watch from
+    // where the token is now: a level condition that already holds starts
+    // disarmed, so only a fresh crossing alerts.
+    addWatch(watch, tokenInfo) {
+        const { metric, type, rising } = CONDITIONS[watch.condition];
+        const current = {
+            price: tokenInfo.price,
+            marketCap: tokenInfo.marketCap,
+            liquidity: tokenInfo.liquidity,
+            holders: tokenInfo.holders
+        };
+        const value = current[metric] || null;
+        const holds = value !== null && type === 'level' && (rising ? value >= watch.threshold : value <= watch.threshold);
+
+        return this.repository.addWatch({
+            ...watch,
+            armed: !holds,
+            reference: type === 'level' ? null : value,
+            lastValue: value,
+            createdAt: Date.now()
+        });
+    }
+
+    hasBirdeyeBudget(cost) {
+        return this.birdeyeService.rateLimitManager.getRemaining() - cost >= this.config.birdeyeReserve;
+    }
+
+    async check() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+
+        try {
+            const watches = this.repository.getAllWatches();
+            if (watches.length === 0) return;
+
+            const now = Date.now();
+            const mints = [...new Set(watches.map(watch => watch.mint))];
+            const prices = await this.fetchPrices(mints);
+
+            this.repository.addSamples([...prices].map(([mint, quote]) => [mint, quote.price]), now);
+            this.repository.pruneSamples(now - Math.max(...WINDOW_MINUTES) * 60 * 1000 - 2 * this.config.checkIntervalMs);
+
+            const overviewMints = new Set(watches
+                .filter(watch => ['marketCap', 'holders'].includes(CONDITIONS[watch.condition].metric))
+                .map(watch => watch.mint));
+            await this.refreshOverviews([...overviewMints], now);
+
+            let fired = 0;
+            for (const watch of watches) {
+                const value = this.getValue(watch, prices.get(watch.mint), now);
+                if (value === null) continue;
+
+                const result = this.evaluate(watch, value, now);
+                this.repository.updateState(watch.id, result.state);
+                if (!result.fired) continue;
+
+                fired++;
+                await this.publish(watch, { value, change: result.change, price: prices.get(watch.mint)?.price }).catch(error => {
+                    console.error(`[ERROR] Failed to send watch alert ${watch.id}:`, error.message);
+                });
+            }
+
+            console.log(`[DEBUG] Checked ${watches.length} watches on ${mints.length} tokens, ${fired} alerts`);
+        } catch (error) {
+            console.error('[ERROR] Token watch check failed:', error.message);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    async fetchPrices(mints) {
+        const prices = new Map();
+
+        for (let i = 0; i < mints.length; i += this.config.batchSize) {
+            if (!this.hasBirdeyeBudget(1)) {
+                console.log('[DEBUG] Token watch pricing paused: Birdeye budget reserved for commands');
+                break;
+            }
+
+            const batch = mints.slice(i, i + this.config.batchSize);
+            try {
+                for (const [mint, quote] of await this.birdeyeService.getMultiPrice(batch)) {
+                    prices.set(mint, quote);
+                }
+            } catch (error) {
+                console.error('[ERROR] Failed to price watched tokens:', error.message);
+            }
+        }
+        return prices;
+    }
+
+    async refreshOverviews(mints, now) {
+        for (const mint of mints) {
+            const cached = this.overviews.get(mint);
+            if (cached && now - cached.at < this.config.overviewRefreshMs) continue;
+            if (!this.hasBirdeyeBudget(1)) break;
+
+            const info = await this.birdeyeService.getTokenInfo(mint);
+            if (!info) continue;
+
+            this.overviews.set(mint, {
+                at: now,
+                supply: info.price > 0 && info.marketCap > 0 ? info.marketCap / info.price : null,
+                holders: info.holders || null
+            });
+        }
+
+        for (const mint of this.overviews.keys()) {
+            if (!mints.includes(mint)) this.overviews.delete(mint);
+        }
+    }
+
+    // The watch's metric now, or null when it is not known this check
+    getValue(watch, quote, now) {
+        const overview = this.overviews.get(watch.mint);
+
+        switch (CONDITIONS[watch.condition].metric) {
+            case 'price':
+                return quote?.price ?? null;
+            case 'marketCap':
+                return quote && overview?.supply ? quote.price * overview.supply : null;
+            case 'liquidity':
+                return quote?.liquidity ?? null;
+            case 'holders':
+                return overview?.holders ?? null;
+            case 'change': {
+                const past = quote && this.repository.getPriceAt(watch.mint, now - watch.window_minutes * 60 * 1000);
+                return past ? (quote.price - past.price) / past.price * 100 : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Resolves the watch's next state and whether it fired; change is the
+    // percent move against the reference for liquidity_drop and holders_change
+    evaluate(watch, value, now) {
+        const { type, rising: conditionRising } = CONDITIONS[watch.condition];
+        const state = {
+            armed: Boolean(watch.armed),
+            reference: watch.reference,
+            lastValue: value,
+            triggeredAt: watch.triggered_at
+        };
+
+        if (type === 'drop') {
+            const peak = Math.max(watch.reference ?? value, value);
+            const change = peak > 0 ? (value - peak) / peak * 100 : 0;
+            const fired = -change >= watch.threshold;
+            return { fired, change, state: { ...state, reference: fired ? value : peak, triggeredAt: fired ? now : state.triggeredAt } };
+        }
+
+        if (type === 'move') {
+            if (!watch.reference) return { fired: false, state: { ...state, reference: value } };
+            const change = (value - watch.reference) / watch.reference * 100;
+            const fired = Math.abs(change) >= watch.threshold;
+            return { fired, change, state: { ...state, reference: fired ? value : watch.reference, triggeredAt: fired ? now : state.triggeredAt } };
+        }
+
+        const rising = conditionRising ?? watch.threshold > 0;
+        if (state.armed) {
+            const fired = rising ? value >= watch.threshold : value <= watch.threshold;
+            return { fired, state: { ...state, armed: !fired, triggeredAt: fired ? now : state.triggeredAt } };
+        }
+
+        const margin = Math.abs(watch.threshold) * this.config.hysteresis;
+        const rearmed = rising ? value < watch.threshold - margin : value > watch.threshold + margin;
+        return { fired: false, state: { ...state, armed: rearmed } };
+    }
+
+    getGuildWatches(guildId) {
+        return this.repository.getGuildWatches(guildId);
+    }
+
+    getWatch(id) {
+        return this.repository.getWatch(id);
+    }
+
+    countUserWatches(userId) {
+        return this.repository.countUserWatches(userId);
+    }
+
+    removeWatch(id) {
+        return this.repository.removeWatch(id);
+    }
+}
+
+TokenWatcher.CONDITIONS = CONDITIONS;
+TokenWatcher.WINDOW_MINUTES = WINDOW_MINUTES;
+
+module.exports = TokenWatcher;
@@ -1,13 +1,64 @@
 const { TwitterApi } = require('twitter-api-v2');
-const { Client, GatewayIntentBits, ApplicationCommandOptionType, ChannelType } = require('discord.js');
+const axios = require('axios');
+const { Client, GatewayIntentBits, PermissionFlagsBits } = require('discord.js');
 const RateLimitManager = require('./RateLimitManager');
 const DexScreenerService = require('./DexScreenerService');
-const BirdeyeService = require('./BirdeyeService');
+const PriceService = require('./PriceService');
+const NewPairFinder = require('./NewPairFinder');
+const NewPairFeed = require('./NewPairFeed');
+const RugCheckService = require('./RugCheckService');
+const TokenWatcher = require('./TokenWatcher');
+const TokenDataService = require('../tokenData/TokenDataService');
+const BirdeyeTokenDataProvider = require('../tokenData/providers/BirdeyeTokenDataProvider');
+const DexScreenerTokenDataProvider = require('../tokenData/providers/DexScreenerTokenDataProvider');
 const twilio = require('twilio');
-const HeliusService = require('./HeliusService');
+const StateRepository = require('../database/StateRepository');
+const ReadBudgetManager = require('./ReadBudgetManager');
+const CallTracker = require('./CallTracker');
+const ConvergenceDetector = require('./ConvergenceDetector');
+const WalletPnLTracker = require('./WalletPnLTracker');
+const HeliusWebhookSync = require('./HeliusWebhookSync');
+const CommandSync = require('./CommandSync');
+const PhoneVerificationManager = require('./PhoneVerificationManager');
+const { loadCommands } = require('../commands');
+const KeywordRuleRepository = require('../database/KeywordRuleRepository');
+const GuildRepository = require('../database/GuildRepository');
+const SubscriptionRepository = require('../database/SubscriptionRepository');
+const { extractSolanaAddresses, isSolanaAddress, QUOTE_MINTS } = require('../utils/solanaAddress');
+const { decodeTransfer, WSOL_MINT } = require('../utils/swapDecoder');
+const { parseWalletTags } = require('../utils/walletTags');
+const NotificationRouter = require('../notifications/NotificationRouter');
+const DiscordChannelTransport = require('../notifications/transports/DiscordChannelTransport');
+const DiscordDMTransport = require('../notifications/transports/DiscordDMTransport');
+const TwilioSMSTransport = require('../notifications/transports/TwilioSMSTransport');
+const WebhookTransport = require('../notifications/transports/WebhookTransport');
+const SMSDigestManager = require('../notifications/SMSDigestManager');
+const { DEFAULT_EVENT_TYPES } = require('../notifications/subscriptionFilter');
 const path = require('path');
 const fs = require('fs');
 
+const GUILD_CHANNEL_KINDS = GuildRepository.CHANNEL_KINDS;
+const REQUIRED_CHANNEL_KINDS = GUILD_CHANNEL_KINDS.filter(kind => !GuildRepository.OPTIONAL_CHANNEL_KINDS.includes(kind));
+
+// Carrier opt-out / opt-in keywords for inbound SMS
+const SMS_STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const SMS_START_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+const SMS_MAX_PAUSE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const WALLET_IMPORT_MAX_BYTES = 512 * 1024;
+
+// How long a guild membership lookup for SMS scoping is reused
+const GUILD_MEMBER_CACHE_MS = 10 * 60 * 1000;
+
+// Wallet alert title and color by swap side, or for transfers and anything else
+const WALLET_ALERT_TITLES = {
+    buy: { emoji: '🟢', name: 'Buy', color: 0x14F195 },
+    sell: { emoji: '🔴', name: 'Sell', color: 0xF0463C },
+    swap: { emoji: '🔄', name: 'Swap', color: 0x9945FF },
+    transfer: { emoji: '💸', name: 'Transfer', color: 0x9945FF },
+    other: { emoji: '🔔', name: 'Transaction', color: 0x9945FF }
+};
+
 class TwitterMonitorBot {
     constructor(dependencies) {
         this.validateDependencies(dependencies);
@@ -26,6 +77,15 @@ class TwitterMonitorBot {
         this.heliusService = dependencies.heliusService;
         this.birdeyeService = dependencies.birdeyeService;
         this.config = dependencies.config;
+        this.stateRepository = new StateRepository(dependencies.database);
+        this.keywordRuleRepository = new KeywordRuleRepository(dependencies.database);
+        this.guildRepository = new GuildRepository(dependencies.database);
+        this.subscriptionRepository = new SubscriptionRepository(dependencies.database);
+        this.phoneVerification = new PhoneVerificationManager({
+            database: dependencies.database,
+            config: this.config,
+            sendCode: (phone, message) => this.sendTwilioMessage(message, phone)
+        });
 
         // Initialize Twitter client
         this.twitter = new TwitterApi({
@@ -37,12 +97,139 @@ class TwitterMonitorBot {
 
         // Initialize rate limit manager with config
         this.rateLimitManager = new RateLimitManager(this.config.twitter.rateLimit);
+
+        // Monthly read cap on top of the per-window limits
+        this.readBudget = new ReadBudgetManager({
+            database: dependencies.database,
+            config: this.config
+        });
+        this.readBudget.on('threshold', status => {
+            this.sendReadBudgetWarning(status).catch(error => {
+                console.error('[ERROR] Failed to send read budget warning:', error);
+            });
+        });
+
+        this.convergence = new ConvergenceDetector({ config: this.config });
+
+        // SMS goes out now or is held for a digest by quiet hours / hourly cap
+        this.smsDigest = new SMSDigestManager({
+            database: dependencies.database,
+            config: this.config,
+            sendSMS: (message, phone, discordUserId) => this.sendSMSAlert(message, phone, discordUserId),
+            getSubscription: discordUserId => this.subscriptionRepository.getSubscription(discordUserId),
+            getSubscribers: () => this.getActiveSMSSubscribers()
+        });
+
+        // All alert delivery goes through the router's rules and transports
+        this.notificationRouter = new NotificationRouter({
+            rules: NotificationRouter.loadRules(this.config.notifications.rulesPath)
+        });
+        this.notificationRouter.registerTransport(new DiscordChannelTransport({
+            getGuildChannels: guildId => this.getGuildChannels(guildId),
+            getChannel: channelId => this.client.channels.fetch(channelId).catch(() => null)
+        }));
+        this.notificationRouter.registerTransport(new DiscordDMTransport({ client: this.client }));
+        this.notificationRouter.registerTransport(new TwilioSMSTransport({
+            deliver: (subscriber, event) => this.smsDigest.deliver(subscriber, event),
+            getSubscribers: () => this.getActiveSMSSubscribers(),
+            getSubscription: discordUserId => this.subscriptionRepository.getSubscription(discordUserId),
+            isMemberOfAny: (guildIds, discordUserId) => this.isMemberOfAny(guildIds, discordUserId),
+            defaults: { minUsdValue: this.config.notifications.defaultMinUsdValue }
+        }));
+        this.notificationRouter.registerTransport(new WebhookTransport({ url: this.config.notifications.webhookUrl }));
+
+        // Slash command definitions from src/commands, synced by diff
+        this.commandSync = new CommandSync({
+            client: this.client,
+            commands: loadCommands(),
+            config: this.config
+        });
+
+        // Token info merged from Birdeye and DexScreener, with failover
+        this.dexScreenerService = new DexScreenerService();
+        this.tokenData = new TokenDataService({
+            providers: [
+                new BirdeyeTokenDataProvider({ birdeyeService: dependencies.birdeyeService }),
+                new DexScreenerTokenDataProvider({ dexScreenerService: this.dexScreenerService })
+            ],
+            config: this.config
+        });
+
+        // New pools for /newpairs, with low-quality ones hidden
+        this.newPairs = new NewPairFinder({
+            birdeyeService: dependencies.birdeyeService,
+            dexScreenerService: this.dexScreenerService,
+            tokenDataService: this.tokenData,
+            config: this.config
+        });
+
+        // Quality-filtered new pools posted to each guild's newpairs channel
+        this.newPairFeed = new NewPairFeed({
+            database: dependencies.database,
+            newPairFinder: this.newPairs,
+            heliusService: this.heliusService,
+            rugCheckService: new RugCheckService(),
+            tokenDataService: this.tokenData,
+            birdeyeService: dependencies.birdeyeService,
+            config: this.config,
+            getGuildIds: () => Array.from(this.guildSettings.values())
+                .filter(settings => settings.newpairs_channel_id)
+                .map(settings => settings.guild_id),
+            publish: (pair, tokenInfo, guildIds) => this.sendNewPairAlert(pair, tokenInfo, guildIds)
+        });
+
+        // /watch conditions re-checked through Birdeye in batches
+        this.tokenWatcher = new TokenWatcher({
+            database: dependencies.database,
+            birdeyeService: dependencies.birdeyeService,
+            config: this.config,
+            publish: (watch, alert) => this.sendWatchAlert(watch, alert)
+        });
+
+        // Cached SOL/token USD prices with DexScreener and last-known fallbacks
+        this.priceService = new PriceService({
+            birdeyeService: dependencies.birdeyeService,
+            dexScreenerService: this.dexScreenerService,
+            config: this.config
+        });
+
+        // Contract calls priced at mention time, for /leaderboard
+        this.callTracker = new CallTracker({
+            database: dependencies.database,
+            priceService: this.priceService,
+            config: this.config
+        });
+
+        // Per-wallet trade ledger, for /walletpnl
+        this.walletPnL = new WalletPnLTracker({
+            database: dependencies.database,
+            priceService: this.priceService,
+            tokenDataService: this.tokenData
+        });
+
+        // Pushes the wallet registry to the Helius webhook after each change
+        this.walletSync = new HeliusWebhookSync({
+            heliusService: this.heliusService,
+            config: this.config,
+            getAddresses: () => Array.from(this.trackedWallets.keys())
+        });
+        this.walletSync.on('failed', status => {
+            this.sendWalletSyncReport(status, false).catch(error => {
+                console.error('[ERROR] Failed to send wallet sync report:', error);
+            });
+        });
+        this.walletSync.on('recovered', status => {
+            this.sendWalletSyncReport(status, true).catch(error => {
+                console.error('[ERROR] Failed to send wallet sync report:', error);
+            });
+        });
         
-        // Simple runtime state - no persistence
+        // Runtime state, written through to SQLite and restored on start
         this.monitoredAccounts = new Map();
         this.trackedWallets = new Map();
         this.smsSubscribers = new Map();
-        this.processedTweets = new Set();
+        this.processedTweets = new Set();  // tweetId:guildId:target delivery keys
+        this.guildMembership = new Map();  // guildId:userId -> { isMember, checkedAt }
         this.lastSearchTime = new Map();
         this.tokenMentions = new Map();
         this.trackedTokens = new Map();
@@ -67,11 +254,11 @@ class TwitterMonitorBot {
             });
         }
 
-        // Initialize channel properties as null
-        this.tweetsChannel = null;
-        this.vipChannel = null;
-        this.walletsChannel = null;
-        this.solanaChannel = null;
+        // Per-guild channel settings, resolved channels and subscriptions
+        this.guildSettings = new Map();
+        this.guildChannels = new Map();
+        this.guildAccounts = new Map();
+        this.guildWallets = new Map();
     }
 
     validateDependencies(deps) {
@@ -79,12 +266,20 @@ class TwitterMonitorBot {
         if (!deps.heliusService) throw new Error('HeliusService required');
         if (!deps.birdeyeService) throw new Error('BirdeyeService required');
         if (!deps.config) throw new Error('Config required');
+        if (!deps.database) throw new Error('Database required');
         if (!deps.rateLimitManager) throw new Error('RateLimitManager required for Twitter operations');
     }
 
     async start() {
         try {
-            // Validate channels
+            // Restore persisted accounts, subscribers, tokens and guild settings
+            await this.loadPersistedState();
+            
+            // Load tracked wallets and push them to the Helius webhook
+            await this.loadTrackedWallets();
+            this.walletSync.requestSync(null, 0);
+
+            // Resolve each guild's notification channels
             await this.testChannelAccess();
             
             // Register commands
@@ -92,9 +287,12 @@ class TwitterMonitorBot {
             
             // Setup command handling
             this.setupCommandHandling();
-            
-            // Load tracked wallets
-            await this.loadTrackedWallets();
+
+            // Re-price recorded calls for the leaderboard
+            this.callTracker.start();
+            this.smsDigest.start();
+            this.newPairFeed.start();
+            this.tokenWatcher.start();
             
             // Start monitoring
             await this.startMonitoring();
@@ -106,31 +304,178 @@ class TwitterMonitorBot {
         }
     }
 
+    // Resolve every configured guild's channels. A missing channel is logged,
+    // not fatal: that guild just gets no notifications of that kind.
     async testChannelAccess() {
+        console.log('[DEBUG] Testing channel access...');
+
+        for (const guildId of this.guildSettings.keys()) {
+            const channels = await this.resolveGuildChannels(guildId);
+            const missing = REQUIRED_CHANNEL_KINDS.filter(kind => !channels[kind]);
+            if (missing.length > 0) {
+                console.log(`[DEBUG] ⚠️ Guild ${guildId} has no ${missing.join(', ')} channel - run /setup there`);
+            }
+        }
+
+        for (const guild of this.client.guilds.cache.values()) {
+            if (!this.guildSettings.has(guild.id)) {
+                console.log(`[DEBUG] ⚠️ Guild ${guild.name} (${guild.id}) is not set up - run /setup there`);
+            }
+        }
+
+        console.log(`[DEBUG] ✅ Channel access checked for ${this.guildSettings.size} guild(s)`);
+    }
+
+    async resolveGuildChannels(guildId) {
+        const settings = this.guildSettings.get(guildId) || {};
+        const channels = {};
+
+        for (const kind of GUILD_CHANNEL_KINDS) {
+            const channelId = settings[`${kind}_channel_id`];
+            channels[kind] = channelId
+                ? await this.client.channels.fetch(channelId).catch(error => {
+                    console.error(`[ERROR] Cannot access ${kind} channel ${channelId} in guild ${guildId}:`, error.message);
+                    return null;
+                })
+                : null;
+        }
+
+        this.guildChannels.set(guildId, channels);
+        return channels;
+    }
+
+    async getGuildChannels(guildId) {
+        return this.guildChannels.get(guildId) || this.resolveGuildChannels(guildId);
+    }
+
+    // Single-server installs configured through DISCORD_GUILD_ID and the
+    // DISCORD_*_CHANNEL variables become that guild's /setup settings, and
+    // state saved before multi-guild support is assigned to it.
+    adoptLegacyGuild() {
+        const guildId = this.config.discord.guildId;
+        if (!guildId) return;
+
+        if (!this.guildRepository.getSettings(guildId)) {
+            this.guildRepository.upsertSettings(guildId, this.config.discord.channels, 'env');
+        }
+
+        const adopted = this.guildRepository.adoptUnassigned(guildId);
+        if (adopted.accounts || adopted.wallets || adopted.rules || adopted.calls) {
+            console.log(`[DEBUG] Assigned ${adopted.accounts} accounts, ${adopted.wallets} wallets, ${adopted.rules} keyword rules and ${adopted.calls} calls to guild ${guildId}`);
+        }
+    }
+
+    // Whether a Discord user is in a guild the bot is in. Results, including
+    // misses, are reused for GUILD_MEMBER_CACHE_MS.
+    async isGuildMember(guildId, userId) {
+        const key = `${guildId}:${userId}`;
+        const cached = this.guildMembership.get(key);
+        if (cached && Date.now() - cached.checkedAt < GUILD_MEMBER_CACHE_MS) return cached.isMember;
+
+        const guild = this.client.guilds.cache.get(guildId);
+        const member = guild ? await guild.members.fetch(userId).catch(() => null) : null;
+        this.guildMembership.set(key, { isMember: !!member, checkedAt: Date.now() });
+        return !!member;
+    }
+
+    async isMemberOfAny(guildIds, userId) {
+        for (const guildId of guildIds) {
+            if (await this.isGuildMember(guildId, userId)) return true;
+        }
+        return false;
+    }
+
+    getGuildMap(map, guildId) {
+        if (!map.has(guildId)) {
+            map.set(guildId, new Map());
+        }
+        return map.get(guildId);
+    }
+
+    async loadPersistedState() {
         try {
-            console.log('[DEBUG] Testing channel access...');
-            
-            // Get guild
-            const guild = this.client.guilds.cache.get(this.config.discord.guildId);
-            if (!guild) {
-                throw new Error(`Could not find guild with ID ${this.config.discord.guildId}`);
+            this.adoptLegacyGuild();
+
+            for (const settings of this.guildRepository.getAllSettings()) {
+                this.guildSettings.set(settings.guild_id, settings);
+            }
+
+            for (const account of this.stateRepository.getMonitoredAccounts()) {
+                this.monitoredAccounts.set(account.id, account);
+            }
+
+            for (const follow of this.guildRepository.getGuildAccounts()) {
+                this.getGuildMap(this.guildAccounts, follow.guild_id).set(follow.twitter_id, {
+                    isVIP: follow.is_vip === 1,
+                    monitor_type: follow.monitor_type,
+                    added_by: follow.added_by
+                });
+            }
+
+            for (const subscriber of this.stateRepository.getSMSSubscribers()) {
+                this.smsSubscribers.set(subscriber.discord_user_id, {
+                    phone: subscriber.phone,
+                    discord_user_id: subscriber.discord_user_id,
+                    verified_at: subscriber.verified_at,
+                    opted_out_at: subscriber.opted_out_at,
+                    paused_until: subscriber.paused_until
+                });
+            }
+
+            for (const token of this.stateRepository.getTrackedTokens()) {
+                this.trackedTokens.set(token.address, token);
             }
-            console.log('[DEBUG] Found guild:', guild.name);
 
-            // Fetch all channels at once
-            this.tweetsChannel = await guild.channels.fetch(this.config.discord.channels.tweets);
-            this.vipChannel = await guild.channels.fetch(this.config.discord.channels.vip);
-            this.walletsChannel = await guild.channels.fetch(this.config.discord.channels.wallets);
-            this.solanaChannel = await guild.channels.fetch(this.config.discord.channels.solana);
+            console.log(`[DEBUG] Restored ${this.guildSettings.size} guilds, ${this.monitoredAccounts.size} accounts, ${this.smsSubscribers.size} SMS subscribers, ${this.trackedTokens.size} tokens`);
+        } catch (error) {
+            console.error('[ERROR] Failed to load persisted state:', error);
+            throw error;
+        }
+    }
+
+    async loadTrackedWallets() {
+        try {
+            this.importWalletSeeds();
 
-            if (!this.tweetsChannel || !this.vipChannel || !this.walletsChannel || !this.solanaChannel) {
-                throw new Error('One or more channels not found');
+            for (const wallet of this.stateRepository.getTrackedWallets()) {
+                this.trackedWallets.set(wallet.address, wallet);
+                this.heliusService.setWalletName(wallet.address, wallet.name);
             }
 
-            console.log('[DEBUG] ✅ All channels accessed successfully');
+            for (const wallet of this.guildRepository.getGuildWallets()) {
+                this.getGuildMap(this.guildWallets, wallet.guild_id).set(wallet.address, {
+                    address: wallet.address,
+                    name: wallet.name,
+                    added_by: wallet.added_by,
+                    tags: wallet.tags
+                });
+            }
+            console.log(`[DEBUG] Restored ${this.trackedWallets.size} tracked wallets`);
         } catch (error) {
-            console.error('[DEBUG] Channel access error:', error);
-            throw new Error(`Channel access failed - ${error.message}`);
+            console.error('[ERROR] Failed to load tracked wallets:', error);
+            throw error;
+        }
+    }
+
+    // wallets.json seeds the registry: new entries are added once (to the
+    // DISCORD_GUILD_ID server when set), after which the registry owns them
+    importWalletSeeds() {
+        const walletsPath = this.config.helius.walletsPath;
+        if (!fs.existsSync(walletsPath)) return;
+
+        const { wallets = [] } = JSON.parse(fs.readFileSync(walletsPath, 'utf8'));
+        const seeds = [];
+        for (const wallet of wallets) {
+            if (!wallet.name || !isSolanaAddress(wallet.address)) {
+                console.error(`[ERROR] Skipped ${path.basename(walletsPath)} entry ${JSON.stringify(wallet.name || wallet.address)}: missing name or invalid address`);
+                continue;
+            }
+            seeds.push({ address: wallet.address, name: wallet.name, tags: parseWalletTags(wallet.tags) });
+        }
+
+        const imported = this.stateRepository.importWalletSeeds(seeds, this.config.discord.guildId || null);
+        if (imported > 0) {
+            console.log(`[DEBUG] Imported ${imported} wallets from ${path.basename(walletsPath)}`);
         }
     }
 
@@ -138,16 +483,63 @@ class TwitterMonitorBot {
         return Array.from(this.monitoredAccounts.values());
     }
 
-    async addMonitoredAccount(account) {
-        this.monitoredAccounts.set(account.id, {
-            ...account,
-            lastTweetId: null
-        });
+    // Accounts one guild follows, with that guild's VIP flag and monitor type
+    async getGuildMonitoredAccounts(guildId) {
+        const follows = this.guildAccounts.get(guildId) || new Map();
+        return Array.from(follows.entries())
+            .filter(([twitterId]) => this.monitoredAccounts.has(twitterId))
+            .map(([twitterId, follow]) => ({ ...this.monitoredAccounts.get(twitterId), ...follow }));
+    }
+
+    getGuildsFollowing(twitterId) {
+        return Array.from(this.guildAccounts.entries())
+            .filter(([, follows]) => follows.has(twitterId))
+            .map(([guildId, follows]) => ({ guildId, follow: follows.get(twitterId) }));
+    }
+
+    // The account itself is shared and polled once; it counts as VIP for
+    // read-budget priority if any guild follows it as VIP.
+    async addMonitoredAccount(guildId, account, addedBy) {
+        const follow = {
+            isVIP: !!account.isVIP,
+            monitor_type: account.monitor_type || null,
+            added_by: addedBy || null
+        };
+        const otherGuildIsVIP = this.getGuildsFollowing(account.id)
+            .some(other => other.guildId !== guildId && other.follow.isVIP);
+
+        const existing = this.monitoredAccounts.get(account.id);
+        const stored = {
+            id: account.id,
+            username: account.username,
+            name: account.name,
+            monitor_type: account.monitor_type || existing?.monitor_type || null,
+            isVIP: follow.isVIP || otherGuildIsVIP,
+            lastTweetId: existing?.lastTweetId || null
+        };
+        this.stateRepository.upsertMonitoredAccount(stored);
+        this.monitoredAccounts.set(account.id, stored);
+
+        this.guildRepository.upsertGuildAccount(guildId, { twitterId: account.id, ...follow });
+        this.getGuildMap(this.guildAccounts, guildId).set(account.id, follow);
         return true;
     }
 
-    async removeMonitoredAccount(twitterId) {
-        return this.monitoredAccounts.delete(twitterId);
+    // Stops polling the account once no guild follows it
+    async removeMonitoredAccount(guildId, twitterId) {
+        this.guildRepository.removeGuildAccount(guildId, twitterId);
+        const removed = this.guildAccounts.get(guildId)?.delete(twitterId) || false;
+
+        const remaining = this.getGuildsFollowing(twitterId);
+        const account = this.monitoredAccounts.get(twitterId);
+        if (remaining.length === 0) {
+            this.stateRepository.removeMonitoredAccount(twitterId);
+            this.monitoredAccounts.delete(twitterId);
+        } else if (account) {
+            account.isVIP = remaining.some(({ follow }) => follow.isVIP);
+            this.stateRepository.upsertMonitoredAccount(account);
+        }
+        return removed;
     }
 
     async updateLastTweetId(twitterId, lastTweetId) {
@@ -155,19 +547,33 @@ class TwitterMonitorBot {
         if (account) {
             account.lastTweetId = lastTweetId;
             this.monitoredAccounts.set(twitterId, account);
+            this.stateRepository.updateLastTweetId(twitterId, lastTweetId);
         }
     }
 
-    async isTweetProcessed(tweetId) {
-        return this.processedTweets.has(tweetId);
+    // A tweet is processed once per delivery target: a guild's account
+    // follows, or one of its keyword rules
+    getDeliveryTarget(target) {
+        return target.rule ? `rule:${target.rule.id}` : 'follow';
+    }
+
+    async isTweetDelivered(tweetId, target) {
+        const key = `${tweetId}:${target.guildId}:${this.getDeliveryTarget(target)}`;
+        return this.processedTweets.has(key) ||
+            this.stateRepository.isTweetDelivered(tweetId, target.guildId, this.getDeliveryTarget(target));
     }
 
-    async addProcessedTweet(tweet) {
-        this.processedTweets.add(tweet.id);
+    async addTweetDeliveries(tweet, targets) {
+        const deliveries = targets.map(target => ({ guildId: target.guildId, target: this.getDeliveryTarget(target) }));
+        for (const { guildId, target } of deliveries) {
+            this.processedTweets.add(`${tweet.id}:${guildId}:${target}`);
+        }
+        this.stateRepository.addTweetDeliveries(tweet.id, deliveries);
     }
 
     async addTokenMention(tweetId, tokenAddress) {
         this.tokenMentions.set(tweetId, tokenAddress);
+        this.stateRepository.addTokenMention(tweetId, tokenAddress);
     }
 
     async addTrackedToken(address, tweetId) {
@@ -177,18 +583,58 @@ class TwitterMonitorBot {
                 first_seen_tweet_id: tweetId,
                 created_at: new Date().toISOString()
             });
+            this.stateRepository.addTrackedToken(address, tweetId);
+        }
+    }
+
+    getGuildsTrackingWallet(address) {
+        return Array.from(this.guildWallets.entries())
+            .filter(([, wallets]) => wallets.has(address))
+            .map(([guildId, wallets]) => ({ guildId, wallet: wallets.get(address) }));
+    }
+
+    // The wallet is registered with Helius once; each guild keeps its own name for it
+    async addTrackedWallet(guildId, wallet) {
+        if (!this.trackedWallets.has(wallet.address)) {
+            this.stateRepository.upsertTrackedWallet(wallet);
+            this.trackedWallets.set(wallet.address, wallet);
+            this.heliusService.setWalletName(wallet.address, wallet.name);
+            this.walletSync.requestSync(guildId);
+        }
+
+        this.guildRepository.upsertGuildWallet(guildId, wallet);
+        this.getGuildMap(this.guildWallets, guildId).set(wallet.address, wallet);
+        return true;
+    }
+
+    async removeTrackedWallet(guildId, address) {
+        this.guildRepository.removeGuildWallet(guildId, address);
+        const removed = this.guildWallets.get(guildId)?.delete(address) || false;
+
+        if (this.getGuildsTrackingWallet(address).length === 0) {
+            this.stateRepository.removeTrackedWallet(address);
+            this.trackedWallets.delete(address);
+            this.heliusService.removeWalletName(address);
+            this.walletSync.requestSync(guildId);
         }
+        return removed;
     }
 
+    // phoneNumber must already be verified through phoneVerification
     async addSMSSubscriber(discordUserId, phoneNumber) {
+        this.stateRepository.upsertSMSSubscriber(discordUserId, phoneNumber);
         this.smsSubscribers.set(discordUserId, {
             phone: phoneNumber,
-            discord_user_id: discordUserId
+            discord_user_id: discordUserId,
+            verified_at: new Date().toISOString(),
+            opted_out_at: null,
+            paused_until: null
         });
         return true;
     }
 
     async removeSMSSubscriber(discordUserId) {
+        this.stateRepository.removeSMSSubscriber(discordUserId);
         return this.smsSubscribers.delete(discordUserId);
     }
 
@@ -197,7 +643,83 @@ class TwitterMonitorBot {
     }
 
     async getActiveSMSSubscribers() {
-        return Array.from(this.smsSubscribers.values());
+        return Array.from(this.smsSubscribers.values()).filter(subscriber => this.isSMSActive(subscriber));
+    }
+
+    // Verified, not opted out by STOP and not inside a PAUSE window
+    isSMSActive(subscriber, now = Date.now()) {
+        return !!subscriber.verified_at && !subscriber.opted_out_at && !(subscriber.paused_until > now);
+    }
+
+    canReceiveSMS(phone) {
+        return Array.from(this.smsSubscribers.values())
+            .some(subscriber => subscriber.phone === phone && this.isSMSActive(subscriber));
+    }
+
+    async updateSMSSubscriberStatus(discordUserId, status) {
+        const subscriber = this.smsSubscribers.get(discordUserId);
+        if (!subscriber) return false;
+
+        const next = {
+            optedOutAt: status.optedOutAt !== undefined ? status.optedOutAt : subscriber.opted_out_at,
+            pausedUntil: status.pausedUntil !== undefined ? status.pausedUntil : subscriber.paused_until
+        };
+        this.stateRepository.updateSMSSubscriberStatus(discordUserId, next);
+        subscriber.opted_out_at = next.optedOutAt;
+        subscriber.paused_until = next.pausedUntil;
+        return true;
+    }
+
+    // Replies to STOP / START / PAUSE <n>[m|h|d] / STATUS texted to the Twilio
+    // number. Returns the reply text for the TwiML response.
+    async handleInboundSMS({ from, body }) {
+        const subscribers = Array.from(this.smsSubscribers.values()).filter(subscriber => subscriber.phone === from);
+        if (subscribers.length === 0) {
+            return 'This number is not subscribed to kek-monitor alerts. Use /smsalert in Discord to sign up.';
+        }
+
+        const text = (body || '').trim().toUpperCase();
+        const [keyword] = text.split(/\s+/);
+        const update = status => Promise.all(subscribers.map(subscriber => this.updateSMSSubscriberStatus(subscriber.discord_user_id, status)));
+
+        if (SMS_STOP_KEYWORDS.includes(keyword)) {
+            await update({ optedOutAt: new Date().toISOString(), pausedUntil: null });
+            console.log(`[DEBUG] SMS opt-out from ${from}`);
+            return 'You are unsubscribed from kek-monitor alerts. Reply START to resubscribe.';
+        }
+
+        if (SMS_START_KEYWORDS.includes(keyword)) {
+            await update({ optedOutAt: null, pausedUntil: null });
+            console.log(`[DEBUG] SMS opt-in from ${from}`);
+            return 'kek-monitor alerts are back on. Reply STOP to unsubscribe or PAUSE 2h to mute.';
+        }
+
+        if (keyword === 'PAUSE') {
+            const match = text.match(/^PAUSE(?:\s+(\d+)\s*([MHD])?)?$/);
+            if (!match) {
+                return 'Reply PAUSE followed by a duration, e.g. PAUSE 30m, PAUSE 2h or PAUSE 1d.';
+            }
+
+            const units = { M: 60 * 1000, H: 60 * 60 * 1000, D: 24 * 60 * 60 * 1000 };
+            const durationMs = Math.min((parseInt(match[1]) || 1) * units[match[2] || 'H'], SMS_MAX_PAUSE_MS);
+            const pausedUntil = Date.now() + durationMs;
+
+            await update({ pausedUntil });
+            console.log(`[DEBUG] SMS paused for ${from} until ${new Date(pausedUntil).toISOString()}`);
+            return `Alerts paused until ${new Date(pausedUntil).toUTCString()}. Reply START to resume now.`;
+        }
+
+        if (keyword === 'STATUS') {
+            const subscriber = subscribers[0];
+            if (subscriber.opted_out_at) return 'You are unsubscribed. Reply START to resubscribe.';
+            if (!subscriber.verified_at) return 'This number is not verified. Use /smsalert in Discord to verify it.';
+            if (subscriber.paused_until > Date.now()) {
+                return `Alerts are paused until ${new Date(subscriber.paused_until).toUTCString()}. Reply START to resume.`;
+            }
+            return 'Alerts are on. Reply PAUSE 2h to mute or STOP to unsubscribe.';
+        }
+
+        return 'kek-monitor: reply STATUS, PAUSE 2h, START or STOP.';
     }
 
     async checkAccount(username) {
@@ -232,6 +754,7 @@ class TwitterMonitorBot {
                 },
                 'users/:id/tweets'
             );
+            this.readBudget.recordReads(tweets.tweets?.length || 0);
 
             return {
                 account: accountData,
@@ -243,16 +766,48 @@ class TwitterMonitorBot {
         }
     }
 
-    extractSolanaAddresses(text) {
-        // Just extract anything that looks like it could be an address
-        const regex = /\S{30,50}/g;
-        return text.match(regex) || [];
+    // [{ address, source }] from the tweet text, its links and any quoted tweet
+    extractSolanaAddresses(tweet, includes) {
+        return extractSolanaAddresses(tweet, includes);
+    }
+
+    // Tag a keyword-rule match with the rule that found it
+    withMatchedRule(embed, rule) {
+        return {
+            ...embed,
+            fields: [
+                ...(embed.fields || []),
+                {
+                    name: '🔎 Matched Rule',
+                    value: rule.label ? `${rule.label} (\`${rule.query}\`)` : `\`${rule.query}\``,
+                    inline: false
+                }
+            ]
+        };
+    }
+
+    formatAddressSource(source) {
+        switch (source) {
+            case 'url': return 'Link';
+            case 'quoted_tweet': return 'Quoted tweet';
+            default: return 'Tweet text';
+        }
     }
 
-    async processTweet(tweet, account, includes) {
+    // context.matchedRules is set when the tweet came from /keywordmonitor rules
+    async processTweet(tweet, account, includes, context = {}) {
         try {
-            // Skip if already processed
-            if (await this.isTweetProcessed(tweet.id)) {
+            // Guilds to notify: rule owners for keyword matches, otherwise
+            // every guild following the account. Targets that already got
+            // this tweet are skipped.
+            const targets = [];
+            const candidates = context.matchedRules
+                ? context.matchedRules.map(rule => ({ guildId: rule.guild_id, isVIP: false, rule }))
+                : this.getGuildsFollowing(account.id).map(({ guildId, follow }) => ({ guildId, isVIP: follow.isVIP }));
+            for (const target of candidates) {
+                if (!(await this.isTweetDelivered(tweet.id, target))) targets.push(target);
+            }
+            if (targets.length === 0) {
                 return;
             }
 
@@ -301,30 +856,37 @@ class TwitterMonitorBot {
                 }];
             }
 
-            // Check if VIP account
-            const isVIP = this.monitoredAccounts.get(account.id)?.isVIP || false;
-            
             // Extract any Solana addresses
-            const solanaAddresses = this.extractSolanaAddresses(tweet.text);
+            const solanaAddresses = this.extractSolanaAddresses(tweet, includes);
+            const tokens = [];
             let hasSolanaContent = false;
 
+            // Calls are recorded for the guilds following the author; keyword
+            // matches can come from anyone and are not recorded
+            const callGuildIds = targets.filter(target => !target.rule).map(target => target.guildId);
+
             // Handle Solana token detection
             if (solanaAddresses.length > 0) {
                 try {
-                    for (const address of solanaAddresses) {
-                        const tokenInfo = await this.birdeyeService.getTokenInfo(address);
+                    for (const { address, source } of solanaAddresses) {
+                        const tokenInfo = await this.tokenData.getTokenInfo(address);
                         if (tokenInfo) {
                             hasSolanaContent = true;
+                            tokens.push({ address, marketCap: tokenInfo.marketCap, liquidity: tokenInfo.liquidity });
                             // Add token info to embed
                             embed.fields = embed.fields || [];
                             embed.fields.push({
                                 name: `${tokenInfo.symbol} Token Info`,
-                                value: `Price: $${this.formatNumber(tokenInfo.price)}\nMC: $${this.formatNumber(tokenInfo.marketCap)}\n24h Volume: $${this.formatNumber(tokenInfo.volume24h)}`,
+                                value: `Price: $${this.formatNumber(tokenInfo.price)}\nMC: $${this.formatNumber(tokenInfo.marketCap)}\n24h Volume: $${this.formatNumber(tokenInfo.volume24h)}\nFound in: ${this.formatAddressSource(source)}`,
                                 inline: false
                             });
                             
                             // Store token mention for tracking
                             await this.addTokenMention(tweet.id, address);
+                            await this.addTrackedToken(address, tweet.id);
+                            for (const guildId of callGuildIds) {
+                                await this.callTracker.recordCall({ guildId, tweet, caller: author, address, tokenInfo });
+                            }
                         }
                     }
                 } catch (error) {
@@ -332,180 +894,54 @@ class TwitterMonitorBot {
                 }
             }
 
-            // Send to appropriate channels
-            try {
-                // VIP tweets go to VIP channel and SMS
-                if (isVIP) {
-                    await this.vipChannel.send({ embeds: [embed] });
-                    
-                    // Send SMS to all subscribers for VIP tweets
-                    const subscribers = await this.getActiveSMSSubscribers();
-                    for (const subscriber of subscribers) {
-                        await this.sendSMSAlert(
-                            `🔥 VIP Alert: New tweet from @${author.username}\n${tweet.text}`,
-                            subscriber.phone
-                        );
-                    }
-                }
-                
-                // Solana tweets go to Solana channel
-                if (hasSolanaContent) {
-                    await this.solanaChannel.send({ embeds: [embed] });
-                    
-                    // Send SMS for Solana token alerts
-                    const subscribers = await this.getActiveSMSSubscribers();
-                    for (const subscriber of subscribers) {
-                        await this.sendSMSAlert(
-                            `💎 Solana Token Alert: @${author.username} mentioned ${solanaAddresses.length} token(s)\n${tweet.text}`,
-                            subscriber.phone
-                        );
-                    }
-                }
-                
-                // All tweets go to main tweets channel
-                await this.tweetsChannel.send({ embeds: [embed] });
-
-            } catch (error) {
-                console.error('[ERROR] Failed to send tweet notifications:', error);
-            }
-
-            // Mark as processed
-            await this.addProcessedTweet(tweet);
-
-        } catch (error) {
-            console.error('[ERROR] Process tweet error:', error);
-        }
-    }
-
-    async sendTweetNotification(tweet) {
-        try {
-            const author = this.monitoredAccounts.get(tweet.author_id);
-            if (!author) {
-                console.error(`Author not found for tweet ${tweet.id}`);
-                return;
-            }
-
-            // Get appropriate channel based on VIP status
-            const channel = author.is_vip ? this.vipChannel : this.tweetsChannel;
-            if (!channel) {
-                console.error('Channel not found');
-                return;
-            }
-
-            const tweetUrl = `https://twitter.com/${author.username}/status/${tweet.id}`;
-            const profileData = JSON.parse(author.profile_data);
+            // Per-guild payloads; keyword matches carry the guild's own rule
+            const toTargets = list => list.map(target => ({
+                guildId: target.guildId,
+                message: { embeds: [target.rule ? this.withMatchedRule(embed, target.rule) : embed] }
+            }));
+            const data = {
+                tweetId: tweet.id,
+                accountId: author.id,
+                username: author.username,
+                url: `https://twitter.com/${author.username}/status/${tweet.id}`,
+                text: tweet.text
+            };
 
-            // Create tweet embed
-            const tweetEmbed = {
-                color: author.is_vip ? 0xFFD700 : 0x1DA1F2,
-                description: tweet.text,
-                author: {
-                    name: `${profileData.name || author.username} (@${author.username})`,
-                    icon_url: profileData.profile_image_url || null,
-                    url: `https://twitter.com/${author.username}`
+            const vipTargets = targets.filter(target => target.isVIP);
+            const events = [
+                vipTargets.length > 0 && {
+                    type: 'vip_tweet',
+                    targets: toTargets(vipTargets),
+                    text: `🔥 VIP Alert: New tweet from @${author.username}\n${tweet.text}`,
+                    data
                 },
-                footer: {
-                    text: 'built by keklabs',
-                    icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                hasSolanaContent && {
+                    type: 'contract_call',
+                    targets: toTargets(targets),
+                    text: `💎 Solana Token Alert: @${author.username} mentioned ${solanaAddresses.length} token(s)\n${tweet.text}`,
+                    data: { ...data, addresses: solanaAddresses, tokens }
                 },
-                timestamp: new Date().toISOString()
-            };
-
-            // Check for media
-            const imageUrl = this.getMediaUrl(tweet, tweet.includes);
-            if (imageUrl) {
-                tweetEmbed.image = { url: imageUrl };
-            }
-
-            // Check for Solana addresses in the tweet
-            const addresses = this.extractSolanaAddresses(tweet.text);
-            const embeds = [tweetEmbed];
-
-            // If addresses found, add token embeds
-            if (addresses.length > 0) {
-                for (const address of addresses) {
-                    const tokenInfo = await this.birdeyeService.getTokenInfo(address);
-                    if (tokenInfo) {
-                        const tokenEmbed = await this.birdeyeService.createTokenEmbed(tokenInfo.address, tokenInfo);
-                        embeds.push(tokenEmbed);
-                    }
+                {
+                    type: 'tweet',
+                    targets: toTargets(targets),
+                    text: `New tweet from @${author.username}\n${tweet.text}`,
+                    data
                 }
-            }
-
-            // Send notification with all embeds
-            await channel.send({ 
-                content: author.is_vip ? '@everyone New VIP Tweet! 🌟' : null,
-                embeds: embeds,
-                allowedMentions: { parse: ['everyone'] }
-            });
-
-            // Send SMS if enabled and VIP
-            if (this.config.twilio.enabled && author.is_vip) {
-                const subscribers = await this.getActiveSMSSubscribers();
-                for (const subscriber of subscribers) {
-                    let smsMessage = `🚨 VIP Tweet Alert!\n@${author.username}: ${tweet.text}\n\n${tweetUrl}`;
-                    
-                    // Add token info to SMS if present
-                    if (addresses.length > 0) {
-                        const tokenInfo = await this.birdeyeService.getTokenInfo(addresses[0]);
-                        if (tokenInfo) {
-                            smsMessage += `\n\nToken Info:\n` +
-                                `${tokenInfo.symbol}\n` +
-                                `Price: $${this.formatNumber(tokenInfo.priceUsd)}` +
-                                (tokenInfo.marketCap ? `\nMC: $${this.formatNumber(tokenInfo.marketCap)}` : '');
-                        }
-                    }
+            ].filter(Boolean);
 
-                    await this.sendSMSAlert(
-                        smsMessage,
-                        subscriber.phone,
-                        subscriber.discord_user_id
-                    );
+            for (const event of events) {
+                try {
+                    await this.notificationRouter.dispatch(event);
+                } catch (error) {
+                    console.error(`[ERROR] Failed to send ${event.type} notifications:`, error);
                 }
             }
 
-        } catch (error) {
-            console.error('[ERROR] Error sending tweet notification:', error);
-            throw error;
-        }
-    }
-
-    async sendSolanaNotification(data) {
-        const { tweet, account, includes, tokenInfo, address } = data;
-
-        const embed = {
-            title: '🔥 Solana Contract Detected',
-            description: `Contract mentioned by ${account.username}`,
-            fields: [
-                {
-                    name: '💰 Token Info',
-                    value: [
-                        `Symbol: ${tokenInfo.symbol}`,
-                        `Price: $${this.formatNumber(tokenInfo.price)}`,
-                        `Market Cap: $${this.formatNumber(tokenInfo.marketCap)}`,
-                        `Liquidity: $${this.formatNumber(tokenInfo.liquidity)}`,
-                        `Holders: ${this.formatNumber(tokenInfo.holders)}`,
-                        `\n[📈 View Chart](https://dexscreener.com/solana/${address})`
-                    ].join('\n'),
-                    inline: false
-                },
-                {
-                    name: '🔗 Links',
-                    value: `[Tweet](https://twitter.com/${account.username}/status/${tweet.id})\n[Contract](https://solscan.io/token/${address})`,
-                    inline: false
-                }
-            ],
-            color: 0xFF0000,
-            timestamp: new Date().toISOString()
-        };
+            // Mark as delivered to these targets
+            await this.addTweetDeliveries(tweet, targets);
 
-        // Send to appropriate channels with @everyone for contract detection
-        if (this.solanaChannel) {
-            await this.solanaChannel.send({
-                content: '@everyone New Solana contract detected! 🚨',
-                embeds: [embed],
-                allowedMentions: { parse: ['everyone'] }
-            });
+        } catch (error) {
+            console.error('[ERROR] Process tweet error:', error);
         }
     }
 
@@ -527,6 +963,14 @@ class TwitterMonitorBot {
                 console.log(`[DEBUG] Received command: ${commandName}`);
 
                 switch (commandName) {
+                    case 'setup':
+                        if (!interaction.replied) {
+                            await this.handleSetupCommand(interaction).catch(err => {
+                                console.error('[ERROR] Setup command failed:', err);
+                                throw err;
+                            });
+                        }
+                        break;
                     case 'monitor':
                         if (!interaction.replied) {
                             await this.handleMonitorCommand(interaction).catch(err => {
@@ -655,6 +1099,14 @@ class TwitterMonitorBot {
                             });
                         }
                         break;
+                    case 'smsverify':
+                        if (!interaction.replied) {
+                            await this.handleSMSVerifyCommand(interaction).catch(err => {
+                                console.error('[ERROR] SMS verify command failed:', err);
+                                throw err;
+                            });
+                        }
+                        break;
                     case 'stopsms':
                         if (!interaction.replied) {
                             await this.handleStopSMSCommand(interaction).catch(err => {
@@ -663,6 +1115,14 @@ class TwitterMonitorBot {
                             });
                         }
                         break;
+                    case 'subscriptions':
+                        if (!interaction.replied) {
+                            await this.handleSubscriptionsCommand(interaction).catch(err => {
+                                console.error('[ERROR] Subscriptions command failed:', err);
+                                throw err;
+                            });
+                        }
+                        break;
                     case 'test':
                         if (!interaction.replied) {
                             await this.testNotifications(interaction).catch(err => {
@@ -671,10 +1131,50 @@ class TwitterMonitorBot {
                             });
                         }
                         break;
-                    case 'help':
+                    case 'keywordmonitor':
                         if (!interaction.replied) {
-                            await this.handleHelpCommand(interaction).catch(err => {
-                                console.error('[ERROR] Help command failed:', err);
+                            await this.handleKeywordMonitorCommand(interaction).catch(err => {
+                                console.error('[ERROR] Keyword monitor command failed:', err);
+                                throw err;
+                            });
+                        }
+                        break;
+                    case 'leaderboard':
+                        if (!interaction.replied) {
+                            await this.handleLeaderboardCommand(interaction).catch(err => {
+                                console.error('[ERROR] Leaderboard command failed:', err);
+                                throw err;
+                            });
+                        }
+                        break;
+                    case 'wallets':
+                        if (!interaction.replied) {
+                            await this.handleWalletsCommand(interaction).catch(err => {
+                                console.error('[ERROR] Wallets command failed:', err);
+                                throw err;
+                            });
+                        }
+                        break;
+                    case 'walletpnl':
+                        if (!interaction.replied) {
+                            await this.handleWalletPnLCommand(interaction).catch(err => {
+                                console.error('[ERROR] Wallet PnL command failed:', err);
+                                throw err;
+                            });
+                        }
+                        break;
+                    case 'watch':
+                        if (!interaction.replied) {
+                            await this.handleWatchCommand(interaction).catch(err => {
+                                console.error('[ERROR] Watch command failed:', err);
+                                throw err;
+                            });
+                        }
+                        break;
+                    case 'help':
+                        if (!interaction.replied) {
+                            await this.handleHelpCommand(interaction).catch(err => {
+                                console.error('[ERROR] Help command failed:', err);
                                 throw err;
                             });
                         }
@@ -701,6 +1201,95 @@ class TwitterMonitorBot {
         console.log('✅ Command handling setup complete');
     }
 
+    async handleSetupCommand(interaction) {
+        const footer = {
+            text: 'built by keklabs',
+            icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+        };
+
+        try {
+            const channels = {};
+            for (const kind of GUILD_CHANNEL_KINDS) {
+                channels[kind] = interaction.options.getChannel(`${kind}_channel`)?.id;
+            }
+
+            // No options just shows the current settings
+            if (Object.values(channels).some(Boolean)) {
+                const settings = this.guildRepository.upsertSettings(interaction.guildId, channels, interaction.user.id);
+                this.guildSettings.set(interaction.guildId, settings);
+            }
+
+            const resolved = await this.resolveGuildChannels(interaction.guildId);
+            const lines = GUILD_CHANNEL_KINDS.map(kind =>
+                `**${kind}**: ${resolved[kind] ? `<#${resolved[kind].id}>` : 'not set'}`
+            );
+
+            await interaction.reply({
+                embeds: [{
+                    title: '⚙️ Server Notification Channels',
+                    description: lines.join('\n'),
+                    color: REQUIRED_CHANNEL_KINDS.every(kind => resolved[kind]) ? 0x00FF00 : 0xFFA500,
+                    footer
+                }],
+                ephemeral: true
+            });
+        } catch (error) {
+            console.error('[ERROR] Setup command error:', error);
+            await interaction.reply({
+                embeds: [{
+                    title: 'Command Error',
+                    description: '❌ Failed to save server settings',
+                    color: 0xFF0000,
+                    footer
+                }],
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleListCommand(interaction) {
+        try {
+            const accounts = await this.getGuildMonitoredAccounts(interaction.guildId);
+            const wallets = Array.from((this.guildWallets.get(interaction.guildId) || new Map()).values());
+
+            const accountLines = accounts.map(account =>
+                `${account.isVIP ? '⭐' : account.monitor_type === 'solana' ? '🔍' : '📝'} @${account.username}`
+            );
+            const walletLines = wallets.map(wallet =>
+                `👛 ${wallet.name} - \`${wallet.address.slice(0, 4)}...${wallet.address.slice(-4)}\``
+            );
+
+            await interaction.reply({
+                embeds: [{
+                    title: '📋 Monitored in this Server',
+                    fields: [
+                        {
+                            name: `Twitter Accounts (${accounts.length})`,
+                            value: accountLines.join('\n').slice(0, 1024) || 'None',
+                            inline: false
+                        },
+                        {
+                            name: `Wallets (${wallets.length})`,
+                            value: walletLines.join('\n').slice(0, 1024) || 'None',
+                            inline: false
+                        }
+                    ],
+                    color: 0x1DA1F2,
+                    footer: {
+                        text: 'built by keklabs',
+                        icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                    }
+                }]
+            });
+        } catch (error) {
+            console.error('[ERROR] List command error:', error);
+            await interaction.reply({
+                content: '❌ Failed to list monitored accounts.',
+                ephemeral: true
+            });
+        }
+    }
+
     async handleMonitorCommand(interaction) {
         try {
             const twitter_id = interaction.options.getString('twitter_id');
@@ -727,8 +1316,8 @@ class TwitterMonitorBot {
                 return;
             }
 
-            // Add to monitored accounts and perform initial tweet fetch
-            await this.addMonitoredAccount(account);
+            // Add to this guild's monitored accounts
+            await this.addMonitoredAccount(interaction.guildId, account, interaction.user.id);
 
             await interaction.editReply(`✅ Now monitoring @${account.username}'s tweets!`);
         } catch (error) {
@@ -750,15 +1339,15 @@ class TwitterMonitorBot {
             }
 
             // Store account with type 'solana'
-            await this.addMonitoredAccount({
-                id: accountData.id,
-                username: accountData.username,
-                monitor_type: 'solana',
-                last_tweet_id: null
-            });
+            await this.addMonitoredAccount(interaction.guildId, {
+                id: accountData.account.id,
+                username: accountData.account.username,
+                name: accountData.account.name,
+                monitor_type: 'solana'
+            }, interaction.user.id);
 
-            await interaction.editReply(`✅ Now monitoring Solana-related tweets from @${accountData.username}`);
-            console.log(`[DEBUG] Added monitored account: ${accountData.username} (type: solana)`);
+            await interaction.editReply(`✅ Now monitoring Solana-related tweets from @${accountData.account.username}`);
+            console.log(`[DEBUG] Added monitored account: ${accountData.account.username} (type: solana)`);
 
         } catch (error) {
             console.error('[ERROR] Solana monitor command error:', error);
@@ -793,10 +1382,10 @@ class TwitterMonitorBot {
             }
 
             // Add to monitored accounts with VIP flag
-            await this.addMonitoredAccount({
+            await this.addMonitoredAccount(interaction.guildId, {
                 ...account,
                 isVIP: true
-            });
+            }, interaction.user.id);
 
             await interaction.editReply(`✅ Now monitoring @${account.username}'s tweets as VIP!`);
         } catch (error) {
@@ -809,8 +1398,8 @@ class TwitterMonitorBot {
         try {
             const username = interaction.options.getString('twitter_id').toLowerCase().replace('@', '');
 
-            // Check if account is being monitored
-            const account = Array.from(this.monitoredAccounts.values())
+            // Check if account is being monitored in this guild
+            const account = (await this.getGuildMonitoredAccounts(interaction.guildId))
                 .find(a => a.username.toLowerCase() === username);
 
             if (!account) {
@@ -824,7 +1413,7 @@ class TwitterMonitorBot {
             }
 
             // Remove account from monitoring
-            await this.removeMonitoredAccount(account.id);
+            await this.removeMonitoredAccount(interaction.guildId, account.id);
 
             return await interaction.reply({
                 embeds: [{
@@ -862,6 +1451,84 @@ class TwitterMonitorBot {
         }
     }
 
+    async handleKeywordMonitorCommand(interaction) {
+        const footer = {
+            text: 'built by keklabs',
+            icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+        };
+
+        try {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'add') {
+                const query = interaction.options.getString('query').trim();
+                const label = interaction.options.getString('label');
+                const { maxQueryLength } = this.config.twitter.rateLimit.endpoints['tweets/search/recent'];
+
+                if (!query || query.length > maxQueryLength) {
+                    return await interaction.reply({
+                        content: `❌ Query must be between 1 and ${maxQueryLength} characters.`,
+                        ephemeral: true
+                    });
+                }
+
+                if (this.keywordRuleRepository.getRuleByQuery(interaction.guildId, query)) {
+                    return await interaction.reply({
+                        content: `❌ A rule for \`${query}\` already exists.`,
+                        ephemeral: true
+                    });
+                }
+
+                const rule = this.keywordRuleRepository.addRule(interaction.guildId, query, label, interaction.user.id);
+                return await interaction.reply({
+                    embeds: [{
+                        title: '✅ Keyword Rule Added',
+                        description: `Rule #${rule.id} will search for \`${rule.query}\`${rule.label ? ` (${rule.label})` : ''}`,
+                        color: 0x00FF00,
+                        footer
+                    }]
+                });
+            }
+
+            if (subcommand === 'list') {
+                const rules = this.keywordRuleRepository.getGuildRules(interaction.guildId);
+                return await interaction.reply({
+                    embeds: [{
+                        title: '🔎 Keyword Rules',
+                        description: rules.length > 0
+                            ? rules.map(rule => `**#${rule.id}** ${rule.label ? `${rule.label} - ` : ''}\`${rule.query}\``).join('\n')
+                            : 'No keyword rules configured. Add one with `/keywordmonitor add`.',
+                        color: 0x1DA1F2,
+                        footer
+                    }]
+                });
+            }
+
+            if (subcommand === 'remove') {
+                const id = interaction.options.getInteger('id');
+                const removed = this.keywordRuleRepository.removeRule(interaction.guildId, id);
+                return await interaction.reply({
+                    embeds: [{
+                        title: removed ? '✅ Keyword Rule Removed' : '❌ Rule Not Found',
+                        description: removed ? `Rule #${id} will no longer be searched.` : `No keyword rule with ID #${id}.`,
+                        color: removed ? 0x00FF00 : 0xFF0000,
+                        footer
+                    }]
+                });
+            }
+        } catch (error) {
+            console.error('[ERROR] Keyword monitor command error:', error);
+            await interaction.reply({
+                embeds: [{
+                    title: 'Command Error',
+                    description: '❌ Failed to update keyword rules',
+                    color: 0xFF0000,
+                    footer
+                }]
+            });
+        }
+    }
+
     async handleTrendingCommand(interaction) {
         try {
             await interaction.deferReply();
@@ -913,6 +1580,151 @@ class TwitterMonitorBot {
         }
     }
 
+    async handleLeaderboardCommand(interaction) {
+        try {
+            const period = interaction.options.getString('period') || '7d';
+            const sortBy = interaction.options.getString('sort') || 'median';
+            const leaderboard = this.callTracker.getLeaderboard(interaction.guildId, period, sortBy).slice(0, 10);
+
+            const lines = leaderboard.map((entry, index) =>
+                `**${index + 1}.** [@${entry.username}](https://twitter.com/${entry.username}) - ` +
+                `median ${entry.medianMultiple.toFixed(2)}x • max ${entry.maxMultiple.toFixed(2)}x • ` +
+                `${entry.calls} call${entry.calls === 1 ? '' : 's'}` +
+                (entry.firstCalls > 0 ? ` (${entry.firstCalls} first)` : '')
+            );
+
+            await interaction.reply({
+                embeds: [{
+                    title: `🏆 Call Leaderboard (${period})`,
+                    description: lines.length > 0
+                        ? lines.join('\n')
+                        : 'No contract calls recorded in this period yet.',
+                    color: 0xFFD700,
+                    footer: {
+                        text: `Ranked by ${sortBy === 'max' ? 'max' : 'median'} multiple since call • built by keklabs`,
+                        icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                    },
+                    timestamp: new Date().toISOString()
+                }]
+            });
+        } catch (error) {
+            console.error('[ERROR] Leaderboard command error:', error);
+            await interaction.reply({
+                embeds: [{
+                    title: 'Command Error',
+                    description: '❌ Failed to build the call leaderboard',
+                    color: 0xFF0000,
+                    footer: {
+                        text: 'built by keklabs',
+                        icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                    }
+                }]
+            });
+        }
+    }
+
+    async handleWalletPnLCommand(interaction) {
+        try {
+            await interaction.deferReply();
+            const query = interaction.options.getString('wallet').trim();
+            const period = interaction.options.getString('period') || '7d';
+
+            // Accept an address or a wallet name, limited to this server's wallets
+            const names = this.getGuildWalletNames(interaction.guildId);
+            const address = this.resolveGuildWallet(interaction.guildId, query);
+
+            if (!address) {
+                return await interaction.editReply({
+                    embeds: [{
+                        title: '❌ Wallet Not Found',
+                        description: `\`${query}\` is not tracked in this server. Use \`/trackwallet\` first.`,
+                        color: 0xFF0000,
+                        footer: {
+                            text: 'built by keklabs',
+                            icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                        }
+                    }]
+                });
+            }
+
+            const report = await this.walletPnL.getReport(address, period);
+            const usd = value => `${value < 0 ? '-' : '+'}$${this.formatNumber(Math.abs(value))}`;
+
+            const positions = report.positions.slice(0, 10).map(position => {
+                const label = position.symbol || `${position.mint.slice(0, 4)}...${position.mint.slice(-4)}`;
+                const marked = position.value !== null
+                    ? `$${this.formatNumber(position.value)} (${usd(position.unrealized)})${position.priceStale ? ' ⚠️' : ''}`
+                    : 'no price';
+                return `**${label}** - ${this.formatNumber(position.size)} @ $${this.formatNumber(position.avgCost)} avg • ${marked}`;
+            });
+
+            await interaction.editReply({
+                embeds: [{
+                    title: `📈 Wallet PnL (${period})`,
+                    description: `**${names.get(address)}**\n\`${address}\``,
+                    color: report.totalPnL >= 0 ? 0x00FF00 : 0xFF0000,
+                    fields: [
+                        {
+                            name: 'Total PnL',
+                            value: usd(report.totalPnL),
+                            inline: true
+                        },
+                        {
+                            name: 'Realized',
+                            value: usd(report.realized),
+                            inline: true
+                        },
+                        {
+                            name: 'Unrealized',
+                            value: usd(report.unrealized),
+                            inline: true
+                        },
+                        {
+                            name: 'Win Rate',
+                            value: report.winRate !== null
+                                ? `${(report.winRate * 100).toFixed(0)}% (${report.wins}/${report.closedTrades} sells)`
+                                : 'No closed trades',
+                            inline: true
+                        },
+                        {
+                            name: 'Trades',
+                            value: `${report.tradeCount}`,
+                            inline: true
+                        },
+                        {
+                            name: `Open Positions (${report.positions.length})`,
+                            value: positions.length > 0 ? positions.join('\n') : 'None',
+                            inline: false
+                        },
+                        ...(report.stalePrices > 0 ? [{
+                            name: '⚠️ Stale Prices',
+                            value: `${report.stalePrices} position(s) are marked at their last known price; live prices are unavailable`,
+                            inline: false
+                        }] : [])
+                    ],
+                    footer: {
+                        text: 'Realized PnL and win rate cover the period; positions are all-time • built by keklabs',
+                        icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                    },
+                    timestamp: new Date().toISOString()
+                }]
+            });
+        } catch (error) {
+            console.error('[ERROR] Wallet PnL command error:', error);
+            await interaction.editReply({
+                embeds: [{
+                    title: 'Command Error',
+                    description: '❌ Failed to build the wallet PnL report',
+                    color: 0xFF0000,
+                    footer: {
+                        text: 'built by keklabs',
+                        icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                    }
+                }]
+            });
+        }
+    }
+
     async handleGainersCommand(interaction) {
         try {
             await interaction.deferReply();
@@ -993,9 +1805,13 @@ class TwitterMonitorBot {
         try {
             await interaction.deferReply();
             const hours = interaction.options.getInteger('hours') || 24;
-            
-            const pairs = await this.birdeyeService.getNewPairs(hours);
-            if (!pairs.length) {
+            const minLiquidity = interaction.options.getNumber('min_liquidity') || 0;
+            const minMarketCap = interaction.options.getNumber('min_mcap') || 0;
+            const source = interaction.options.getString('source');
+            const page = interaction.options.getInteger('page') || 1;
+
+            const result = await this.newPairs.find({ hours, minLiquidity, minMarketCap, source, page });
+            if (result.listed === 0) {
                 return await interaction.editReply({
                     embeds: [{
                         title: '❌ No Data Available',
@@ -1009,7 +1825,14 @@ class TwitterMonitorBot {
                 });
             }
 
-            const embed = this.birdeyeService.createNewPairsEmbed(pairs);
+            const filters = [
+                `last ${hours}h`,
+                minLiquidity ? `liquidity ≥ $${this.formatNumber(minLiquidity)}` : null,
+                minMarketCap ? `MC ≥ $${this.formatNumber(minMarketCap)}` : null,
+                source ? `source: ${source}` : null
+            ].filter(Boolean);
+
+            const embed = this.birdeyeService.createNewPairsEmbed(result.pairs, { ...result, filters });
             await interaction.editReply({ embeds: [embed] });
         } catch (error) {
             console.error('[ERROR] New pairs command error:', error);
@@ -1078,14 +1901,19 @@ class TwitterMonitorBot {
 \`/monitor\` - Start monitoring a Twitter account
 \`/stopm\` - Stop monitoring a Twitter account
 \`/vipmonitor\` - Start monitoring a VIP Twitter account
+\`/keywordmonitor\` - Add, list or remove keyword/cashtag search rules
 \`/list\` - List all monitored accounts`,
                         inline: false
                     },
                     {
                         name: '👛 Wallet Tracking',
                         value: `
-\`/trackwallet\` - Track a Solana wallet's transactions
-\`/stopwallet\` - Stop tracking a wallet
+\`/trackwallet\` - Track (or rename) a Solana wallet
+\`/stopwallet\` - Stop tracking a wallet by address or name
+\`/wallets list\` - List this server's wallets (optionally one tag group) and the Helius sync status
+\`/wallets tag|untag\` - Tag wallets (smart money, dev, kol, insider, ...)
+\`/wallets export|import\` - Download or load wallets.json, tags included
+\`/walletpnl\` - Show a wallet's positions, win rate and PnL
 \`/list\` - List all tracked wallets`,
                         inline: false
                     },
@@ -1094,7 +1922,9 @@ class TwitterMonitorBot {
                         value: `
 \`/trending\` - Show trending tokens
 \`/gainers\` - Show top gainers
-\`/volume\` - Show top volume tokens`,
+\`/volume\` - Show top volume tokens
+\`/newpairs\` - Show new pairs, filtered by age, liquidity, market cap and DEX
+\`/leaderboard\` - Rank accounts by performance of their calls`,
                         inline: false
                     },
                     {
@@ -1102,14 +1932,18 @@ class TwitterMonitorBot {
                         value: `
 \`/metrics\` - Show detailed token metrics
 \`/holders\` - Show holder information
-\`/security\` - Show security analysis`,
+\`/security\` - Show security analysis
+\`/watch\` - Get alerted when a token's price, market cap, liquidity or holders move`,
                         inline: false
                     },
                     {
                         name: '📲 Notifications',
                         value: `
+\`/setup\` - Choose this server's notification channels
 \`/smsalert\` - Register phone for SMS alerts
+\`/smsverify\` - Confirm your phone with the code we texted
 \`/stopsms\` - Unsubscribe from SMS alerts
+\`/subscriptions\` - Choose which alerts you receive and their thresholds
 \`/test\` - Test notifications`,
                         inline: false
                     }
@@ -1143,7 +1977,7 @@ class TwitterMonitorBot {
             await interaction.deferReply();
             const address = interaction.options.getString('address');
             
-            const securityData = await this.birdeyeService.getTokenSecurity(address);
+            const securityData = await this.tokenData.getTokenSecurity(address);
             if (!securityData) {
                 return await interaction.editReply({
                     embeds: [{
@@ -1269,28 +2103,66 @@ class TwitterMonitorBot {
                 return;
             }
 
-            const phone = interaction.options.getString('phone');
             const userId = interaction.user.id;
+            const result = await this.phoneVerification.startVerification(userId, interaction.options.getString('phone'));
+
+            if (!result.ok) {
+                const messages = {
+                    invalid_phone: '❌ Enter the number in international format, e.g. `+14155550123`.',
+                    rate_limited: '❌ Too many codes requested. Please try again in an hour.',
+                    locked_out: '❌ Too many failed verification attempts. Please try again in an hour.'
+                };
+                await interaction.editReply({ content: messages[result.reason], flags: ['Ephemeral'] });
+                return;
+            }
+
+            const minutes = Math.round((result.expiresAt - Date.now()) / 60000);
+            await interaction.editReply({ 
+                content: `📨 We texted a 6-digit code to ${result.phone}. Confirm it with \`/smsverify\` within ${minutes} minutes to start receiving alerts.`,
+                flags: ['Ephemeral']
+            });
 
-            // Store in memory
-            this.smsSubscribers.set(userId, {
-                phone: phone,
-                discord_id: userId
+        } catch (error) {
+            console.error('[ERROR] SMS alert command error:', error);
+            await interaction.editReply({ 
+                content: '❌ Failed to send a verification code. Please check the number and try again.',
+                flags: ['Ephemeral']
             });
+        }
+    }
+
+    async handleSMSVerifyCommand(interaction) {
+        try {
+            await interaction.deferReply({ flags: ['Ephemeral'] });
+
+            const userId = interaction.user.id;
+            const result = this.phoneVerification.verify(userId, interaction.options.getString('code'));
+
+            if (!result.ok) {
+                const messages = {
+                    no_pending: '❌ No verification in progress. Start with `/smsalert`.',
+                    expired: '❌ That code has expired. Request a new one with `/smsalert`.',
+                    wrong_code: `❌ Incorrect code. ${result.attemptsLeft} attempt(s) left.`,
+                    too_many_attempts: '❌ Too many incorrect codes. Request a new one with `/smsalert`.',
+                    locked_out: '❌ Too many failed verification attempts. Please try again in an hour.'
+                };
+                await interaction.editReply({ content: messages[result.reason], flags: ['Ephemeral'] });
+                return;
+            }
 
-            // Send test message
-            await this.sendSMSAlert('🔔 SMS alerts configured successfully! You will now receive notifications for high-value transactions.', phone);
+            await this.addSMSSubscriber(userId, result.phone);
+            await this.sendSMSAlert('🔔 SMS alerts configured successfully! Use /subscriptions in Discord to choose which alerts you get.', result.phone, userId);
 
             await interaction.editReply({ 
-                content: '✅ SMS alerts configured successfully! You should receive a test message shortly.',
+                content: '✅ Phone verified! SMS alerts are now on. Use `/subscriptions` to choose which alerts you get.',
                 flags: ['Ephemeral']
             });
-            console.log(`[DEBUG] Added SMS subscriber: ${userId} with phone: ${phone}`);
+            console.log(`[DEBUG] Verified SMS subscriber: ${userId} with phone: ${result.phone}`);
 
         } catch (error) {
-            console.error('[ERROR] SMS alert command error:', error);
+            console.error('[ERROR] SMS verify command error:', error);
             await interaction.editReply({ 
-                content: '❌ Failed to configure SMS alerts. Please try again.',
+                content: '❌ Failed to verify your phone. Please try again.',
                 flags: ['Ephemeral']
             });
         }
@@ -1299,23 +2171,17 @@ class TwitterMonitorBot {
     async handleStopSMSCommand(interaction) {
         try {
             await interaction.deferReply({ flags: ['Ephemeral'] });
-            const phone = interaction.options.getString('phone');
-
-            // Remove from in-memory state
-            let removed = false;
-            for (const [userId, data] of this.smsSubscribers.entries()) {
-                if (data.phone === phone) {
-                    this.smsSubscribers.delete(userId);
-                    removed = true;
-                    break;
-                }
-            }
+            const userId = interaction.user.id;
+
+            this.phoneVerification.cancel(userId);
+            const subscriber = await this.getSMSSubscriber(userId);
+            const removed = await this.removeSMSSubscriber(userId);
 
             if (removed) {
                 await interaction.editReply('✅ Successfully unsubscribed from SMS alerts.');
-                console.log(`[DEBUG] Removed SMS subscription for phone: ${phone}`);
+                console.log(`[DEBUG] Removed SMS subscription for phone: ${subscriber.phone}`);
             } else {
-                await interaction.editReply('❌ No SMS subscription found for this phone number.');
+                await interaction.editReply('❌ You have no SMS subscription.');
             }
 
         } catch (error) {
@@ -1327,30 +2193,242 @@ class TwitterMonitorBot {
         }
     }
 
-    async testNotifications(interaction) {
+    async handleSubscriptionsCommand(interaction) {
+        const footer = {
+            text: 'built by keklabs',
+            icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+        };
+        const userId = interaction.user.id;
+        const reply = (title, description, color = 0x00FF00) =>
+            interaction.reply({ embeds: [{ title, description, color, footer }], ephemeral: true });
+
         try {
-            await interaction.deferReply();
-            
-            const services = [];
-            const tests = [];
-            
-            // Test Discord Connection & Permissions
-            services.push('💬 Discord: Connected');
-            try {
-                await interaction.channel.send('🔄 Testing message permissions...');
-                services.push('✅ Discord Permissions: OK');
-            } catch (error) {
-                services.push('❌ Discord Permissions: Failed');
-                tests.push(`Discord Error: ${error.message}`);
-            }
+            const group = interaction.options.getSubcommandGroup(false);
+            const subcommand = interaction.options.getSubcommand();
+
+            if (group === 'account') {
+                const username = interaction.options.getString('username').replace('@', '').toLowerCase();
+
+                if (subcommand === 'add') {
+                    // Only accounts followed by a server the user is in
+                    const account = Array.from(this.monitoredAccounts.values())
+                        .find(candidate => candidate.username.toLowerCase() === username);
+                    const followingGuildIds = account ? this.getGuildsFollowing(account.id).map(({ guildId }) => guildId) : [];
+                    if (!account || !(await this.isMemberOfAny(followingGuildIds, userId))) {
+                        return await reply('❌ Account Not Monitored', `@${username} is not monitored in any server you are in.`, 0xFF0000);
+                    }
+                    this.subscriptionRepository.addFilter(userId, 'account', account.id, account.username);
+                    return await reply('✅ Account Added', `Tweet alerts are now limited to the accounts in your filter, including @${account.username}.`);
+                }
 
-            // Test Channel Access
-            const channels = {
-                '📢 Tweets': this.tweetsChannel,
-                '⭐ VIP': this.vipChannel,
-                '👛 Wallets': this.walletsChannel,
-                '💎 Solana': this.solanaChannel
-            };
+                const account = this.subscriptionRepository.getSubscription(userId).accounts
+                    .find(candidate => candidate.username?.toLowerCase() === username);
+                const removed = account && this.subscriptionRepository.removeFilter(userId, 'account', account.id);
+                return await reply(
+                    removed ? '✅ Account Removed' : '❌ Not Found',
+                    removed ? `@${account.username} removed from your filter.` : `@${username} is not in your account filter.`,
+                    removed ? 0x00FF00 : 0xFF0000
+                );
+            }
+
+            if (group === 'wallet') {
+                const address = interaction.options.getString('address').trim();
+
+                if (subcommand === 'add') {
+                    // Only wallets tracked by a server the user is in, named as
+                    // that server names them (this server first)
+                    const trackingGuildIds = [...this.guildWallets.entries()]
+                        .filter(([, wallets]) => wallets.has(address))
+                        .map(([guildId]) => guildId)
+                        .sort((a, b) => (b === interaction.guildId) - (a === interaction.guildId));
+                    let wallet = null;
+                    for (const guildId of trackingGuildIds) {
+                        if (await this.isGuildMember(guildId, userId)) {
+                            wallet = this.guildWallets.get(guildId).get(address);
+                            break;
+                        }
+                    }
+                    if (!wallet) {
+                        return await reply('❌ Wallet Not Tracked', `\`${address}\` is not tracked in any server you are in.`, 0xFF0000);
+                    }
+                    this.subscriptionRepository.addFilter(userId, 'wallet', address, wallet.name);
+                    return await reply('✅ Wallet Added', `You will get alerts for ${wallet.name} and the other wallets in your filter.`);
+                }
+
+                const removed = this.subscriptionRepository.removeFilter(userId, 'wallet', address);
+                return await reply(
+                    removed ? '✅ Wallet Removed' : '❌ Not Found',
+                    removed ? `\`${address}\` removed from your filter.` : `\`${address}\` is not in your wallet filter.`,
+                    removed ? 0x00FF00 : 0xFF0000
+                );
+            }
+
+            if (subcommand === 'events') {
+                const type = interaction.options.getString('type');
+                const enabled = interaction.options.getBoolean('enabled');
+                const current = this.subscriptionRepository.getSubscription(userId).eventTypes || DEFAULT_EVENT_TYPES;
+                const eventTypes = enabled
+                    ? [...new Set([...current, type])]
+                    : current.filter(eventType => eventType !== type);
+
+                this.subscriptionRepository.updateSubscription(userId, { eventTypes });
+                return await reply('✅ Alert Types Updated', `\`${type}\` alerts ${enabled ? 'enabled' : 'disabled'}.`);
+            }
+
+            if (subcommand === 'thresholds') {
+                // 0 clears a threshold back to its default; omitted options are left alone
+                const fields = {};
+                for (const [option, field] of [['min_usd', 'minUsdValue'], ['min_mcap', 'minMarketCap'], ['min_liquidity', 'minLiquidity']]) {
+                    const value = interaction.options.getNumber(option);
+                    if (value !== null) fields[field] = value > 0 ? value : null;
+                }
+
+                if (Object.keys(fields).length === 0) {
+                    return await reply('❌ Nothing to Update', 'Set at least one of min_usd, min_mcap or min_liquidity.', 0xFF0000);
+                }
+
+                this.subscriptionRepository.updateSubscription(userId, fields);
+                return await reply('✅ Thresholds Updated', 'Your alert thresholds have been saved. Use `/subscriptions view` to check them.');
+            }
+
+            if (subcommand === 'delivery') {
+                const fields = {};
+                const quietStart = interaction.options.getString('quiet_start');
+                const quietEnd = interaction.options.getString('quiet_end');
+                const timezone = interaction.options.getString('timezone');
+                const maxPerHour = interaction.options.getInteger('max_per_hour');
+                const vipBreakthrough = interaction.options.getBoolean('vip_breakthrough');
+
+                if (quietStart?.toLowerCase() === 'off') {
+                    fields.quietStart = null;
+                    fields.quietEnd = null;
+                } else if (quietStart !== null || quietEnd !== null) {
+                    const current = this.subscriptionRepository.getSubscription(userId);
+                    const start = quietStart ?? current.quietStart;
+                    const end = quietEnd ?? current.quietEnd;
+                    if (SMSDigestManager.parseTime(start) === null || SMSDigestManager.parseTime(end) === null) {
+                        return await reply('❌ Invalid Quiet Hours', 'Give both quiet_start and quiet_end as HH:MM in 24-hour time, e.g. 22:00 and 07:30.', 0xFF0000);
+                    }
+                    fields.quietStart = start;
+                    fields.quietEnd = end;
+                }
+
+                if (timezone !== null) {
+                    if (!SMSDigestManager.isValidTimezone(timezone)) {
+                        return await reply('❌ Invalid Timezone', `\`${timezone}\` is not an IANA timezone such as \`Europe/Berlin\`.`, 0xFF0000);
+                    }
+                    fields.timezone = timezone;
+                }
+                if (maxPerHour !== null) fields.maxSmsPerHour = maxPerHour;
+                if (vipBreakthrough !== null) fields.vipBreakthrough = vipBreakthrough;
+
+                if (Object.keys(fields).length === 0) {
+                    return await reply('❌ Nothing to Update', 'Set quiet hours, a timezone, max_per_hour or vip_breakthrough.', 0xFF0000);
+                }
+
+                this.subscriptionRepository.updateSubscription(userId, fields);
+                return await reply('✅ Delivery Updated', 'Alerts held back by quiet hours or your hourly cap will arrive as one digest text.');
+            }
+
+            if (subcommand === 'reset') {
+                this.subscriptionRepository.resetSubscription(userId);
+                return await reply('✅ Subscriptions Reset', 'You are back on the default alert subscriptions.');
+            }
+
+            // view
+            const subscription = this.subscriptionRepository.getSubscription(userId);
+            const phone = await this.getSMSSubscriber(userId);
+            const minUsdValue = subscription.minUsdValue ?? this.config.notifications.defaultMinUsdValue;
+
+            return await interaction.reply({
+                embeds: [{
+                    title: '🔔 Your Alert Subscriptions',
+                    description: phone ? null : 'No phone registered yet. Use `/smsalert` to receive these alerts by SMS.',
+                    color: 0x9945FF,
+                    fields: [
+                        {
+                            name: 'Alert Types',
+                            value: (subscription.eventTypes || DEFAULT_EVENT_TYPES).map(type => `\`${type}\``).join(', ') || 'None',
+                            inline: false
+                        },
+                        {
+                            name: 'Thresholds',
+                            value: [
+                                `Wallet activity: $${this.formatNumber(minUsdValue)}${subscription.minUsdValue === null ? ' (default)' : ''}`,
+                                `Call market cap: ${subscription.minMarketCap ? `$${this.formatNumber(subscription.minMarketCap)}` : 'any'}`,
+                                `Call liquidity: ${subscription.minLiquidity ? `$${this.formatNumber(subscription.minLiquidity)}` : 'any'}`
+                            ].join('\n'),
+                            inline: false
+                        },
+                        {
+                            name: 'SMS Delivery',
+                            value: [
+                                `Quiet hours: ${subscription.quietStart && subscription.quietEnd
+                                    ? `${subscription.quietStart}-${subscription.quietEnd} (${subscription.timezone || 'UTC'})`
+                                    : 'off'}`,
+                                `Max texts per hour: ${this.smsDigest.getHourlyCap(subscription) || 'no cap'}`,
+                                `VIP tweets break through: ${subscription.vipBreakthrough ? 'yes' : 'no'}`
+                            ].join('\n'),
+                            inline: false
+                        },
+                        {
+                            name: 'Accounts',
+                            value: subscription.accounts.length > 0
+                                ? subscription.accounts.map(account => `@${account.username}`).join(', ')
+                                : 'All monitored accounts',
+                            inline: false
+                        },
+                        {
+                            name: 'Wallets',
+                            value: subscription.wallets.length > 0
+                                ? subscription.wallets.map(wallet => `${wallet.name || 'Wallet'} (\`${wallet.address}\`)`).join('\n')
+                                : 'Wallets you added',
+                            inline: false
+                        }
+                    ],
+                    footer
+                }],
+                ephemeral: true
+            });
+        } catch (error) {
+            console.error('[ERROR] Subscriptions command error:', error);
+            await interaction.reply({
+                embeds: [{
+                    title: 'Command Error',
+                    description: '❌ Failed to update alert subscriptions',
+                    color: 0xFF0000,
+                    footer
+                }],
+                ephemeral: true
+            });
+        }
+    }
+
+    async testNotifications(interaction) {
+        try {
+            await interaction.deferReply();
+            
+            const services = [];
+            const tests = [];
+            
+            // Test Discord Connection & Permissions
+            services.push('💬 Discord: Connected');
+            try {
+                await interaction.channel.send('🔄 Testing message permissions...');
+                services.push('✅ Discord Permissions: OK');
+            } catch (error) {
+                services.push('❌ Discord Permissions: Failed');
+                tests.push(`Discord Error: ${error.message}`);
+            }
+
+            // Test this guild's channel access
+            const guildChannels = await this.resolveGuildChannels(interaction.guildId);
+            const channels = {
+                '📢 Tweets': guildChannels.tweets,
+                '⭐ VIP': guildChannels.vip,
+                '👛 Wallets': guildChannels.wallets,
+                '💎 Solana': guildChannels.solana
+            };
 
             for (const [name, channel] of Object.entries(channels)) {
                 if (channel && channel.id) {
@@ -1387,11 +2465,18 @@ class TwitterMonitorBot {
             }
 
             // Monitor Stats
+            const budget = this.readBudget.getStatus();
             const stats = [
-                `📊 Monitored Accounts: ${this.monitoredAccounts.size}`,
-                `👛 Tracked Wallets: ${this.trackedWallets.size}`,
+                `📊 Monitored Accounts: ${this.guildAccounts.get(interaction.guildId)?.size || 0} here, ${this.monitoredAccounts.size} polled across ${this.guildSettings.size} guild(s)`,
+                `👛 Tracked Wallets: ${this.guildWallets.get(interaction.guildId)?.size || 0} here, ${this.trackedWallets.size} total`,
                 `📱 SMS Subscribers: ${this.smsSubscribers.size}`,
-                `🔄 Monitoring Interval: ${this.config.monitoring.interval}ms`
+                `🔄 Monitoring Interval: ${budget.currentIntervalMs || this.config.monitoring.interval}ms`
+            ];
+
+            const budgetStats = [
+                `📖 Reads: ${budget.used.toLocaleString()} / ${budget.limit.toLocaleString()} (${(budget.usage * 100).toFixed(1)}%)`,
+                `⏳ Remaining: ${budget.remaining.toLocaleString()}`,
+                `📅 Resets: ${budget.resetsAt.toISOString().slice(0, 10)}`
             ];
 
             // Create embed
@@ -1408,6 +2493,11 @@ class TwitterMonitorBot {
                         name: '📈 Statistics',
                         value: stats.join('\n'),
                         inline: false
+                    },
+                    {
+                        name: '🐦 Twitter Read Budget',
+                        value: budgetStats.join('\n'),
+                        inline: false
                     }
                 ],
                 footer: {
@@ -1444,6 +2534,34 @@ class TwitterMonitorBot {
         }
     }
 
+    // The budget is shared, so every guild's tweets channel hears about it
+    async sendReadBudgetWarning(status) {
+        const percent = Math.round(status.threshold * 100);
+        const embed = {
+            title: `⚠️ Twitter Read Budget ${percent}% Used`,
+            description: [
+                `📖 ${status.used.toLocaleString()} of ${status.limit.toLocaleString()} monthly reads used`,
+                `📅 Resets ${status.resetsAt.toISOString().slice(0, 10)}`,
+                status.usage >= this.config.twitter.readBudget.vipOnlyThreshold
+                    ? '⭐ Only VIP accounts are being polled until the reset'
+                    : '🔄 Monitoring interval is being stretched to fit the remaining budget'
+            ].join('\n'),
+            color: percent >= 95 ? 0xFF0000 : 0xFFA500,
+            footer: {
+                text: 'built by keklabs',
+                icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        for (const guildId of this.guildSettings.keys()) {
+            const { tweets } = await this.getGuildChannels(guildId);
+            if (tweets) {
+                await tweets.send({ embeds: [embed] });
+            }
+        }
+    }
+
     async sendSMSAlert(message, phone, discord_user_id = null) {
         try {
             if (!this.twilio || !this.twilioPhone) {
@@ -1451,11 +2569,14 @@ class TwitterMonitorBot {
                 return false;
             }
 
-            await this.twilio.messages.create({
-                body: message,
-                from: this.twilioPhone,
-                to: phone
-            });
+            // Alerts only ever go to numbers confirmed with /smsverify that
+            // have not replied STOP or PAUSE
+            if (!this.canReceiveSMS(phone)) {
+                console.log(`[DEBUG] Not sending SMS alert to inactive number ${phone}`);
+                return false;
+            }
+
+            await this.sendTwilioMessage(message, phone);
 
             console.log(`[DEBUG] SMS alert sent to ${phone}`);
             return true;
@@ -1465,227 +2586,33 @@ class TwitterMonitorBot {
         }
     }
 
-    async registerCommands() {
-        try {
-            console.log('🔄 Checking application commands...');
-            
-            // Get the guild
-            const guild = await this.client.guilds.fetch(this.config.discord.guildId);
-            if (!guild) {
-                throw new Error(`Could not find guild with ID ${this.config.discord.guildId}`);
-            }
-
-            console.log(`Found guild: ${guild.name}`);
-
-            // Check existing commands
-            const existingCommands = await guild.commands.fetch();
-            if (existingCommands.size > 0) {
-                console.log('✅ Commands already registered, skipping registration');
-                return;
-            }
+    // Raw send with no verification check; only used for verification codes
+    // and by sendSMSAlert. Throws on failure.
+    async sendTwilioMessage(message, phone) {
+        if (!this.twilio || !this.twilioPhone) {
+            throw new Error('Twilio not configured');
+        }
 
-            console.log('📝 Registering new commands...');
+        await this.twilio.messages.create({
+            body: message,
+            from: this.twilioPhone,
+            to: phone
+        });
+    }
 
-            const commands = [
-                {
-                    name: 'monitor',
-                    description: 'Monitor a Twitter account for tweets',
-                    options: [{
-                            name: 'twitter_id',
-                            description: 'Twitter username to monitor',
-                        type: ApplicationCommandOptionType.String,
-                            required: true
-                    }]
-                },
-                {
-                    name: 'solanamonitor',
-                    description: 'Monitor a Twitter account for Solana addresses',
-                    options: [{
-                        name: 'twitter_id',
-                        description: 'Twitter username to monitor for Solana addresses',
-                        type: ApplicationCommandOptionType.String,
-                        required: true
-                    }]
-                },
-                {
-                    name: 'vipmonitor',
-                    description: 'Monitor a VIP Twitter account',
-                    options: [{
-                        name: 'twitter_id',
-                        description: 'Twitter username to monitor as VIP',
-                        type: ApplicationCommandOptionType.String,
-                        required: true
-                    }]
-                },
-                {
-                    name: 'stopm',
-                    description: 'Stop monitoring a Twitter account',
-                    options: [{
-                            name: 'twitter_id',
-                            description: 'Twitter username to stop monitoring',
-                        type: ApplicationCommandOptionType.String,
-                            required: true
-                    }]
-                },
-                {
-                    name: 'list',
-                    description: 'List all monitored accounts'
-                },
-                {
-            name: 'trackwallet',
-            description: 'Track a Solana wallet',
-                    options: [{
-                        name: 'wallet',
-                    description: 'Solana wallet address to track',
-                        type: ApplicationCommandOptionType.String,
-                    required: true
-                    }]
-                },
-                {
-            name: 'stopwallet',
-                    description: 'Stop tracking a Solana wallet',
-                    options: [{
-                        name: 'wallet',
-                    description: 'Solana wallet address to stop tracking',
-                        type: ApplicationCommandOptionType.String,
-                    required: true
-                    }]
-                },
-                {
-                    name: 'trending',
-                    description: 'Get trending tokens',
-                    options: [{
-                        name: 'timeframe',
-                        description: 'Timeframe for trending data',
-                        type: ApplicationCommandOptionType.String,
-                        required: true,
-                        choices: [
-                            { name: '1h', value: '1h' },
-                            { name: '6h', value: '6h' },
-                            { name: '24h', value: '24h' }
-                        ]
-                    }]
-                },
-                {
-                    name: 'gainers',
-                    description: 'Get top gainers',
-                    options: [{
-                            name: 'timeframe',
-                        description: 'Timeframe for gainers data',
-                        type: ApplicationCommandOptionType.String,
-                        required: true,
-                            choices: [
-                            { name: '1h', value: '1h' },
-                            { name: '6h', value: '6h' },
-                            { name: '24h', value: '24h' }
-                        ]
-                    }]
-                },
-                {
-                    name: 'losers',
-                    description: 'Get top losers',
-                    options: [{
-                            name: 'timeframe',
-                        description: 'Timeframe for losers data',
-                        type: ApplicationCommandOptionType.String,
-                        required: true,
-                            choices: [
-                            { name: '1h', value: '1h' },
-                            { name: '6h', value: '6h' },
-                            { name: '24h', value: '24h' }
-                        ]
-                    }]
-                },
-                {
-                    name: 'newpairs',
-                    description: 'Get new trading pairs',
-                    options: [{
-                        name: 'timeframe',
-                        description: 'Timeframe for new pairs data',
-                        type: ApplicationCommandOptionType.String,
-                        required: true,
-                        choices: [
-                            { name: '1h', value: '1h' },
-                            { name: '6h', value: '6h' },
-                            { name: '24h', value: '24h' }
-                        ]
-                    }]
-                },
-                {
-                    name: 'volume',
-                    description: 'Get volume leaders',
-                    options: [{
-                            name: 'timeframe',
-                        description: 'Timeframe for volume data',
-                        type: ApplicationCommandOptionType.String,
-                        required: true,
-                            choices: [
-                            { name: '1h', value: '1h' },
-                            { name: '6h', value: '6h' },
-                            { name: '24h', value: '24h' }
-                        ]
-                    }]
-                },
-                {
-                    name: 'security',
-                    description: 'Get token security info',
-                    options: [{
-                            name: 'address',
-                        description: 'Token address to check',
-                        type: ApplicationCommandOptionType.String,
-                            required: true
-                    }]
-                },
-                {
-                    name: 'metrics',
-                    description: 'Get token metrics',
-                    options: [{
-                            name: 'address',
-                        description: 'Token address to check',
-                        type: ApplicationCommandOptionType.String,
-                            required: true
-                    }]
-                },
-                {
-                    name: 'holders',
-                    description: 'Get token holder info',
-                    options: [{
-                            name: 'address',
-                        description: 'Token address to check',
-                        type: ApplicationCommandOptionType.String,
-                            required: true
-                    }]
-                },
-                {
-                    name: 'smsalert',
-                    description: 'Subscribe to SMS alerts',
-                    options: [{
-                            name: 'phone',
-                        description: 'Phone number (E.164 format)',
-                        type: ApplicationCommandOptionType.String,
-                            required: true
-                    }]
-                },
-                {
-                    name: 'stopsms',
-                    description: 'Unsubscribe from SMS alerts'
-                },
-                {
-                    name: 'test',
-                    description: 'Test notifications'
-                },
-                {
-                    name: 'help',
-                    description: 'Show help information'
-                }
-            ];
+    async registerCommands() {
+        try {
+            // Create, update or delete only the commands that changed
+            await this.commandSync.sync();
 
-            // Only register if no commands exist
-            await guild.commands.set(commands);
-            console.log('✅ Application commands registered successfully');
+            // Servers that add the bot later get the commands when they join
+            this.client.on('guildCreate', guild => {
+                console.log(`[DEBUG] Joined guild ${guild.name} (${guild.id}) - run /setup there`);
+                this.commandSync.syncGuild(guild);
+            });
         } catch (error) {
-            console.error('❌ Error checking/registering commands:', error);
-            // Don't throw error, just log it - this allows the bot to continue if commands already exist
+            console.error('❌ Error syncing application commands:', error);
+            // Don't throw error, just log it - the commands Discord already has keep working
             console.log('Continuing bot startup...');
         }
     }
@@ -1812,27 +2739,6 @@ class TwitterMonitorBot {
         }
     }
 
-    async setupHeliusWebhook() {
-        try {
-            console.log('[DEBUG] Setting up Helius webhook...');
-
-            // Get currently tracked wallets
-            const walletAddresses = Array.from(this.trackedWallets.keys());
-            if (walletAddresses.length === 0) {
-                console.log('[DEBUG] No wallets to track, skipping webhook setup');
-                return;
-            }
-
-            // Update webhook with current wallets
-            await this.heliusService.updateWebhookAddresses(walletAddresses);
-            console.log('[DEBUG] Helius webhook updated with current wallets');
-
-        } catch (error) {
-            console.error('[ERROR] Failed to setup Helius webhook:', error);
-            throw error;
-        }
-    }
-
     // Simplified wallet monitoring
     startWalletMonitoring() {
         console.log(`[DEBUG] Wallet monitoring active - ${this.trackedWallets.size} wallets configured`);
@@ -1840,26 +2746,31 @@ class TwitterMonitorBot {
     }
 
     async handleTrackWalletCommand(interaction) {
-        const address = interaction.options.getString('wallet');
-        const name = interaction.options.getString('name');
+        const address = interaction.options.getString('wallet').trim();
 
         try {
-            if (!this.heliusService.isValidSolanaAddress(address)) {
+            if (!isSolanaAddress(address)) {
                 await interaction.reply('Please provide a valid Solana wallet address.');
                 return;
             }
 
-            // Store in memory
-            this.trackedWallets.set(address, {
+            // Without a name, an existing wallet keeps its own
+            const existing = this.guildWallets.get(interaction.guildId)?.get(address);
+            const name = interaction.options.getString('name')?.trim() || existing?.name || address.slice(0, 4) + '...' + address.slice(-4);
+            const tagsInput = interaction.options.getString('tags');
+            const tags = tagsInput !== null ? parseWalletTags(tagsInput) : existing?.tags || [];
+
+            await this.addTrackedWallet(interaction.guildId, {
                 address,
-                name: name || address.slice(0, 4) + '...' + address.slice(-4),
-                added_by: interaction.user.id
+                name,
+                added_by: existing?.added_by || interaction.user.id,
+                tags
             });
 
-            // Update Helius service wallet name mapping
-            this.heliusService.setWalletName(address, name || address.slice(0, 4) + '...' + address.slice(-4));
-
-            await interaction.reply(`✅ Now tracking wallet: ${name || address}`);
+            const tagNote = tags.length > 0 ? ` [${tags.join(', ')}]` : '';
+            await interaction.reply(existing
+                ? `✅ Updated wallet ${existing.name === name ? name : `${existing.name} → ${name}`}${tagNote}`
+                : `✅ Now tracking wallet: ${name}${tagNote}. Use \`/wallets list\` to check the Helius sync.`);
         } catch (error) {
             console.error('Error handling track wallet command:', error);
             await interaction.reply('Failed to track wallet.');
@@ -1868,250 +2779,846 @@ class TwitterMonitorBot {
 
     async handleStopWalletCommand(interaction) {
         try {
-            const address = interaction.options.getString('wallet');
+            const address = this.resolveGuildWallet(interaction.guildId, interaction.options.getString('wallet'));
 
-            if (!this.trackedWallets.has(address)) {
+            if (!address) {
                 await interaction.reply('This wallet is not being tracked.');
                 return;
             }
 
-            // Remove from memory
-            this.trackedWallets.delete(address);
+            const { name } = this.guildWallets.get(interaction.guildId).get(address);
+            await this.removeTrackedWallet(interaction.guildId, address);
 
-            await interaction.reply(`✅ Stopped tracking wallet: ${address}`);
+            await interaction.reply(`✅ Stopped tracking wallet: ${name} (\`${address}\`)`);
         } catch (error) {
             console.error('Error handling stop wallet command:', error);
             await interaction.reply('Failed to stop tracking wallet.');
         }
     }
 
-    // Handle webhook events from Helius
-    async handleWebhook(data) {
+    async handleWatchCommand(interaction) {
+        const footer = {
+            text: 'built by keklabs',
+            icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+        };
+        const userId = interaction.user.id;
+        const reply = (title, description, color = 0x00FF00) =>
+            interaction.editReply({ embeds: [{ title, description, color, footer }] });
+
         try {
-            console.log('[DEBUG] Received webhook data:', JSON.stringify(data, null, 2));
+            await interaction.deferReply({ ephemeral: true });
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'remove') {
+                const watch = this.tokenWatcher.getWatch(interaction.options.getInteger('id'));
+                const canManage = interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+                if (!watch || watch.guild_id !== interaction.guildId || (watch.user_id !== userId && !(watch.channel_id && canManage))) {
+                    return await reply('❌ Not Found', 'No watch with that ID that you can remove. Use `/watch list` to see yours.', 0xFF0000);
+                }
 
-            // Get the wallet channel
-            const channel = this.walletsChannel;
-            if (!channel) {
-                console.error('[ERROR] Wallet notification channel not found');
-                return;
+                this.tokenWatcher.removeWatch(watch.id);
+                return await reply('✅ Watch Removed', `#${watch.id}: ${this.describeWatch(watch)}`);
             }
 
-            // Process each transaction
-            for (const transaction of data) {
-                try {
-                    // Get wallet info from tracked wallets
-                    const wallet = this.trackedWallets.get(transaction.account);
-                    if (!wallet) {
-                        console.log('[DEBUG] Transaction for untracked wallet:', transaction.account);
-                        continue;
-                    }
+            if (subcommand === 'list') {
+                const watches = this.tokenWatcher.getGuildWatches(interaction.guildId)
+                    .filter(watch => watch.user_id === userId || watch.channel_id);
+                if (watches.length === 0) {
+                    return await reply('🔔 Token Watches', 'No watches yet. Add one with `/watch add`.', 0x9945FF);
+                }
+
+                const lines = watches.map(watch => [
+                    `**#${watch.id}** ${this.describeWatch(watch)}`,
+                    watch.channel_id ? `→ <#${watch.channel_id}>` : '→ DM',
+                    watch.triggered_at ? `(last alert <t:${Math.floor(watch.triggered_at / 1000)}:R>)` : ''
+                ].filter(Boolean).join(' '));
+                return await reply(`🔔 Token Watches (${watches.length})`, lines.join('\n').slice(0, 4000), 0x9945FF);
+            }
+
+            // add
+            const mint = interaction.options.getString('token').trim();
+            const condition = interaction.options.getString('condition');
+            const threshold = interaction.options.getNumber('value');
+            const channel = interaction.options.getChannel('channel');
+            const { metric } = TokenWatcher.CONDITIONS[condition];
+
+            if (!isSolanaAddress(mint)) {
+                return await reply('❌ Invalid Token', 'Give the token\'s mint address.', 0xFF0000);
+            }
+            const invalid = {
+                price: !(threshold > 0) && 'The price must be above 0.',
+                marketCap: !(threshold > 0) && 'The market cap must be above 0.',
+                change: threshold === 0 && 'Percent change cannot be 0.',
+                liquidity: !(threshold > 0 && threshold <= 100) && 'Liquidity drop must be a percent between 0 and 100.',
+                holders: !(threshold > 0) && 'Holder change must be a percent above 0.'
+            }[metric];
+            if (invalid) {
+                return await reply('❌ Invalid Value', invalid, 0xFF0000);
+            }
+            if (channel && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+                return await reply('❌ Not Allowed', 'Posting watch alerts in a channel requires Manage Server. Leave out channel to get them by DM.', 0xFF0000);
+            }
+            if (this.tokenWatcher.countUserWatches(userId) >= this.config.watch.maxPerUser) {
+                return await reply('❌ Too Many Watches', `You can have up to ${this.config.watch.maxPerUser} watches. Remove one with \`/watch remove\`.`, 0xFF0000);
+            }
+
+            const tokenInfo = await this.tokenData.getTokenInfo(mint);
+            if (!tokenInfo?.price) {
+                return await reply('❌ Token Not Found', `No market data for \`${mint}\`.`, 0xFF0000);
+            }
+
+            const watch = this.tokenWatcher.addWatch({
+                guildId: interaction.guildId,
+                userId,
+                channelId: channel?.id,
+                mint,
+                symbol: tokenInfo.symbol !== 'UNKNOWN' ? tokenInfo.symbol : null,
+                condition,
+                threshold,
+                windowMinutes: condition === 'change' ? interaction.options.getInteger('window') || 60 : null
+            }, tokenInfo);
+
+            return await reply('✅ Watching', [
+                `**#${watch.id}** ${this.describeWatch(watch)}`,
+                `Alerts go to ${channel ? `<#${channel.id}>` : 'your DMs'}.`,
+                watch.armed ? null : 'The condition already holds, so the first alert comes after it resets and crosses again.'
+            ].filter(Boolean).join('\n'));
+        } catch (error) {
+            console.error('[ERROR] Watch command error:', error);
+            await reply('Command Error', '❌ Failed to update token watches', 0xFF0000);
+        }
+    }
+
+    describeWatch(watch) {
+        const token = watch.symbol || `${watch.mint.slice(0, 6)}...`;
+        const window = watch.window_minutes >= 60 ? `${watch.window_minutes / 60}h` : `${watch.window_minutes}m`;
+
+        switch (watch.condition) {
+            case 'price_above': return `${token} price above $${this.birdeyeService.formatNumber(watch.threshold)}`;
+            case 'price_below': return `${token} price below $${this.birdeyeService.formatNumber(watch.threshold)}`;
+            case 'mcap_above': return `${token} market cap above $${this.formatNumber(watch.threshold)}`;
+            case 'mcap_below': return `${token} market cap below $${this.formatNumber(watch.threshold)}`;
+            case 'change': return `${token} ${watch.threshold > 0 ? 'up' : 'down'} ${Math.abs(watch.threshold)}% within ${window}`;
+            case 'liquidity_drop': return `${token} liquidity down ${watch.threshold}%`;
+            case 'holders_change': return `${token} holders up or down ${watch.threshold}%`;
+            default: return token;
+        }
+    }
 
-                    // Calculate total USD value
-                    let totalUsdValue = 0;
-                    let isStablecoinPurchase = false;
-                    
-                    // Create transaction embed first
-                    const embed = {
-                        title: '🔔 New Transaction',
-                        description: `Activity detected for wallet:\n\`${transaction.account}\``,
+    // alert is { value, change, price } from TokenWatcher: value is the
+    // watched metric, change the percent move for liquidity/holder watches
+    async sendWatchAlert(watch, alert) {
+        const now = {
+            price_above: `Price: $${this.birdeyeService.formatNumber(alert.value)}`,
+            price_below: `Price: $${this.birdeyeService.formatNumber(alert.value)}`,
+            mcap_above: `Market cap: $${this.formatNumber(alert.value)}`,
+            mcap_below: `Market cap: $${this.formatNumber(alert.value)}`,
+            change: `Change: ${alert.value > 0 ? '+' : ''}${alert.value.toFixed(2)}%`,
+            liquidity_drop: `Liquidity: $${this.formatNumber(alert.value)} (${alert.change?.toFixed(1)}%)`,
+            holders_change: `Holders: ${alert.value.toLocaleString()} (${alert.change > 0 ? '+' : ''}${alert.change?.toFixed(1)}%)`
+        }[watch.condition];
+        const description = this.describeWatch(watch);
+
+        await this.notificationRouter.dispatch({
+            type: 'token_watch',
+            targets: [{
+                guildId: watch.guild_id,
+                channelId: watch.channel_id,
+                message: {
+                    content: watch.channel_id ? `<@${watch.user_id}>` : undefined,
+                    embeds: [{
+                        title: `🔔 Watch #${watch.id}: ${description}`,
+                        description: `\`${watch.mint}\`\n${now}` + (alert.price && !watch.condition.startsWith('price') ? `\nPrice: $${this.birdeyeService.formatNumber(alert.price)}` : ''),
                         color: 0x9945FF,
-                        fields: [
-                            {
-                                name: 'Transaction Type',
-                                value: transaction.type || 'Unknown',
-                                inline: true
-                            }
-                        ],
+                        fields: [{
+                            name: '🔗 Links',
+                            value: `[Chart](https://dexscreener.com/solana/${watch.mint}) | [Token](https://solscan.io/token/${watch.mint})`,
+                            inline: false
+                        }],
                         footer: {
                             text: 'built by keklabs',
                             icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
                         },
                         timestamp: new Date().toISOString()
-                    };
-
-                    // Check if there are token transfers once
-                    const hasTokenTransfers = transaction.tokenTransfers?.length > 0;
-                    const tokenTransfers = hasTokenTransfers ? transaction.tokenTransfers : [];
-                    
-                    // Check for stablecoin purchases first
-                    if (hasTokenTransfers) {
-                        for (const transfer of tokenTransfers) {
-                            const stablecoins = ['USDC', 'USDT', 'DAI', 'BUSD'];
-                            if (stablecoins.includes(transfer.tokenSymbol?.toUpperCase())) {
-                                isStablecoinPurchase = true;
-                                console.log('[DEBUG] Skipping stablecoin purchase transaction');
-                                break;
-                            }
-                        }
-                    }
+                    }],
+                    allowedMentions: { users: [watch.user_id] }
+                }
+            }],
+            text: `🔔 ${description}\n${now}\nhttps://dexscreener.com/solana/${watch.mint}`,
+            data: {
+                mint: watch.mint,
+                watchId: watch.id,
+                condition: watch.condition,
+                value: alert.value,
+                ownerIds: [watch.user_id],
+                watcherIds: watch.channel_id ? [] : [watch.user_id]
+            }
+        });
+        console.log(`[DEBUG] Watch #${watch.id} fired: ${description}`);
+    }
 
-                    // Skip early if it's a stablecoin purchase
-                    if (isStablecoinPurchase) {
-                        continue;
-                    }
-                    
-                    // Add SOL value if present
-                    if (transaction.amount && transaction.nativeTransfers) {
-                        const solPrice = await this.heliusService.getSolanaPrice();
-                        totalUsdValue += transaction.amount * solPrice;
-
-                        // Add SOL amount to embed
-                        embed.fields.push({
-                            name: 'SOL Amount',
-                            value: `${this.formatNumber(transaction.amount)} SOL`,
-                            inline: true
-                        });
-                    }
+    async handleWalletsCommand(interaction) {
+        const footer = {
+            text: 'built by keklabs',
+            icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+        };
+        const reply = (title, description, color = 0x00FF00) =>
+            interaction.reply({ embeds: [{ title, description, color, footer }] });
 
-                    // Now process token transfer values
-                    if (hasTokenTransfers) {
-                        for (const transfer of tokenTransfers) {
-                            if (transfer.tokenPrice) {
-                                totalUsdValue += transfer.tokenAmount * transfer.tokenPrice;
-                            }
-                        }
-                    }
+        try {
+            const subcommand = interaction.options.getSubcommand();
+            const guildWallets = this.guildWallets.get(interaction.guildId) || new Map();
+            const tagFilter = parseWalletTags(interaction.options.getString('tag') || '')[0] || null;
+            const inFilter = wallet => !tagFilter || wallet.tags?.includes(tagFilter);
+
+            if (subcommand === 'tag' || subcommand === 'untag') {
+                const address = this.resolveGuildWallet(interaction.guildId, interaction.options.getString('wallet'));
+                if (!address) {
+                    return await reply('❌ Wallet Not Found', 'That wallet is not tracked in this server.', 0xFF0000);
+                }
 
-                    // Update embed title and color based on final total value
-                    if (totalUsdValue >= 1000) {
-                        embed.title = '🔥 High Value Transaction';
-                        embed.color = 0xFF0000;
-                    }
+                const wallet = guildWallets.get(address);
+                const tags = subcommand === 'tag'
+                    ? parseWalletTags([...(wallet.tags || []), ...parseWalletTags(interaction.options.getString('tags'))])
+                    : (wallet.tags || []).filter(tag => tag !== tagFilter);
+
+                await this.addTrackedWallet(interaction.guildId, { ...wallet, tags });
+                return await reply('✅ Tags Updated', `**${wallet.name}**${this.formatWalletTags(tags) || ' has no tags'}`);
+            }
+
+            if (subcommand === 'export') {
+                const wallets = [...guildWallets.values()]
+                    .filter(inFilter)
+                    .map(wallet => ({ name: wallet.name, address: wallet.address, tags: wallet.tags || [] }));
+
+                return await interaction.reply({
+                    content: `📦 ${wallets.length} wallet${wallets.length === 1 ? '' : 's'}${tagFilter ? ` tagged ${tagFilter}` : ''}`,
+                    files: [{
+                        attachment: Buffer.from(JSON.stringify({ wallets }, null, 2)),
+                        name: 'wallets.json'
+                    }]
+                });
+            }
+
+            if (subcommand === 'import') {
+                await interaction.deferReply();
+                const result = await this.importWalletsFile(interaction.guildId, interaction.options.getAttachment('file'), interaction.user.id);
+
+                return await interaction.editReply({
+                    embeds: [{
+                        title: result.error ? '❌ Import Failed' : '📥 Wallets Imported',
+                        description: result.error || [
+                            `➕ ${result.added} added`,
+                            `✏️ ${result.updated} updated`,
+                            result.skipped.length > 0
+                                ? `⚠️ ${result.skipped.length} skipped (missing or invalid address): ${result.skipped.slice(0, 10).map(entry => `\`${entry.slice(0, 44)}\``).join(', ')}${result.skipped.length > 10 ? ', …' : ''}`
+                                : null
+                        ].filter(Boolean).join('\n'),
+                        color: result.error ? 0xFF0000 : 0x00FF00,
+                        footer
+                    }]
+                });
+            }
+
+            // list
+            const wallets = [...guildWallets.values()]
+                .filter(inFilter)
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            const lines = wallets.map(wallet =>
+                `👛 **${wallet.name}**${this.formatWalletTags(wallet.tags)} - \`${wallet.address}\`` +
+                (wallet.added_by ? ` • <@${wallet.added_by}>` : '')
+            );
+            const shown = [];
+            for (const line of lines) {
+                if (shown.join('\n').length + line.length > 3800) break;
+                shown.push(line);
+            }
+            if (shown.length < lines.length) {
+                shown.push(`…and ${lines.length - shown.length} more`);
+            }
+
+            const tagCounts = new Map();
+            for (const wallet of guildWallets.values()) {
+                for (const tag of wallet.tags || []) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+            }
+
+            const fields = [];
+            if (tagCounts.size > 0) {
+                fields.push({
+                    name: 'Groups',
+                    value: [...tagCounts].sort((a, b) => b[1] - a[1]).map(([tag, count]) => `${tag} (${count})`).join(', ').slice(0, 1024),
+                    inline: false
+                });
+            }
+            fields.push({
+                name: 'Helius Webhook',
+                value: this.formatWalletSyncStatus(),
+                inline: false
+            });
+
+            await interaction.reply({
+                embeds: [{
+                    title: `👛 Tracked Wallets${tagFilter ? ` tagged ${tagFilter}` : ''} (${wallets.length})`,
+                    description: shown.join('\n') || (tagFilter
+                        ? `No wallets tagged ${tagFilter}.`
+                        : 'No wallets tracked in this server. Add one with `/trackwallet`.'),
+                    color: 0x9945FF,
+                    fields,
+                    footer
+                }]
+            });
+        } catch (error) {
+            console.error('[ERROR] Wallets command error:', error);
+            const message = { embeds: [{ title: 'Command Error', description: '❌ Failed to process wallets command', color: 0xFF0000, footer }] };
+            await (interaction.deferred ? interaction.editReply(message) : interaction.reply(message));
+        }
+    }
+
+    // Adds or updates this guild's wallets from a wallets.json attachment.
+    // Entries without "tags" keep the tags they already have.
+    async importWalletsFile(guildId, attachment, userId) {
+        if (attachment.size > WALLET_IMPORT_MAX_BYTES) {
+            return { error: `File is larger than ${WALLET_IMPORT_MAX_BYTES / 1024} KB.` };
+        }
+
+        let wallets;
+        try {
+            const response = await axios.get(attachment.url, { responseType: 'text', timeout: 10000 });
+            wallets = JSON.parse(response.data).wallets;
+        } catch (error) {
+            return { error: 'Could not read the file as JSON.' };
+        }
+        if (!Array.isArray(wallets)) {
+            return { error: 'Expected a "wallets" array, as in wallets.json.' };
+        }
+
+        const result = { added: 0, updated: 0, skipped: [] };
+
+        for (const entry of wallets) {
+            const address = typeof entry?.address === 'string' ? entry.address.trim() : '';
+            if (!isSolanaAddress(address)) {
+                result.skipped.push(address || String(entry?.name || '(no address)'));
+                continue;
+            }
+
+            const existing = this.guildWallets.get(guildId)?.get(address);
+            await this.addTrackedWallet(guildId, {
+                address,
+                name: String(entry.name || existing?.name || `${address.slice(0, 4)}...${address.slice(-4)}`).slice(0, 32),
+                added_by: existing?.added_by || userId,
+                tags: entry.tags !== undefined ? parseWalletTags(entry.tags) : existing?.tags || []
+            });
+            result[existing ? 'updated' : 'added']++;
+        }
+
+        console.log(`[DEBUG] Imported wallets into guild ${guildId}: ${result.added} added, ${result.updated} updated, ${result.skipped.length} skipped`);
+        if (result.skipped.length > 0) {
+            console.log(`[DEBUG] Skipped wallet import entries: ${result.skipped.join(', ')}`);
+        }
+        return result;
+    }
+
+    // Address of a wallet this guild tracks, given its address or name
+    resolveGuildWallet(guildId, query) {
+        const wallets = this.guildWallets.get(guildId) || new Map();
+        const value = query.trim();
+        if (wallets.has(value)) return value;
+
+        const match = [...wallets.values()].find(wallet => wallet.name.toLowerCase() === value.toLowerCase());
+        return match?.address || null;
+    }
+
+    formatWalletSyncStatus() {
+        const status = this.walletSync.status;
+        if (status.lastError) {
+            return `❌ Last sync failed after ${status.failedAttempts} attempt${status.failedAttempts === 1 ? '' : 's'}: ${status.lastError}\nRetrying every ${this.config.helius.syncRetryMs / 1000}s`;
+        }
+        if (!this.walletSync.isInSync()) {
+            return '⏳ Sync pending';
+        }
+        return `✅ ${status.addressCount} wallets synced <t:${Math.floor(Date.parse(status.lastSyncedAt) / 1000)}:R>`;
+    }
+
+    // Posted to the wallets channel of the guilds whose changes were waiting
+    // on the sync (the DISCORD_GUILD_ID server for the startup sync)
+    async sendWalletSyncReport(status, recovered) {
+        const embed = recovered
+            ? {
+                title: '✅ Helius Wallet Sync Recovered',
+                description: `The webhook now tracks ${status.addressCount} wallets.`,
+                color: 0x00FF00
+            }
+            : {
+                title: '⚠️ Helius Wallet Sync Failed',
+                description: [
+                    `Wallet changes have not reached the Helius webhook: ${status.lastError}`,
+                    `Retrying every ${this.config.helius.syncRetryMs / 1000}s; alerts for new wallets will not arrive until it succeeds.`
+                ].join('\n'),
+                color: 0xFF0000
+            };
+
+        const guildIds = status.guildIds.length > 0
+            ? status.guildIds
+            : [this.config.discord.guildId].filter(Boolean);
+
+        for (const guildId of guildIds) {
+            const { wallets } = await this.getGuildChannels(guildId);
+            if (wallets) {
+                await wallets.send({
+                    embeds: [{
+                        ...embed,
+                        footer: {
+                            text: 'built by keklabs',
+                            icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                        },
+                        timestamp: new Date().toISOString()
+                    }]
+                });
+            }
+        }
+    }
+
+    // Match a Helius enhanced transaction to a wallet in the registry
+    findTrackedWallet(transaction) {
+        const candidates = [
+            transaction.account,
+            transaction.feePayer,
+            ...(transaction.accountData || []).map(entry => entry.account)
+        ].filter(Boolean);
+
+        for (const address of candidates) {
+            if (this.trackedWallets.has(address)) {
+                return this.trackedWallets.get(address);
+            }
+        }
+        return null;
+    }
+
+    // Guilds tracking the wallet with a wallets channel, each with its own name for it
+    async getWalletTargets(wallet) {
+        let tracking = this.getGuildsTrackingWallet(wallet.address);
+
+        // wallets.json entries belong to the DISCORD_GUILD_ID server
+        if (tracking.length === 0 && this.config.discord.guildId) {
+            tracking = [{ guildId: this.config.discord.guildId, wallet }];
+        }
+
+        const targets = [];
+        for (const { guildId, wallet: guildWallet } of tracking) {
+            const { wallets: channel } = await this.getGuildChannels(guildId);
+            if (channel) {
+                targets.push({ guildId, wallet: guildWallet, channel });
+            }
+        }
+        return targets;
+    }
+
+    // Build and deliver the alert for a single transaction. Throws when the
+    // alert could not be built so WebhookQueue can retry it; failed deliveries
+    // are logged by the router instead.
+    async processWalletTransaction(transaction) {
+        // Get wallet info from tracked wallets
+        const wallet = this.findTrackedWallet(transaction);
+        if (!wallet) {
+            console.log('[DEBUG] Transaction for untracked wallet:', transaction.feePayer || transaction.account);
+            return;
+        }
+
+        // Guilds tracking this wallet that have a wallets channel
+        const targets = await this.getWalletTargets(wallet);
+        if (targets.length === 0) {
+            console.log(`[DEBUG] No guild wallets channel for ${wallet.address}, skipping`);
+            return;
+        }
+
+        const solQuote = await this.priceService.getSolPrice();
+
+        const swap = transaction.type === 'SWAP'
+            ? this.heliusService.parseSwapTransaction(transaction, wallet.address, { solPrice: solQuote?.price })
+            : null;
+        try {
+            await this.checkConvergence(swap, wallet, targets);
+        } catch (error) {
+            console.error('[ERROR] Convergence check failed:', error);
+        }
+        try {
+            await this.walletPnL.recordTransaction(transaction, wallet.address, swap);
+        } catch (error) {
+            console.error('[ERROR] Wallet ledger update failed:', error);
+        }
+
+        // Legs of the wallet's balance change: the decoded swap, or what it
+        // sent and received in anything else (or a swap that did not decode)
+        const transfer = swap ? null : decodeTransfer(transaction, wallet.address, { solPrice: solQuote?.price });
+        const sent = swap ? [swap.tokenSent] : transfer.sent;
+        const received = swap ? [swap.tokenReceived] : transfer.received;
+
+        // The token the alert is about: what a buy got, what a sell gave, or
+        // the first leg that is not SOL/USDC/USDT
+        const focusLeg = [...received, ...sent].find(leg => !QUOTE_MINTS.has(leg.mint)) || null;
+        let tokenInfo = null;
+        if (focusLeg) {
+            try {
+                tokenInfo = await this.tokenData.getTokenInfo(focusLeg.mint);
+            } catch (error) {
+                console.error('[ERROR] Failed to fetch token data:', error);
+            }
+        }
+        const label = leg => leg.symbol ||
+            (leg.mint === focusLeg?.mint && tokenInfo?.symbol) ||
+            `${leg.mint.slice(0, 4)}…${leg.mint.slice(-4)}`;
+
+        // The decoder values SOL/USDC/USDT legs; other tokens are priced here
+        // when the transaction has no such leg to go by
+        const quotes = solQuote ? [solQuote] : [];
+        const unpriced = swap?.usdValue != null ? [] : [...sent, ...received].filter(leg => leg.usdValue === null && leg.mint !== WSOL_MINT);
+        for (const leg of unpriced) {
+            const quote = await this.priceService.getPrice(leg.mint);
+            if (quote) {
+                leg.usdValue = leg.amount * quote.price;
+                quotes.push(quote);
+            }
+        }
+
+        // A swap is worth its base leg, or for token-to-token what it got;
+        // a transfer is worth everything it moved
+        const legValues = [...sent, ...received].map(leg => leg.usdValue).filter(value => value !== null);
+        const totalUsdValue = swap
+            ? swap.usdValue ?? swap.tokenReceived.usdValue ?? swap.tokenSent.usdValue
+            : legValues.length > 0 ? legValues.reduce((sum, value) => sum + value, 0) : null;
+        const isHighValue = totalUsdValue >= this.config.helius.highValueUsd;
+
+        const action = WALLET_ALERT_TITLES[swap?.side || (transaction.type === 'TRANSFER' ? 'transfer' : 'other')];
+        const embed = {
+            title: isHighValue ? `🔥 High Value ${action.name}` : `${action.emoji} ${action.name}`,
+            description: `\`${wallet.address}\``,
+            color: isHighValue ? 0xFF0000 : action.color,
+            fields: [
+                {
+                    name: 'Transaction Type',
+                    value: swap?.route.length > 0
+                        ? `${transaction.type} via ${swap.route.join(' → ')}`
+                        : transaction.type || 'Unknown',
+                    inline: true
+                },
+                ...sent.map(leg => ({ name: '📤 Sent', value: this.formatLeg(leg, label(leg)), inline: true })),
+                ...received.map(leg => ({ name: '📥 Received', value: this.formatLeg(leg, label(leg)), inline: true }))
+            ],
+            footer: {
+                text: 'built by keklabs',
+                icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        // Flag a missing SOL price, or any price that came from a fallback
+        const hasSolLeg = [...sent, ...received].some(leg => leg.mint === WSOL_MINT);
+        const priceNote = hasSolLeg && !solQuote
+            ? ' (no SOL price)'
+            : this.formatStalePrice(quotes.find(quote => quote.stale));
+        embed.fields.push({
+            name: 'Estimated Value',
+            value: totalUsdValue !== null ? `$${this.formatNumber(totalUsdValue)}${priceNote}` : 'Unknown',
+            inline: true
+        });
+
+        // Add transaction URL
+        if (transaction.signature) {
+            embed.description += `\n\n[View Transaction](https://solscan.io/tx/${transaction.signature})`;
+        }
+
+        // Add token info if available
+        if (focusLeg) {
+            const tokenFields = [];
 
-                    // Add USD value
-                    embed.fields.push({
-                        name: 'Estimated Value',
-                        value: `$${this.formatNumber(totalUsdValue)}`,
+            // Add token section header
+            embed.fields.push({
+                name: '💎 Token Information',
+                value: '─'.repeat(20),
+                inline: false
+            });
+            
+            // Add token info fields
+            tokenFields.push({
+                name: 'Token',
+                value: tokenInfo?.name ? `${tokenInfo.name} (${label(focusLeg)})` : label(focusLeg),
+                inline: true
+            });
+            
+            // Add Birdeye metrics if available
+            if (tokenInfo) {
+                if (tokenInfo.marketCap) tokenFields.push({
+                    name: 'Market Cap',
+                    value: `$${this.formatNumber(tokenInfo.marketCap)}`,
+                    inline: true
+                });
+                if (tokenInfo.liquidity) tokenFields.push({
+                    name: 'Liquidity',
+                    value: `$${this.formatNumber(tokenInfo.liquidity)}`,
+                    inline: true
+                });
+                if (tokenInfo.holders) tokenFields.push({
+                    name: 'Holders',
+                    value: this.formatNumber(tokenInfo.holders),
+                    inline: true
+                });
+                if (tokenInfo.volume24h) tokenFields.push({
+                    name: '24h Volume',
+                    value: `$${this.formatNumber(tokenInfo.volume24h)}`,
+                    inline: true
+                });
+                
+                // Add price change metrics
+                if (tokenInfo.priceChange1h) tokenFields.push({
+                    name: '1h Change',
+                    value: `${tokenInfo.priceChange1h > 0 ? '📈' : '📉'} ${tokenInfo.priceChange1h.toFixed(2)}%`,
+                    inline: true
+                });
+                if (tokenInfo.priceChange) tokenFields.push({
+                    name: '24h Change',
+                    value: `${tokenInfo.priceChange > 0 ? '📈' : '📉'} ${tokenInfo.priceChange.toFixed(2)}%`,
+                    inline: true
+                });
+                
+                // Add trading activity metrics
+                if (tokenInfo.trades24h && tokenInfo.buys24h) {
+                    const buyRatio = ((tokenInfo.buys24h / tokenInfo.trades24h) * 100).toFixed(1);
+                    tokenFields.push({
+                        name: 'Buy Pressure',
+                        value: `${buyRatio}% (${tokenInfo.buys24h}/${tokenInfo.trades24h} trades)`,
                         inline: true
                     });
+                }
+                
+                // Add unique wallet activity
+                if (tokenInfo.uniqueWallets24h) tokenFields.push({
+                    name: 'Active Wallets 24h',
+                    value: this.formatNumber(tokenInfo.uniqueWallets24h),
+                    inline: true
+                });
+            }
+            
+            embed.fields.push(...tokenFields);
+        }
 
-                    // Add transaction URL
-                    if (transaction.signature) {
-                        embed.description += `\n\n[View Transaction](https://solscan.io/tx/${transaction.signature})`;
-                    }
+        const summarize = legs => legs.map(leg => `${this.birdeyeService.formatNumber(leg.amount)} ${label(leg)}`).join(', ');
+        const smsMessage = [
+            `${embed.title}${totalUsdValue !== null ? ` ($${this.formatNumber(totalUsdValue)})` : ''}`,
+            sent.length > 0 ? `Sent: ${summarize(sent)}` : null,
+            received.length > 0 ? `Received: ${summarize(received)}` : null,
+            transaction.signature ? `\nhttps://solscan.io/tx/${transaction.signature}` : null
+        ].filter(Boolean).join('\n');
+
+        // One payload per guild, under that guild's name for the wallet
+        await this.notificationRouter.dispatch({
+            type: swap ? 'wallet_swap' : 'wallet_transfer',
+            targets: targets.map(target => ({
+                guildId: target.guildId,
+                walletTags: target.wallet.tags || [],
+                message: {
+                    embeds: [{
+                        ...embed,
+                        description: `Activity detected for ${target.wallet.name}${this.formatWalletTags(target.wallet.tags)}:\n${embed.description}`
+                    }]
+                }
+            })),
+            text: smsMessage,
+            data: {
+                walletAddress: wallet.address,
+                signature: transaction.signature,
+                usdValue: totalUsdValue,
+                // Whoever added the wallet in each guild
+                ownerIds: [...new Set(targets.map(target => target.wallet.added_by).filter(Boolean))],
+                walletTags: [...new Set(targets.flatMap(target => target.wallet.tags || []))]
+            }
+        });
+    }
 
-                    // Add token info if available
-                    if (hasTokenTransfers) {
-                        const tokenTransfer = tokenTransfers[0];
-                        
-                        // Get enhanced token info from Birdeye
-                        let tokenInfo = null;
-                        const tokenFields = [];
-                        
-                        try {
-                            tokenInfo = await this.birdeyeService.getTokenInfo(tokenTransfer.mint);
-                        } catch (error) {
-                            console.error('[ERROR] Failed to fetch Birdeye data:', error);
-                        }
+    // Names of the wallets a guild tracks
+    getGuildWalletNames(guildId) {
+        const names = new Map();
+        for (const [address, wallet] of this.guildWallets.get(guildId) || []) {
+            names.set(address, wallet.name);
+        }
+        return names;
+    }
 
-                        // Add token section header
-                        embed.fields.push({
-                            name: '💎 Token Information',
-                            value: '─'.repeat(20),
-                            inline: false
-                        });
-                        
-                        // Add token info fields
-                        tokenFields.push(
-                            {
-                                name: 'Token',
-                                value: tokenTransfer.tokenName || 'Unknown Token',
-                                inline: true
-                            },
-                            {
-                                name: 'Token Amount',
-                                value: `${this.formatNumber(tokenTransfer.tokenAmount)} ${tokenTransfer.tokenSymbol || ''}`,
-                                inline: true
-                            }
-                        );
-                        
-                        // Add Birdeye metrics if available
-                        if (tokenInfo) {
-                            if (tokenInfo.marketCap) tokenFields.push({
-                                name: 'Market Cap',
-                                value: `$${this.formatNumber(tokenInfo.marketCap)}`,
-                                inline: true
-                            });
-                            if (tokenInfo.liquidity) tokenFields.push({
-                                name: 'Liquidity',
-                                value: `$${this.formatNumber(tokenInfo.liquidity)}`,
-                                inline: true
-                            });
-                            if (tokenInfo.holders) tokenFields.push({
-                                name: 'Holders',
-                                value: this.formatNumber(tokenInfo.holders),
-                                inline: true
-                            });
-                            if (tokenInfo.volume24h) tokenFields.push({
-                                name: '24h Volume',
-                                value: `$${this.formatNumber(tokenInfo.volume24h)}`,
-                                inline: true
-                            });
-                            
-                            // Add price change metrics
-                            if (tokenInfo.priceChange1h) tokenFields.push({
-                                name: '1h Change',
-                                value: `${tokenInfo.priceChange1h > 0 ? '📈' : '📉'} ${tokenInfo.priceChange1h.toFixed(2)}%`,
-                                inline: true
-                            });
-                            if (tokenInfo.priceChange24h) tokenFields.push({
-                                name: '24h Change',
-                                value: `${tokenInfo.priceChange24h > 0 ? '📈' : '📉'} ${tokenInfo.priceChange24h.toFixed(2)}%`,
-                                inline: true
-                            });
-                            
-                            // Add trading activity metrics
-                            if (tokenInfo.trades24h && tokenInfo.buys24h) {
-                                const buyRatio = ((tokenInfo.buys24h / tokenInfo.trades24h) * 100).toFixed(1);
-                                tokenFields.push({
-                                    name: 'Buy Pressure',
-                                    value: `${buyRatio}% (${tokenInfo.buys24h}/${tokenInfo.trades24h} trades)`,
-                                    inline: true
-                                });
-                            }
-                            
-                            // Add unique wallet activity
-                            if (tokenInfo.uniqueWallets24h) tokenFields.push({
-                                name: 'Active Wallets 24h',
-                                value: this.formatNumber(tokenInfo.uniqueWallets24h),
-                                inline: true
-                            });
-                        }
-                        
-                        embed.fields.push(...tokenFields);
-                    }
+    // Addresses in a guild's tag group
+    getGuildWalletGroup(guildId, tag) {
+        const addresses = new Set();
+        for (const [address, wallet] of this.guildWallets.get(guildId) || []) {
+            if (wallet.tags?.includes(tag)) addresses.add(address);
+        }
+        return addresses;
+    }
 
-                    // Send notification to Discord
-                    await channel.send({ embeds: [embed] });
-
-                    // Send SMS only if value is over $1000 and SMS is enabled
-                    if (totalUsdValue >= 1000 && this.config.twilio.enabled && wallet.added_by) {
-                        const subscriber = await this.getSMSSubscriber(wallet.added_by);
-                        if (subscriber) {
-                            const smsMessage = `🔥 High Value Transaction ($${this.formatNumber(totalUsdValue)})!\n` +
-                                `Type: ${transaction.type || 'Unknown'}\n` +
-                                ((transaction.amount && transaction.nativeTransfers) ? `SOL Amount: ${this.formatNumber(transaction.amount)} SOL\n` : '') +
-                                (transaction.tokenTransfers?.[0] ? `Token: ${transaction.tokenTransfers[0].tokenSymbol}\n` : '') +
-                                (transaction.signature ? `\nhttps://solscan.io/tx/${transaction.signature}` : '');
-
-                            await this.sendSMSAlert(
-                                smsMessage,
-                                subscriber.phone,
-                                wallet.added_by
-                            );
-                        }
-                    }
-                } catch (txError) {
-                    console.error('[ERROR] Error processing transaction:', txError);
-                    continue;
+    // Marker for a PriceService quote served from the last-known fallback
+    formatStalePrice(quote) {
+        return quote?.stale ? ` ⚠️ stale price from <t:${Math.floor(quote.fetchedAt / 1000)}:R>` : '';
+    }
+
+    // One side of a wallet alert: amount, label and USD value when known
+    formatLeg(leg, label) {
+        const value = leg.usdValue !== null ? `\n($${this.formatNumber(leg.usdValue)})` : '';
+        return `${this.birdeyeService.formatNumber(leg.amount)} ${label}${value}`;
+    }
+
+    formatWalletTags(tags) {
+        return tags?.length > 0 ? ` [${tags.join(', ')}]` : '';
+    }
+
+    // Feeds tracked-wallet buys (quote token in, other token out) to the
+    // convergence detector, then alerts each guild where enough of its own
+    // wallets bought the same mint inside the window. Each CONVERGENCE_GROUPS
+    // tag is also checked on its own, so three "smart money" wallets alert
+    // even when the guild's full list needs more. swap is null for
+    // transactions that are not swaps
+    async checkConvergence(swap, wallet, targets) {
+        if (swap?.side !== 'buy') return;
+        const { tokenSent, tokenReceived } = swap;
+
+        const recorded = this.convergence.recordBuy({
+            mint: tokenReceived.mint,
+            symbol: tokenReceived.symbol,
+            walletAddress: wallet.address,
+            usdValue: swap.usdValue || tokenSent.usdValue,
+            signature: swap.signature,
+            at: swap.timestamp ? swap.timestamp * 1000 : null
+        });
+        if (!recorded) return;
+
+        let tokenInfo;
+        for (const { guildId } of targets) {
+            const names = this.getGuildWalletNames(guildId);
+            const groups = [
+                { scope: guildId, tag: null, addresses: new Set(names.keys()) },
+                ...this.config.convergence.groups.map(tag => ({
+                    scope: `${guildId}:${tag}`,
+                    tag,
+                    addresses: this.getGuildWalletGroup(guildId, tag)
+                }))
+            ];
+
+            for (const group of groups) {
+                if (!group.addresses.has(wallet.address)) continue;
+
+                const cluster = this.convergence.getConvergence(group.scope, tokenReceived.mint, group.addresses);
+                if (!cluster) continue;
+
+                if (tokenInfo === undefined) {
+                    tokenInfo = await this.tokenData.getTokenInfo(cluster.mint).catch(() => null);
                 }
+                await this.sendConvergenceAlert(guildId, cluster, names, tokenInfo, group.tag);
             }
-        } catch (error) {
-            console.error('[ERROR] Error handling webhook:', error);
         }
     }
 
+    // group is the tag whose wallets converged, or null for the guild's full list
+    async sendConvergenceAlert(guildId, cluster, names, tokenInfo, group = null) {
+        const symbol = tokenInfo?.symbol || cluster.symbol || `${cluster.mint.slice(0, 6)}...`;
+        const minutes = Math.max(1, Math.round((cluster.lastAt - cluster.firstAt) / 60000));
+        const walletLines = cluster.wallets.map(entry =>
+            `**${names.get(entry.address) || `${entry.address.slice(0, 6)}...`}** - $${this.formatNumber(entry.usdValue)}${entry.buys > 1 ? ` (${entry.buys} buys)` : ''}`
+        );
+
+        const fields = [{
+            name: `👛 Wallets (${cluster.wallets.length})`,
+            value: walletLines.join('\n'),
+            inline: false
+        }];
+        if (tokenInfo) {
+            fields.push({
+                name: '📊 Token Stats',
+                value: [
+                    `💰 Price: $${this.formatNumber(tokenInfo.price)}`,
+                    tokenInfo.marketCap ? `💎 MC: $${this.formatNumber(tokenInfo.marketCap)}` : null,
+                    tokenInfo.liquidity ? `💧 LP: $${this.formatNumber(tokenInfo.liquidity)}` : null,
+                    tokenInfo.holders ? `👥 Holders: ${this.formatNumber(tokenInfo.holders)}` : null,
+                    tokenInfo.volume24h ? `📈 24h Volume: $${this.formatNumber(tokenInfo.volume24h)}` : null,
+                    tokenInfo.priceChange ? `${tokenInfo.priceChange > 0 ? '📈' : '📉'} 24h: ${tokenInfo.priceChange.toFixed(2)}%` : null
+                ].filter(Boolean).join('\n'),
+                inline: false
+            });
+        }
+        fields.push({
+            name: '🔗 Links',
+            value: `[Chart](https://dexscreener.com/solana/${cluster.mint}) | [Token](https://solscan.io/token/${cluster.mint})`,
+            inline: false
+        });
+
+        const guildWallets = this.guildWallets.get(guildId) || new Map();
+        const walletAddresses = cluster.wallets.map(entry => entry.address);
+        const walletTags = [...new Set(walletAddresses.flatMap(address => guildWallets.get(address)?.tags || []))];
+        const walletsLabel = `${cluster.wallets.length} ${group ? `${group} ` : ''}wallets`;
+
+        await this.notificationRouter.dispatch({
+            type: 'wallet_convergence',
+            targets: [{
+                guildId,
+                walletTags,
+                message: {
+                    embeds: [{
+                        title: `🧲 Cluster Buy: ${walletsLabel} bought ${symbol}`,
+                        description: `\`${cluster.mint}\`\n$${this.formatNumber(cluster.totalUsd)} bought within ${minutes}m`,
+                        color: 0xFFA500,
+                        fields,
+                        footer: {
+                            text: 'built by keklabs',
+                            icon_url: 'https://media.discordapp.net/attachments/1337565019218378864/1342687517719269489/ddd006d6-fef8-46c4-83eb-5faa63887089.png'
+                        },
+                        timestamp: new Date().toISOString()
+                    }]
+                }
+            }],
+            text: `🧲 Cluster buy: ${walletsLabel} bought ${symbol} ($${this.formatNumber(cluster.totalUsd)}) within ${minutes}m\n` +
+                cluster.wallets.map(entry => `${names.get(entry.address) || entry.address.slice(0, 6)}: $${this.formatNumber(entry.usdValue)}`).join('\n') +
+                `\nhttps://dexscreener.com/solana/${cluster.mint}`,
+            data: {
+                mint: cluster.mint,
+                usdValue: cluster.totalUsd,
+                walletAddresses,
+                walletTags,
+                walletGroup: group,
+                ownerIds: [...new Set(walletAddresses.map(address => guildWallets.get(address)?.added_by).filter(Boolean))]
+            }
+        });
+        console.log(`[DEBUG] Cluster buy of ${cluster.mint} by ${walletsLabel} in guild ${guildId}`);
+    }
+
+    async sendNewPairAlert(pair, tokenInfo, guildIds) {
+        const embed = this.birdeyeService.createTokenEmbed(pair.address, tokenInfo);
+        const symbol = tokenInfo.symbol !== 'UNKNOWN' ? tokenInfo.symbol : pair.symbol;
+
+        embed.title = `🆕 ${embed.title}`;
+        embed.fields = [{
+            name: '✅ Passed Checks',
+            value: [
+                `⏰ Listed <t:${Math.floor(pair.listedAt / 1000)}:R> on ${pair.source}`,
+                ...this.newPairFeed.describeRules()
+            ].join('\n'),
+            inline: false
+        }, {
+            name: '🔗 Links',
+            value: `[Chart](${pair.url || `https://dexscreener.com/solana/${pair.address}`}) | [Token](https://solscan.io/token/${pair.address})`,
+            inline: false
+        }];
+
+        await this.notificationRouter.dispatch({
+            type: 'new_pair',
+            targets: guildIds.map(guildId => ({ guildId, message: { embeds: [embed] } })),
+            text: `🆕 New pair: ${symbol} on ${pair.source} - LP $${this.formatNumber(tokenInfo.liquidity)}, MC $${this.formatNumber(tokenInfo.marketCap)}\n` +
+                `https://dexscreener.com/solana/${pair.address}`,
+            data: {
+                mint: pair.address,
+                source: pair.source,
+                liquidity: tokenInfo.liquidity,
+                marketCap: tokenInfo.marketCap
+            }
+        });
+        console.log(`[DEBUG] Posted new pair ${pair.address} to ${guildIds.length} guild(s)`);
+    }
+
     async startMonitoring() {
         try {
             console.log('🔄 Starting Twitter monitoring...');
@@ -2119,29 +3626,55 @@ class TwitterMonitorBot {
             // Schedule periodic monitoring with rate limit awareness
             const monitorAccounts = async () => {
                 try {
-                    const accounts = await this.getMonitoredAccounts();
-                    if (accounts.length === 0) {
-                        return; // No accounts to monitor yet
+                    // VIPs first; regular accounts drop out when the budget is nearly spent
+                    const accounts = this.readBudget.prioritizeAccounts(await this.getMonitoredAccounts());
+
+                    if (accounts.length > 0 && this.config.monitoring.pollingMode === 'search') {
+                        for (const batch of this.buildSearchBatches(accounts)) {
+                            await this.searchProcessTweets(batch);
+                        }
+                    } else if (accounts.length > 0) {
+                        // Process accounts in batches to respect rate limits
+                        const BATCH_SIZE = 5;
+                        for (let i = 0; i < accounts.length; i += BATCH_SIZE) {
+                            const batch = accounts.slice(i, i + BATCH_SIZE);
+                            await this.batchProcessTweets(batch);
+                        }
                     }
 
-                    // Process accounts in batches to respect rate limits
-                    const BATCH_SIZE = 5;
-                    for (let i = 0; i < accounts.length; i += BATCH_SIZE) {
-                        const batch = accounts.slice(i, i + BATCH_SIZE);
-                        await this.batchProcessTweets(batch);
+                    // Keyword rules are not VIP, so they pause with regular accounts
+                    if (this.readBudget.getStatus().usage < this.config.twitter.readBudget.vipOnlyThreshold) {
+                        await this.processKeywordRules();
                     }
                 } catch (error) {
-                    if (error.code === 429) {
-                        await this.handleRateLimit(error);
+                    // RateLimitManager has already reset the window; the next check retries
+                    if (error.code === 'RATE_LIMIT') {
+                        console.log(`[DEBUG] Rate limit hit on ${error.endpoint}, retrying next check`);
                     } else {
                         console.error('Error in monitor loop:', error);
-                        await this.handleError(error);
                     }
+                } finally {
+                    this.readBudget.completeCycle();
                 }
             };
 
-            // Start the monitoring interval
-            this.monitoringInterval = setInterval(monitorAccounts, this.config.monitoring.interval);
+            // Each check is scheduled after the last one, at an interval the read budget can afford
+            const scheduleNextCheck = () => {
+                const interval = this.readBudget.getPollingInterval(this.config.monitoring.interval);
+                if (interval > this.config.monitoring.interval) {
+                    console.log(`[DEBUG] Read budget stretching monitoring interval to ${Math.round(interval / 1000)}s`);
+                }
+                this.monitoringTimer = setTimeout(async () => {
+                    try {
+                        await monitorAccounts();
+                    } finally {
+                        scheduleNextCheck();
+                    }
+                }, interval);
+            };
+
+            console.log(`[DEBUG] Polling mode: ${this.config.monitoring.pollingMode}`);
+            scheduleNextCheck();
             console.log('✅ Twitter monitoring started');
         } catch (error) {
             console.error('Failed to start monitoring:', error);
@@ -2182,6 +3715,7 @@ class TwitterMonitorBot {
                                 'preview_image_url'
                             ]
                         });
+                        this.readBudget.recordReads(tweets.tweets?.length || 0);
 
                         if (!tweets.data?.length) {
                             return; // No new tweets
@@ -2207,6 +3741,209 @@ class TwitterMonitorBot {
         }
     }
 
+    // Group accounts into "from:a OR from:b" queries that fit the search
+    // endpoint's account and query-length limits
+    buildSearchBatches(accounts) {
+        const { maxAccountsPerBatch, maxQueryLength } = this.config.twitter.rateLimit.endpoints['tweets/search/recent'];
+        const batches = [];
+        let current = [];
+
+        for (const account of accounts) {
+            const candidate = [...current, account];
+            if (current.length > 0 &&
+                (candidate.length > maxAccountsPerBatch || this.buildFromQuery(candidate).length > maxQueryLength)) {
+                batches.push(current);
+                current = [account];
+            } else {
+                current = candidate;
+            }
+        }
+
+        if (current.length > 0) {
+            batches.push(current);
+        }
+        return batches;
+    }
+
+    buildFromQuery(accounts) {
+        return accounts.map(account => `from:${account.username}`).join(' OR ');
+    }
+
+    getSearchCursorKey(accounts) {
+        return 'accounts:' + accounts.map(account => account.id).sort().join(',');
+    }
+
+    // Oldest cursor the batch can safely resume from. Falls back to the
+    // members' own lastTweetId when the batch composition is new.
+    getBatchSinceId(accounts) {
+        const stored = this.stateRepository.getSearchCursor(this.getSearchCursorKey(accounts));
+        if (stored) return stored;
+
+        if (accounts.every(account => account.lastTweetId)) {
+            return accounts
+                .map(account => account.lastTweetId)
+                .reduce((min, id) => (BigInt(id) < BigInt(min) ? id : min));
+        }
+        return null;
+    }
+
+    // Newer than sinceId, the search follows next_token for up to
+    // maxSearchPages pages. complete is false when pages were left unread;
+    // the caller then keeps its cursor so the next poll covers the gap.
+    // Without sinceId only the first page is read.
+    async searchRecentTweets(query, sinceId) {
+        const result = await this.rateLimitManager.scheduleRequest(
+            async () => {
+                return await this.twitter.v2.search(query, {
+                    max_results: 100,
+                    since_id: sinceId || undefined,
+                    'tweet.fields': [
+                        'created_at',
+                        'author_id',
+                        'entities',
+                        'public_metrics',
+                        'referenced_tweets',
+                        'conversation_id'
+                    ],
+                    expansions: [
+                        'author_id',
+                        'referenced_tweets.id',
+                        'referenced_tweets.id.author_id',
+                        'in_reply_to_user_id',
+                        'attachments.media_keys'
+                    ],
+                    'user.fields': [
+                        'name',
+                        'username',
+                        'profile_image_url'
+                    ],
+                    'media.fields': [
+                        'url',
+                        'preview_image_url'
+                    ]
+                });
+            },
+            'tweets/search/recent'
+        );
+
+        this.readBudget.recordReads(result.tweets?.length || 0);
+
+        let pages = 1;
+        while (sinceId && result.meta?.next_token && pages < this.config.monitoring.maxSearchPages) {
+            const read = result.tweets.length;
+            await this.rateLimitManager.scheduleRequest(() => result.fetchNext(), 'tweets/search/recent');
+            this.readBudget.recordReads(result.tweets.length - read);
+            pages++;
+        }
+
+        const complete = !sinceId || !result.meta?.next_token;
+        if (!complete) {
+            console.log(`[DEBUG] Search for "${query.slice(0, 50)}..." has more than ${pages} pages - cursor kept so older tweets are not skipped`);
+        }
+
+        return {
+            tweets: result.tweets || [],
+            includes: result.includes,
+            newestId: result.meta?.newest_id || null,
+            complete
+        };
+    }
+
+    async processKeywordRules() {
+        // Guilds watching the same query share one search
+        const rulesByQuery = new Map();
+        for (const rule of this.keywordRuleRepository.getRules()) {
+            if (!rule.guild_id) continue;
+            if (!rulesByQuery.has(rule.query)) rulesByQuery.set(rule.query, []);
+            rulesByQuery.get(rule.query).push(rule);
+        }
+
+        for (const [query, rules] of rulesByQuery) {
+            try {
+                // Search from the oldest cursor; a rule without one gets a fresh search
+                const cursors = rules.map(rule => rule.since_id).filter(Boolean);
+                const sinceId = cursors.length === rules.length
+                    ? cursors.reduce((min, id) => (BigInt(id) < BigInt(min) ? id : min))
+                    : null;
+
+                const { tweets, includes, newestId, complete } = await this.searchRecentTweets(query, sinceId);
+
+                // Process tweets in chronological order
+                const sortedTweets = tweets.sort((a, b) =>
+                    new Date(a.created_at) - new Date(b.created_at)
+                );
+
+                // First fetch for a new rule: only the latest few
+                const latestTweetIds = new Set(
+                    sortedTweets.slice(-this.config.monitoring.maxTweetsPerAccount).map(tweet => tweet.id)
+                );
+
+                for (const tweet of sortedTweets) {
+                    const matchedRules = rules.filter(rule => rule.since_id
+                        ? BigInt(tweet.id) > BigInt(rule.since_id)
+                        : latestTweetIds.has(tweet.id));
+                    if (matchedRules.length === 0) continue;
+
+                    const author = includes.users?.find(u => u.id === tweet.author_id);
+                    if (!author) continue;
+                    await this.processTweet(tweet, author, includes, { matchedRules });
+                }
+
+                if (newestId && complete) {
+                    for (const rule of rules) {
+                        this.keywordRuleRepository.updateSinceId(rule.id, newestId);
+                    }
+                }
+            } catch (error) {
+                console.error(`[ERROR] Keyword search "${query}" failed:`, error);
+            }
+        }
+    }
+
+    async searchProcessTweets(accounts) {
+        try {
+            const sinceId = this.getBatchSinceId(accounts);
+            const { tweets, includes, newestId, complete } = await this.searchRecentTweets(this.buildFromQuery(accounts), sinceId);
+
+            if (tweets.length > 0) {
+                const accountsById = new Map(accounts.map(account => [account.id, account]));
+                const tweetsByAccount = new Map();
+
+                for (const tweet of tweets) {
+                    if (!accountsById.has(tweet.author_id)) continue;
+                    if (!tweetsByAccount.has(tweet.author_id)) {
+                        tweetsByAccount.set(tweet.author_id, []);
+                    }
+                    tweetsByAccount.get(tweet.author_id).push(tweet);
+                }
+
+                for (const [accountId, accountTweets] of tweetsByAccount) {
+                    // Process tweets in chronological order
+                    let sortedTweets = accountTweets.sort((a, b) =>
+                        new Date(a.created_at) - new Date(b.created_at)
+                    );
+
+                    // First fetch for this batch: only the latest few, like timeline mode
+                    if (!sinceId) {
+                        sortedTweets = sortedTweets.slice(-this.config.monitoring.maxTweetsPerAccount);
+                    }
+
+                    for (const tweet of sortedTweets) {
+                        await this.processTweet(tweet, accountsById.get(accountId), includes);
+                    }
+
+                    await this.updateLastTweetId(accountId, sortedTweets[sortedTweets.length - 1].id);
+                }
+            }
+
+            if (newestId && complete) {
+                this.stateRepository.setSearchCursor(this.getSearchCursorKey(accounts), newestId);
+            }
+        } catch (error) {
+            console.error('[ERROR] Search process tweets error:', error);
+        }
+    }
+
 
 
     async handleWalletMonitorCommand(interaction) {
@@ -2221,7 +3958,7 @@ class TwitterMonitorBot {
             }
 
             // Validate Solana address format
-            if (!this.heliusService.isValidSolanaAddress(address)) {
+            if (!isSolanaAddress(address)) {
                 await interaction.reply({
                     content: 'Invalid Solana wallet address format.',
                     ephemeral: true
@@ -2229,17 +3966,19 @@ class TwitterMonitorBot {
                 return;
             }
 
-            // Add wallet to tracking
+            // Add wallet to the registry; the Helius webhook follows it
             const name = interaction.options.getString('name') || `Wallet-${address.slice(0, 4)}`;
-            this.heliusService.setWalletName(address, name);
+            await this.addTrackedWallet(interaction.guildId, {
+                address,
+                name,
+                added_by: interaction.user.id,
+                tags: []
+            });
 
             await interaction.reply({
                 content: `Now monitoring wallet ${name} (${address})`,
                 ephemeral: true
             });
-
-            // Update webhook with new wallet
-            await this.setupHeliusWebhook();
         } catch (error) {
             console.error('[ERROR] Failed to handle wallet monitor command:', error);
             await interaction.reply({
@@ -0,0 +1,208 @@
+const WalletTradeRepository = require('../database/WalletTradeRepository');
+const { QUOTE_MINTS } = require('../utils/solanaAddress');
+
+const PNL_PERIODS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    'all': Infinity
+};
+
+// Open positions beyond this many are listed but not priced, to spare Birdeye
+const MAX_MARKED_POSITIONS = 15;
+const DUST_AMOUNT = 1e-9;
+
+// Per-wallet trade ledger built from delivered swaps and token transfers.
+// SOL/USDC/USDT are treated as cash; every other mint is a position with an
+// average cost basis. Sells realize PnL against that basis, transfers in are
+// booked at market value and transfers out remove basis without realizing.
+class WalletPnLTracker {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.repository = new WalletTradeRepository(dependencies.database);
+        this.priceService = dependencies.priceService;
+        this.tokenDataService = dependencies.tokenDataService;
+    }
+
+    validateDependencies(deps) {
+        if (!deps.database) throw new Error('Database required');
+        if (!deps.priceService) throw new Error('PriceService required');
+        if (!deps.tokenDataService) throw new Error('TokenDataService required');
+    }
+
+    // swap is the HeliusService.parseSwapTransaction result (whole-token
+    // amounts, see utils/swapDecoder) for SWAP transactions
+    async recordTransaction(transaction, walletAddress, swap = null) {
+        const trades = swap
+            ? this.tradesFromSwap(swap, transaction)
+            : this.tradesFromTransfers(transaction, walletAddress);
+
+        let recorded = 0;
+        for (const trade of trades) {
+            if (trade.usdValue === null) {
+                trade.usdValue = await this.estimateUsdValue(trade.mint, trade.amount);
+            }
+            if (this.repository.recordTrade({ ...trade, walletAddress })) recorded++;
+        }
+
+        if (recorded > 0) {
+            console.log(`[DEBUG] Recorded ${recorded} ledger entries for ${walletAddress}`);
+        }
+        return recorded;
+    }
+
+    tradesFromSwap(swap, transaction) {
+        const { tokenSent, tokenReceived } = swap;
+        if (!tokenSent?.mint || !tokenReceived?.mint) return [];
+
+        const signature = swap.signature || transaction.signature;
+        const timestamp = swap.timestamp || transaction.timestamp;
+        const tradedAt = timestamp ? timestamp * 1000 : Date.now();
+        const usdValue = swap.usdValue || tokenSent.usdValue || tokenReceived.usdValue || null;
+
+        const toTrade = (token, side) => ({
+            signature,
+            side,
+            mint: token.mint,
+            symbol: token.symbol,
+            amount: token.amount,
+            usdValue: token.usdValue || usdValue,
+            tradedAt
+        });
+
+        // Token-to-token swaps are a sell of one and a buy of the other
+        const trades = [];
+        if (!QUOTE_MINTS.has(tokenSent.mint)) trades.push(toTrade(tokenSent, 'sell'));
+        if (!QUOTE_MINTS.has(tokenReceived.mint)) trades.push(toTrade(tokenReceived, 'buy'));
+        return trades.filter(trade => trade.amount > 0);
+    }
+
+    tradesFromTransfers(transaction, walletAddress) {
+        const tradedAt = transaction.timestamp ? transaction.timestamp * 1000 : Date.now();
+
+        return (transaction.tokenTransfers || [])
+            .filter(transfer => transfer.mint && !QUOTE_MINTS.has(transfer.mint))
+            .map(transfer => {
+                const side = transfer.toUserAccount === walletAddress ? 'transfer_in'
+                    : transfer.fromUserAccount === walletAddress ? 'transfer_out'
+                    : null;
+                const amount = Number(transfer.tokenAmount || 0);
+
+                return {
+                    signature: transaction.signature,
+                    side,
+                    mint: transfer.mint,
+                    symbol: transfer.tokenSymbol || transfer.symbol || null,
+                    amount,
+                    usdValue: transfer.tokenPrice ? amount * transfer.tokenPrice : null,
+                    tradedAt
+                };
+            })
+            .filter(trade => trade.side && trade.amount > 0 && trade.signature);
+    }
+
+    // Trade-time value from a live price only; a stale one would misstate cost
+    async estimateUsdValue(mint, amount) {
+        const quote = await this.priceService.getPrice(mint);
+        return quote && !quote.stale ? amount * quote.price : null;
+    }
+
+    // Replays trades oldest first into open positions and realized PnL events
+    replay(trades) {
+        const positions = new Map();
+        const realizations = [];
+
+        for (const trade of trades) {
+            if (!positions.has(trade.mint)) {
+                positions.set(trade.mint, { mint: trade.mint, symbol: null, size: 0, cost: 0 });
+            }
+            const position = positions.get(trade.mint);
+            position.symbol = trade.symbol || position.symbol;
+
+            if (trade.side === 'buy' || trade.side === 'transfer_in') {
+                position.size += trade.amount;
+                position.cost += trade.usd_value || 0;
+                continue;
+            }
+
+            // Tokens bought before the wallet was tracked have no known basis,
+            // so only the part covered by the ledger is realized
+            const closing = Math.min(trade.amount, position.size);
+            const basis = position.size > 0 ? position.cost * (closing / position.size) : 0;
+
+            if (trade.side === 'sell' && closing > 0 && trade.usd_value !== null) {
+                const proceeds = trade.usd_value * (closing / trade.amount);
+                realizations.push({ mint: trade.mint, pnl: proceeds - basis, at: trade.traded_at });
+            }
+
+            position.size -= closing;
+            position.cost -= basis;
+            if (position.size < DUST_AMOUNT) {
+                position.size = 0;
+                position.cost = 0;
+            }
+        }
+
+        return {
+            positions: [...positions.values()].filter(position => position.size > 0),
+            realizations
+        };
+    }
+
+    async getReport(walletAddress, period = '7d') {
+        const windowMs = PNL_PERIODS[period];
+        if (!windowMs) throw new Error(`Unknown PnL period: ${period}`);
+        const since = Date.now() - windowMs;
+
+        const trades = this.repository.getTrades(walletAddress);
+        const { positions, realizations } = this.replay(trades);
+
+        const closed = realizations.filter(realization => realization.at >= since);
+        const realized = closed.reduce((sum, realization) => sum + realization.pnl, 0);
+        const wins = closed.filter(realization => realization.pnl > 0).length;
+
+        // Mark the largest positions (by cost) at current prices; a last-known
+        // price is used when no source answers, and flagged
+        positions.sort((a, b) => b.cost - a.cost);
+        for (const [index, position] of positions.entries()) {
+            position.avgCost = position.cost / position.size;
+            position.price = null;
+            position.priceStale = false;
+            position.value = null;
+            position.unrealized = null;
+            if (index >= MAX_MARKED_POSITIONS) continue;
+
+            const quote = await this.priceService.getPrice(position.mint);
+            if (!position.symbol) {
+                const tokenInfo = await this.tokenDataService.getTokenInfo(position.mint).catch(() => null);
+                position.symbol = tokenInfo?.symbol || null;
+            }
+            if (quote) {
+                position.price = quote.price;
+                position.priceStale = quote.stale;
+                position.value = position.size * quote.price;
+                position.unrealized = position.value - position.cost;
+            }
+        }
+
+        const unrealized = positions.reduce((sum, position) => sum + (position.unrealized || 0), 0);
+
+        return {
+            period,
+            positions: positions.sort((a, b) => (b.value || 0) - (a.value || 0)),
+            realized,
+            unrealized,
+            totalPnL: realized + unrealized,
+            wins,
+            closedTrades: closed.length,
+            winRate: closed.length > 0 ? wins / closed.length : null,
+            stalePrices: positions.filter(position => position.priceStale).length,
+            tradeCount: trades.filter(trade => trade.traded_at >= since).length
+        };
+    }
+}
+
+WalletPnLTracker.PERIODS = Object.keys(PNL_PERIODS);
+
+module.exports = WalletPnLTracker;
@@ -0,0 +1,126 @@
+const WebhookQueueRepository = require('../database/WebhookQueueRepository');
+
+// Durable queue between the webhook endpoint and the wallet alert pipeline.
+// Transactions are stored by signature, processed one at a time, and retried
+// with exponential backoff. Anything unfinished is resumed after a restart.
+class WebhookQueue {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.repository = new WebhookQueueRepository(dependencies.database);
+        this.handler = dependencies.handler;
+        this.config = dependencies.config.webhookQueue;
+
+        this.timer = null;
+        this.isRunning = false;
+        this.isDraining = false;
+    }
+
+    validateDependencies(deps) {
+        if (!deps.database) throw new Error('Database required');
+        if (typeof deps.handler !== 'function') throw new Error('Queue handler required');
+        if (!deps.config?.webhookQueue) throw new Error('Webhook queue configuration required');
+    }
+
+    start() {
+        const resumed = this.repository.resetInFlight();
+        const pruned = this.repository.pruneDelivered(this.config.retentionDays);
+        const counts = this.repository.getStatusCounts();
+
+        console.log(`[DEBUG] Webhook queue starting - ${counts.pending} pending (${resumed} resumed), ${pruned} old deliveries pruned`);
+
+        this.isRunning = true;
+        this.scheduleDrain(0);
+    }
+
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Store a webhook batch. Duplicate signatures are ignored.
+    enqueue(transactions) {
+        const result = { queued: 0, duplicates: 0, skipped: 0 };
+
+        for (const transaction of transactions) {
+            if (!transaction?.signature) {
+                result.skipped++;
+                continue;
+            }
+
+            if (this.repository.enqueue(transaction.signature, transaction)) {
+                result.queued++;
+            } else {
+                result.duplicates++;
+            }
+        }
+
+        console.log(`[DEBUG] Webhook batch queued: ${result.queued} new, ${result.duplicates} duplicate, ${result.skipped} without signature`);
+
+        if (result.queued > 0) {
+            this.wake();
+        }
+        return result;
+    }
+
+    wake() {
+        if (this.isRunning && !this.isDraining) {
+            this.scheduleDrain(0);
+        }
+    }
+
+    scheduleDrain(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.drain(), delay);
+    }
+
+    async drain() {
+        if (this.isDraining) return;
+        this.isDraining = true;
+
+        try {
+            let item;
+            while (this.isRunning && (item = this.repository.claimNext())) {
+                await this.processItem(item);
+            }
+        } catch (error) {
+            console.error('[ERROR] Webhook queue drain failed:', error);
+        } finally {
+            this.isDraining = false;
+            if (this.isRunning) {
+                this.scheduleDrain(this.config.pollIntervalMs);
+            }
+        }
+    }
+
+    async processItem(item) {
+        try {
+            await this.handler(item.transaction);
+            this.repository.markDelivered(item.signature);
+        } catch (error) {
+            if (item.attempts >= this.config.maxAttempts) {
+                console.error(`[ERROR] Giving up on transaction ${item.signature} after ${item.attempts} attempts:`, error.message);
+                this.repository.markFailed(item.signature, error.message);
+                return;
+            }
+
+            const delay = this.getRetryDelay(item.attempts);
+            console.log(`[DEBUG] Transaction ${item.signature} failed (attempt ${item.attempts}/${this.config.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+            this.repository.scheduleRetry(item.signature, Date.now() + delay, error.message);
+        }
+    }
+
+    getRetryDelay(attempts) {
+        return Math.min(
+            this.config.baseRetryDelayMs * Math.pow(2, attempts - 1),
+            this.config.maxRetryDelayMs
+        );
+    }
+
+    getStats() {
+        return this.repository.getStatusCounts();
+    }
+}
+
+module.exports = WebhookQueue;
@@ -0,0 +1,202 @@
+const http = require('http');
+const crypto = require('crypto');
+const twilio = require('twilio');
+
+// Minimal HTTP server for inbound webhooks. Helius enhanced-transaction
+// POSTs are persisted by the handler before they are acknowledged; Twilio
+// inbound SMS is answered with TwiML when an SMS handler is provided.
+class WebhookServer {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.config = dependencies.config;
+        this.onHeliusTransactions = dependencies.onHeliusTransactions;
+        this.onInboundSMS = dependencies.onInboundSMS || null;
+        this.getHealthDetails = dependencies.getHealthDetails || (() => ({}));
+
+        this.server = null;
+        this.startedAt = null;
+        this.routes = new Map();
+        this.stats = {
+            heliusBatches: 0,
+            heliusTransactions: 0,
+            smsReceived: 0,
+            rejected: 0,
+            lastReceivedAt: null
+        };
+
+        this.registerRoutes();
+    }
+
+    validateDependencies(deps) {
+        if (!deps.config?.server) throw new Error('Server configuration required');
+        if (typeof deps.onHeliusTransactions !== 'function') throw new Error('Helius transaction handler required');
+    }
+
+    registerRoutes() {
+        this.addRoute('GET', '/health', (req, res) => this.handleHealth(req, res));
+        this.addRoute('POST', this.config.server.heliusWebhookPath, (req, res) => this.handleHeliusWebhook(req, res));
+        if (this.onInboundSMS) {
+            this.addRoute('POST', this.config.server.twilioWebhookPath, (req, res) => this.handleTwilioWebhook(req, res));
+        }
+    }
+
+    addRoute(method, routePath, handler) {
+        this.routes.set(`${method} ${routePath}`, handler);
+    }
+
+    async start() {
+        if (this.server) return;
+
+        if (!this.config.helius.webhookSecret) {
+            console.log('⚠️ HELIUS_WEBHOOK_SECRET not set - webhook requests will not be authenticated');
+        }
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.server.port, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.startedAt = Date.now();
+        console.log(`✅ Webhook server listening on port ${this.config.server.port}`);
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+        console.log('[DEBUG] Webhook server stopped');
+    }
+
+    async handleRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const handler = this.routes.get(`${req.method} ${pathname}`);
+
+        if (!handler) {
+            return this.sendJson(res, 404, { error: 'Not found' });
+        }
+
+        try {
+            await handler(req, res);
+        } catch (error) {
+            console.error(`[ERROR] Webhook server error on ${req.method} ${pathname}:`, error);
+            if (!res.headersSent) {
+                this.sendJson(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal server error' });
+            }
+        }
+    }
+
+    async handleHealth(req, res) {
+        this.sendJson(res, 200, {
+            status: 'ok',
+            uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000),
+            webhooks: this.stats,
+            ...this.getHealthDetails()
+        });
+    }
+
+    async handleHeliusWebhook(req, res) {
+        if (!this.isAuthorized(req)) {
+            this.stats.rejected++;
+            console.log('[DEBUG] Rejected Helius webhook with invalid auth header');
+            return this.sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        const body = await this.readBody(req);
+        let transactions;
+        try {
+            transactions = JSON.parse(body);
+        } catch (error) {
+            return this.sendJson(res, 400, { error: 'Invalid JSON' });
+        }
+
+        if (!Array.isArray(transactions)) {
+            return this.sendJson(res, 400, { error: 'Expected an array of transactions' });
+        }
+
+        this.stats.heliusBatches++;
+        this.stats.heliusTransactions += transactions.length;
+        this.stats.lastReceivedAt = new Date().toISOString();
+
+        // The handler only stores the batch, so this stays fast. A failure
+        // falls through to a 500 and Helius redelivers.
+        const result = await this.onHeliusTransactions(transactions);
+        this.sendJson(res, 200, { received: transactions.length, ...result });
+    }
+
+    async handleTwilioWebhook(req, res) {
+        const body = await this.readBody(req);
+        const params = Object.fromEntries(new URLSearchParams(body));
+
+        if (!this.isValidTwilioRequest(req, params)) {
+            this.stats.rejected++;
+            console.log('[DEBUG] Rejected Twilio webhook with invalid signature');
+            return this.sendJson(res, 403, { error: 'Invalid signature' });
+        }
+
+        this.stats.smsReceived++;
+        const reply = await this.onInboundSMS({ from: params.From, body: params.Body });
+
+        const twiml = new twilio.twiml.MessagingResponse();
+        if (reply) twiml.message(reply);
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(twiml.toString());
+    }
+
+    // X-Twilio-Signature is an HMAC of the public URL Twilio posted to plus
+    // the form params, keyed with the auth token. Without a token nothing is
+    // accepted, since these requests change subscriber state.
+    isValidTwilioRequest(req, params) {
+        const { authToken, webhookUrl } = this.config.twilio;
+        const signature = req.headers['x-twilio-signature'];
+        if (!authToken || !signature) return false;
+
+        const url = webhookUrl || `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}${req.url}`;
+        return twilio.validateRequest(authToken, signature, url, params);
+    }
+
+    // Helius echoes the webhook's authHeader value in the Authorization header
+    isAuthorized(req) {
+        const secret = this.config.helius.webhookSecret;
+        if (!secret) return true;
+
+        const provided = Buffer.from(req.headers.authorization || '');
+        const expected = Buffer.from(secret);
+        return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    }
+
+    readBody(req) {
+        const maxBytes = this.config.server.maxBodyBytes;
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    const error = new Error('Payload too large');
+                    error.statusCode = 413;
+                    req.destroy();
+                    reject(error);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = WebhookServer;
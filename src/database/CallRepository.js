@@ -0,0 +1,67 @@
+// Persistence for token calls: a contract mention by a Twitter account,
+// priced at call time and re-priced later for the leaderboard
+class CallRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    // Returns the stored call, or null if this tweet already recorded the
+    // token for the guild. The first call is per guild.
+    recordCall(call) {
+        const recordCall = this.db.transaction(() => {
+            const previous = this.db.prepare('SELECT 1 FROM token_calls WHERE guild_id = ? AND token_address = ? LIMIT 1')
+                .get(call.guildId, call.tokenAddress);
+
+            const result = this.db.prepare(`
+                INSERT OR IGNORE INTO token_calls (
+                    guild_id, tweet_id, token_address, caller_id, caller_username, called_at,
+                    is_first_call, price_at_call, market_cap_at_call, last_price, max_price, last_priced_at
+                ) VALUES (
+                    @guildId, @tweetId, @tokenAddress, @callerId, @callerUsername, @calledAt,
+                    @isFirstCall, @price, @marketCap, @price, @price, @calledAt
+                )
+            `).run({
+                guildId: call.guildId,
+                tweetId: call.tweetId,
+                tokenAddress: call.tokenAddress,
+                callerId: call.callerId,
+                callerUsername: call.callerUsername,
+                calledAt: call.calledAt,
+                isFirstCall: previous ? 0 : 1,
+                price: call.price,
+                marketCap: call.marketCap || null
+            });
+
+            return result.changes > 0
+                ? this.db.prepare('SELECT * FROM token_calls WHERE id = ?').get(result.lastInsertRowid)
+                : null;
+        });
+
+        return recordCall();
+    }
+
+    getGuildCallsSince(guildId, since) {
+        return this.db.prepare('SELECT * FROM token_calls WHERE guild_id = ? AND called_at >= ? ORDER BY called_at')
+            .all(guildId, since);
+    }
+
+    // Distinct tokens called since the given time, for re-pricing
+    getTokensSince(since) {
+        return this.db.prepare('SELECT DISTINCT token_address FROM token_calls WHERE called_at >= ?')
+            .all(since)
+            .map(row => row.token_address);
+    }
+
+    updateTokenPrice(tokenAddress, price, pricedAt, since) {
+        this.db.prepare(`
+            UPDATE token_calls
+            SET last_price = @price,
+                max_price = MAX(COALESCE(max_price, 0), @price),
+                last_priced_at = @pricedAt
+            WHERE token_address = @tokenAddress AND called_at >= @since
+        `).run({ tokenAddress, price, pricedAt, since });
+    }
+}
+
+module.exports = CallRepository;
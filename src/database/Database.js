@@ -0,0 +1,75 @@
+const path = require('path');
+const fs = require('fs');
+const BetterSqlite3 = require('better-sqlite3');
+
+// Thin wrapper around the local SQLite file. Owns the connection and
+// applies the numbered migrations in src/database/migrations on open.
+class Database {
+    constructor(config = {}) {
+        this.path = config.path || path.join(process.cwd(), 'data', 'kek-monitor.db');
+        this.migrationsPath = path.join(__dirname, 'migrations');
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        if (this.path !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        }
+
+        console.log(`[DEBUG] Opening database at ${this.path}`);
+        this.db = new BetterSqlite3(this.path);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+
+        this.migrate();
+        return this.db;
+    }
+
+    loadMigrations() {
+        return fs.readdirSync(this.migrationsPath)
+            .filter(file => /^\d+_.+\.js$/.test(file))
+            .map(file => require(path.join(this.migrationsPath, file)))
+            .sort((a, b) => a.version - b.version);
+    }
+
+    migrate() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const applied = new Set(
+            this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+        );
+        const pending = this.loadMigrations().filter(migration => !applied.has(migration.version));
+
+        if (pending.length === 0) {
+            console.log('[DEBUG] Database schema is up to date');
+            return;
+        }
+
+        for (const migration of pending) {
+            // Each migration and its bookkeeping row commit together
+            this.db.transaction(() => {
+                migration.up(this.db);
+                this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+                    .run(migration.version, migration.name);
+            })();
+            console.log(`✅ Applied migration ${migration.version}: ${migration.name}`);
+        }
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = Database;
@@ -0,0 +1,128 @@
+// Per-guild settings and subscriptions. Monitored accounts and tracked
+// wallets stay shared so each is polled / registered with Helius once;
+// guild_accounts and guild_wallets record which servers follow them.
+class GuildRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    // Channel settings
+    getAllSettings() {
+        return this.db.prepare('SELECT * FROM guild_settings').all();
+    }
+
+    getSettings(guildId) {
+        return this.db.prepare('SELECT * FROM guild_settings WHERE guild_id = ?').get(guildId) || null;
+    }
+
+    // Channels left undefined keep their current value
+    upsertSettings(guildId, channels, updatedBy) {
+        this.db.prepare(`
+            INSERT INTO guild_settings (guild_id, tweets_channel_id, vip_channel_id, solana_channel_id, wallets_channel_id, newpairs_channel_id, updated_by)
+            VALUES (@guildId, @tweets, @vip, @solana, @wallets, @newpairs, @updatedBy)
+            ON CONFLICT(guild_id) DO UPDATE SET
+                tweets_channel_id = COALESCE(excluded.tweets_channel_id, tweets_channel_id),
+                vip_channel_id = COALESCE(excluded.vip_channel_id, vip_channel_id),
+                solana_channel_id = COALESCE(excluded.solana_channel_id, solana_channel_id),
+                wallets_channel_id = COALESCE(excluded.wallets_channel_id, wallets_channel_id),
+                newpairs_channel_id = COALESCE(excluded.newpairs_channel_id, newpairs_channel_id),
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+        `).run({
+            guildId,
+            tweets: channels.tweets || null,
+            vip: channels.vip || null,
+            solana: channels.solana || null,
+            wallets: channels.wallets || null,
+            newpairs: channels.newpairs || null,
+            updatedBy: updatedBy || null
+        });
+        return this.getSettings(guildId);
+    }
+
+    // Accounts followed per guild
+    getGuildAccounts() {
+        return this.db.prepare('SELECT * FROM guild_accounts').all();
+    }
+
+    upsertGuildAccount(guildId, follow) {
+        this.db.prepare(`
+            INSERT INTO guild_accounts (guild_id, twitter_id, monitor_type, is_vip, added_by)
+            VALUES (@guildId, @twitterId, @monitorType, @isVIP, @addedBy)
+            ON CONFLICT(guild_id, twitter_id) DO UPDATE SET
+                monitor_type = excluded.monitor_type,
+                is_vip = excluded.is_vip
+        `).run({
+            guildId,
+            twitterId: follow.twitterId,
+            monitorType: follow.monitor_type || null,
+            isVIP: follow.isVIP ? 1 : 0,
+            addedBy: follow.added_by || null
+        });
+    }
+
+    removeGuildAccount(guildId, twitterId) {
+        return this.db.prepare('DELETE FROM guild_accounts WHERE guild_id = ? AND twitter_id = ?')
+            .run(guildId, twitterId).changes > 0;
+    }
+
+    // Wallets tracked per guild, with the guild's own display name and tags
+    getGuildWallets() {
+        return this.db.prepare('SELECT * FROM guild_wallets').all()
+            .map(row => ({ ...row, tags: JSON.parse(row.tags) }));
+    }
+
+    upsertGuildWallet(guildId, wallet) {
+        this.db.prepare(`
+            INSERT INTO guild_wallets (guild_id, address, name, added_by, tags)
+            VALUES (@guildId, @address, @name, @addedBy, @tags)
+            ON CONFLICT(guild_id, address) DO UPDATE SET name = excluded.name, tags = excluded.tags
+        `).run({
+            guildId,
+            address: wallet.address,
+            name: wallet.name,
+            addedBy: wallet.added_by || null,
+            tags: JSON.stringify(wallet.tags || [])
+        });
+    }
+
+    removeGuildWallet(guildId, address) {
+        return this.db.prepare('DELETE FROM guild_wallets WHERE guild_id = ? AND address = ?')
+            .run(guildId, address).changes > 0;
+    }
+
+    // Hand everything that predates multi-guild support to one guild
+    adoptUnassigned(guildId) {
+        const adopt = this.db.transaction(() => {
+            const accounts = this.db.prepare(`
+                INSERT OR IGNORE INTO guild_accounts (guild_id, twitter_id, monitor_type, is_vip)
+                SELECT ?, twitter_id, monitor_type, is_vip FROM monitored_accounts
+                WHERE twitter_id NOT IN (SELECT twitter_id FROM guild_accounts)
+            `).run(guildId).changes;
+
+            const wallets = this.db.prepare(`
+                INSERT OR IGNORE INTO guild_wallets (guild_id, address, name, added_by)
+                SELECT ?, address, name, added_by FROM tracked_wallets
+                WHERE address NOT IN (SELECT address FROM guild_wallets)
+            `).run(guildId).changes;
+
+            const rules = this.db.prepare('UPDATE keyword_rules SET guild_id = ? WHERE guild_id IS NULL')
+                .run(guildId).changes;
+
+            const calls = this.db.prepare('UPDATE token_calls SET guild_id = ? WHERE guild_id IS NULL')
+                .run(guildId).changes;
+
+            return { accounts, wallets, rules, calls };
+        });
+
+        return adopt();
+    }
+}
+
+// Notification channels each guild configures through /setup
+GuildRepository.CHANNEL_KINDS = ['tweets', 'vip', 'solana', 'wallets', 'newpairs'];
+// Opt-in feeds; a guild without them is still fully set up
+GuildRepository.OPTIONAL_CHANNEL_KINDS = ['newpairs'];
+
+module.exports = GuildRepository;
@@ -0,0 +1,37 @@
+// Persistence for /keywordmonitor search rules and their since_id cursors.
+// Rules belong to a guild; guilds sharing a query share one search.
+class KeywordRuleRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    getRules() {
+        return this.db.prepare('SELECT * FROM keyword_rules ORDER BY id').all();
+    }
+
+    getGuildRules(guildId) {
+        return this.db.prepare('SELECT * FROM keyword_rules WHERE guild_id = ? ORDER BY id').all(guildId);
+    }
+
+    getRuleByQuery(guildId, query) {
+        return this.db.prepare('SELECT * FROM keyword_rules WHERE guild_id = ? AND query = ?').get(guildId, query);
+    }
+
+    addRule(guildId, query, label, createdBy) {
+        const result = this.db.prepare(`
+            INSERT INTO keyword_rules (guild_id, query, label, created_by) VALUES (?, ?, ?, ?)
+        `).run(guildId, query, label || null, createdBy || null);
+        return this.db.prepare('SELECT * FROM keyword_rules WHERE id = ?').get(result.lastInsertRowid);
+    }
+
+    removeRule(guildId, id) {
+        return this.db.prepare('DELETE FROM keyword_rules WHERE guild_id = ? AND id = ?').run(guildId, id).changes > 0;
+    }
+
+    updateSinceId(id, sinceId) {
+        this.db.prepare('UPDATE keyword_rules SET since_id = ? WHERE id = ?').run(sinceId, id);
+    }
+}
+
+module.exports = KeywordRuleRepository;
@@ -0,0 +1,26 @@
+// Persistence for NewPairFeed: every pair it has posted or rejected, so a
+// restart neither re-posts nor re-checks them. Times are ms since epoch.
+class NewPairFeedRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    isSeen(address) {
+        return Boolean(this.db.prepare('SELECT 1 FROM new_pair_feed WHERE address = ?').get(address));
+    }
+
+    record(address, status, reason, now) {
+        this.db.prepare(`
+            INSERT INTO new_pair_feed (address, status, reason, checked_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(address) DO UPDATE SET status = excluded.status, reason = excluded.reason, checked_at = excluded.checked_at
+        `).run(address, status, reason || null, now);
+    }
+
+    prune(before) {
+        return this.db.prepare('DELETE FROM new_pair_feed WHERE checked_at < ?').run(before).changes;
+    }
+}
+
+module.exports = NewPairFeedRepository;
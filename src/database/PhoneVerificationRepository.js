@@ -0,0 +1,57 @@
+// Pending SMS verification codes and an audit trail of code sends and
+// verification attempts, used for rate limiting. Times are ms since epoch.
+class PhoneVerificationRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    getPending(discordUserId) {
+        return this.db.prepare('SELECT * FROM sms_verifications WHERE discord_user_id = ?').get(discordUserId) || null;
+    }
+
+    // A new code replaces any earlier one for the user
+    savePending(discordUserId, phone, codeHash, expiresAt, now) {
+        this.db.prepare(`
+            INSERT INTO sms_verifications (discord_user_id, phone, code_hash, attempts, expires_at, created_at)
+            VALUES (?, ?, ?, 0, ?, ?)
+            ON CONFLICT(discord_user_id) DO UPDATE SET
+                phone = excluded.phone,
+                code_hash = excluded.code_hash,
+                attempts = 0,
+                expires_at = excluded.expires_at,
+                created_at = excluded.created_at
+        `).run(discordUserId, phone, codeHash, expiresAt, now);
+    }
+
+    incrementAttempts(discordUserId) {
+        this.db.prepare('UPDATE sms_verifications SET attempts = attempts + 1 WHERE discord_user_id = ?').run(discordUserId);
+    }
+
+    deletePending(discordUserId) {
+        this.db.prepare('DELETE FROM sms_verifications WHERE discord_user_id = ?').run(discordUserId);
+    }
+
+    recordEvent(discordUserId, phone, event, reason = null, now = Date.now()) {
+        this.db.prepare(`
+            INSERT INTO sms_verification_events (discord_user_id, phone, event, reason, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(discordUserId, phone || null, event, reason, now);
+    }
+
+    countUserEvents(discordUserId, event, since) {
+        return this.db.prepare(`
+            SELECT COUNT(*) AS count FROM sms_verification_events
+            WHERE discord_user_id = ? AND event = ? AND created_at >= ?
+        `).get(discordUserId, event, since).count;
+    }
+
+    countPhoneEvents(phone, event, since) {
+        return this.db.prepare(`
+            SELECT COUNT(*) AS count FROM sms_verification_events
+            WHERE phone = ? AND event = ? AND created_at >= ?
+        `).get(phone, event, since).count;
+    }
+}
+
+module.exports = PhoneVerificationRepository;
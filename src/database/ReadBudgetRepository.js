@@ -0,0 +1,35 @@
+// Persistence for ReadBudgetManager. One row per billing period.
+class ReadBudgetRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    getPeriod(periodStart) {
+        const row = this.db.prepare('SELECT * FROM read_budget WHERE period_start = ?').get(periodStart);
+        return {
+            tweetsRead: row?.tweets_read || 0,
+            warnedThreshold: row?.warned_threshold || 0
+        };
+    }
+
+    addReads(periodStart, count) {
+        this.db.prepare(`
+            INSERT INTO read_budget (period_start, tweets_read) VALUES (?, ?)
+            ON CONFLICT(period_start) DO UPDATE SET
+                tweets_read = tweets_read + excluded.tweets_read,
+                updated_at = CURRENT_TIMESTAMP
+        `).run(periodStart, count);
+    }
+
+    setWarnedThreshold(periodStart, threshold) {
+        this.db.prepare(`
+            INSERT INTO read_budget (period_start, warned_threshold) VALUES (?, ?)
+            ON CONFLICT(period_start) DO UPDATE SET
+                warned_threshold = excluded.warned_threshold,
+                updated_at = CURRENT_TIMESTAMP
+        `).run(periodStart, threshold);
+    }
+}
+
+module.exports = ReadBudgetRepository;
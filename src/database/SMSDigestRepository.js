@@ -0,0 +1,55 @@
+// Persistence for SMSDigestManager: queued digest items and the send log
+// behind the per-hour cap. Times are ms since epoch.
+class SMSDigestRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    enqueue(discordUserId, eventType, message, now) {
+        this.db.prepare(`
+            INSERT INTO sms_digest_items (discord_user_id, event_type, message, created_at)
+            VALUES (?, ?, ?, ?)
+        `).run(discordUserId, eventType, message, now);
+    }
+
+    getPendingUserIds() {
+        return this.db.prepare('SELECT DISTINCT discord_user_id FROM sms_digest_items').all()
+            .map(row => row.discord_user_id);
+    }
+
+    getPending(discordUserId) {
+        return this.db.prepare('SELECT * FROM sms_digest_items WHERE discord_user_id = ? ORDER BY created_at, id')
+            .all(discordUserId);
+    }
+
+    countPending() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM sms_digest_items').get().count;
+    }
+
+    deleteItems(ids) {
+        const remove = this.db.prepare('DELETE FROM sms_digest_items WHERE id = ?');
+        this.db.transaction(() => {
+            for (const id of ids) remove.run(id);
+        })();
+    }
+
+    prunePending(before) {
+        return this.db.prepare('DELETE FROM sms_digest_items WHERE created_at < ?').run(before).changes;
+    }
+
+    recordSend(discordUserId, now) {
+        this.db.prepare('INSERT INTO sms_send_log (discord_user_id, sent_at) VALUES (?, ?)').run(discordUserId, now);
+    }
+
+    countSends(discordUserId, since) {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM sms_send_log WHERE discord_user_id = ? AND sent_at >= ?')
+            .get(discordUserId, since).count;
+    }
+
+    pruneSends(before) {
+        this.db.prepare('DELETE FROM sms_send_log WHERE sent_at < ?').run(before);
+    }
+}
+
+module.exports = SMSDigestRepository;
@@ -0,0 +1,171 @@
+// Persistence for TwitterMonitorBot's runtime state. Methods are synchronous
+// (better-sqlite3); the bot's async accessors wrap them.
+class StateRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    // Monitored Twitter accounts
+    getMonitoredAccounts() {
+        return this.db.prepare('SELECT * FROM monitored_accounts').all()
+            .map(row => this.rowToAccount(row));
+    }
+
+    upsertMonitoredAccount(account) {
+        this.db.prepare(`
+            INSERT INTO monitored_accounts (twitter_id, username, name, monitor_type, is_vip, last_tweet_id)
+            VALUES (@id, @username, @name, @monitor_type, @is_vip, @last_tweet_id)
+            ON CONFLICT(twitter_id) DO UPDATE SET
+                username = excluded.username,
+                name = excluded.name,
+                monitor_type = excluded.monitor_type,
+                is_vip = excluded.is_vip
+        `).run({
+            id: account.id,
+            username: account.username,
+            name: account.name || null,
+            monitor_type: account.monitor_type || null,
+            is_vip: account.isVIP ? 1 : 0,
+            last_tweet_id: account.lastTweetId || null
+        });
+    }
+
+    removeMonitoredAccount(twitterId) {
+        return this.db.prepare('DELETE FROM monitored_accounts WHERE twitter_id = ?')
+            .run(twitterId).changes > 0;
+    }
+
+    updateLastTweetId(twitterId, lastTweetId) {
+        this.db.prepare('UPDATE monitored_accounts SET last_tweet_id = ? WHERE twitter_id = ?')
+            .run(lastTweetId, twitterId);
+    }
+
+    rowToAccount(row) {
+        return {
+            id: row.twitter_id,
+            username: row.username,
+            name: row.name,
+            monitor_type: row.monitor_type,
+            isVIP: row.is_vip === 1,
+            lastTweetId: row.last_tweet_id
+        };
+    }
+
+    // Tweet deliveries and token mentions. target is 'follow' or 'rule:<id>'.
+    isTweetDelivered(tweetId, guildId, target) {
+        return !!this.db.prepare('SELECT 1 FROM tweet_deliveries WHERE tweet_id = ? AND guild_id = ? AND target = ?')
+            .get(tweetId, guildId, target);
+    }
+
+    addTweetDeliveries(tweetId, deliveries) {
+        const insert = this.db.prepare('INSERT OR IGNORE INTO tweet_deliveries (tweet_id, guild_id, target) VALUES (?, ?, ?)');
+        this.db.transaction(() => {
+            for (const { guildId, target } of deliveries) {
+                insert.run(tweetId, guildId, target);
+            }
+        })();
+    }
+
+    addTokenMention(tweetId, tokenAddress) {
+        this.db.prepare('INSERT OR IGNORE INTO token_mentions (tweet_id, token_address) VALUES (?, ?)')
+            .run(tweetId, tokenAddress);
+    }
+
+    getTrackedTokens() {
+        return this.db.prepare('SELECT * FROM tracked_tokens').all();
+    }
+
+    addTrackedToken(address, tweetId) {
+        this.db.prepare('INSERT OR IGNORE INTO tracked_tokens (address, first_seen_tweet_id) VALUES (?, ?)')
+            .run(address, tweetId);
+    }
+
+    // since_id cursors for search batches, keyed by batch membership
+    getSearchCursor(cursorKey) {
+        return this.db.prepare('SELECT since_id FROM search_cursors WHERE cursor_key = ?').get(cursorKey)?.since_id || null;
+    }
+
+    setSearchCursor(cursorKey, sinceId) {
+        this.db.prepare(`
+            INSERT INTO search_cursors (cursor_key, since_id) VALUES (?, ?)
+            ON CONFLICT(cursor_key) DO UPDATE SET since_id = excluded.since_id, updated_at = CURRENT_TIMESTAMP
+        `).run(cursorKey, sinceId);
+    }
+
+    // Tracked wallets
+    getTrackedWallets() {
+        return this.db.prepare('SELECT * FROM tracked_wallets').all();
+    }
+
+    upsertTrackedWallet(wallet) {
+        this.db.prepare(`
+            INSERT INTO tracked_wallets (address, name, added_by)
+            VALUES (@address, @name, @added_by)
+            ON CONFLICT(address) DO UPDATE SET name = excluded.name
+        `).run({
+            address: wallet.address,
+            name: wallet.name,
+            added_by: wallet.added_by || null
+        });
+    }
+
+    removeTrackedWallet(address) {
+        return this.db.prepare('DELETE FROM tracked_wallets WHERE address = ?')
+            .run(address).changes > 0;
+    }
+
+    // Copies wallets.json entries not imported before into the registry, and
+    // into guildId's wallets when given. Returns the number imported.
+    importWalletSeeds(wallets, guildId = null) {
+        const isImported = this.db.prepare('SELECT 1 FROM wallet_seed_imports WHERE address = ?');
+        const markImported = this.db.prepare('INSERT INTO wallet_seed_imports (address) VALUES (?)');
+        const addWallet = this.db.prepare('INSERT OR IGNORE INTO tracked_wallets (address, name) VALUES (?, ?)');
+        const addGuildWallet = this.db.prepare('INSERT OR IGNORE INTO guild_wallets (guild_id, address, name, tags) VALUES (?, ?, ?, ?)');
+
+        const importAll = this.db.transaction(() => {
+            let imported = 0;
+            for (const wallet of wallets) {
+                if (isImported.get(wallet.address)) continue;
+
+                addWallet.run(wallet.address, wallet.name);
+                if (guildId) addGuildWallet.run(guildId, wallet.address, wallet.name, JSON.stringify(wallet.tags || []));
+                markImported.run(wallet.address);
+                imported++;
+            }
+            return imported;
+        });
+        return importAll();
+    }
+
+    // SMS subscribers
+    getSMSSubscribers() {
+        return this.db.prepare('SELECT * FROM sms_subscribers').all();
+    }
+
+    // Only called once the number has been verified with a code, which also
+    // counts as opting back in
+    upsertSMSSubscriber(discordUserId, phone) {
+        this.db.prepare(`
+            INSERT INTO sms_subscribers (discord_user_id, phone, verified_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(discord_user_id) DO UPDATE SET
+                phone = excluded.phone,
+                verified_at = excluded.verified_at,
+                opted_out_at = NULL,
+                paused_until = NULL
+        `).run(discordUserId, phone);
+    }
+
+    // optedOutAt is an ISO string or null; pausedUntil is ms since epoch or null
+    updateSMSSubscriberStatus(discordUserId, { optedOutAt, pausedUntil }) {
+        this.db.prepare('UPDATE sms_subscribers SET opted_out_at = ?, paused_until = ? WHERE discord_user_id = ?')
+            .run(optedOutAt, pausedUntil, discordUserId);
+    }
+
+    removeSMSSubscriber(discordUserId) {
+        return this.db.prepare('DELETE FROM sms_subscribers WHERE discord_user_id = ?')
+            .run(discordUserId).changes > 0;
+    }
+}
+
+module.exports = StateRepository;
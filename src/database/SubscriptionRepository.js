@@ -0,0 +1,92 @@
+// Per-user alert subscriptions: which event types a Discord user wants,
+// minimum USD / market cap / liquidity, optional account and wallet filters,
+// and SMS delivery settings (quiet hours, hourly cap). A user without a row
+// gets the defaults (eventTypes null).
+class SubscriptionRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    getSubscription(discordUserId) {
+        const row = this.db.prepare('SELECT * FROM alert_subscriptions WHERE discord_user_id = ?').get(discordUserId);
+        const filters = this.db.prepare('SELECT * FROM alert_subscription_filters WHERE discord_user_id = ? ORDER BY created_at')
+            .all(discordUserId);
+
+        return {
+            discordUserId,
+            eventTypes: row?.event_types ? JSON.parse(row.event_types) : null,
+            minUsdValue: row?.min_usd_value ?? null,
+            minMarketCap: row?.min_market_cap ?? null,
+            minLiquidity: row?.min_liquidity ?? null,
+            quietStart: row?.quiet_start ?? null,
+            quietEnd: row?.quiet_end ?? null,
+            timezone: row?.timezone ?? null,
+            maxSmsPerHour: row?.max_sms_per_hour ?? null,
+            vipBreakthrough: row?.vip_breakthrough === 1,
+            accounts: filters.filter(filter => filter.kind === 'account').map(({ value, label }) => ({ id: value, username: label })),
+            wallets: filters.filter(filter => filter.kind === 'wallet').map(({ value, label }) => ({ address: value, name: label }))
+        };
+    }
+
+    // Only the given fields change; pass null to clear one back to its default
+    updateSubscription(discordUserId, fields) {
+        const current = this.getSubscription(discordUserId);
+        const next = { ...current, ...fields };
+
+        this.db.prepare(`
+            INSERT INTO alert_subscriptions (
+                discord_user_id, event_types, min_usd_value, min_market_cap, min_liquidity,
+                quiet_start, quiet_end, timezone, max_sms_per_hour, vip_breakthrough
+            )
+            VALUES (
+                @discordUserId, @eventTypes, @minUsdValue, @minMarketCap, @minLiquidity,
+                @quietStart, @quietEnd, @timezone, @maxSmsPerHour, @vipBreakthrough
+            )
+            ON CONFLICT(discord_user_id) DO UPDATE SET
+                event_types = excluded.event_types,
+                min_usd_value = excluded.min_usd_value,
+                min_market_cap = excluded.min_market_cap,
+                min_liquidity = excluded.min_liquidity,
+                quiet_start = excluded.quiet_start,
+                quiet_end = excluded.quiet_end,
+                timezone = excluded.timezone,
+                max_sms_per_hour = excluded.max_sms_per_hour,
+                vip_breakthrough = excluded.vip_breakthrough,
+                updated_at = CURRENT_TIMESTAMP
+        `).run({
+            discordUserId,
+            eventTypes: next.eventTypes ? JSON.stringify(next.eventTypes) : null,
+            minUsdValue: next.minUsdValue,
+            minMarketCap: next.minMarketCap,
+            minLiquidity: next.minLiquidity,
+            quietStart: next.quietStart,
+            quietEnd: next.quietEnd,
+            timezone: next.timezone,
+            maxSmsPerHour: next.maxSmsPerHour,
+            vipBreakthrough: next.vipBreakthrough ? 1 : 0
+        });
+        return this.getSubscription(discordUserId);
+    }
+
+    addFilter(discordUserId, kind, value, label) {
+        return this.db.prepare(`
+            INSERT OR IGNORE INTO alert_subscription_filters (discord_user_id, kind, value, label)
+            VALUES (?, ?, ?, ?)
+        `).run(discordUserId, kind, value, label || null).changes > 0;
+    }
+
+    removeFilter(discordUserId, kind, value) {
+        return this.db.prepare('DELETE FROM alert_subscription_filters WHERE discord_user_id = ? AND kind = ? AND value = ?')
+            .run(discordUserId, kind, value).changes > 0;
+    }
+
+    resetSubscription(discordUserId) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM alert_subscriptions WHERE discord_user_id = ?').run(discordUserId);
+            this.db.prepare('DELETE FROM alert_subscription_filters WHERE discord_user_id = ?').run(discordUserId);
+        })();
+    }
+}
+
+module.exports = SubscriptionRepository;
@@ -0,0 +1,86 @@
+// Persistence for TokenWatcher: /watch conditions with their trigger state,
+// and the price samples behind percent-change conditions. Times are ms since
+// epoch.
+class TokenWatchRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    addWatch(watch) {
+        const { lastInsertRowid } = this.db.prepare(`
+            INSERT INTO token_watches (guild_id, user_id, channel_id, mint, symbol, condition, threshold, window_minutes, armed, reference, last_value, created_at)
+            VALUES (@guildId, @userId, @channelId, @mint, @symbol, @condition, @threshold, @windowMinutes, @armed, @reference, @lastValue, @createdAt)
+        `).run({
+            guildId: watch.guildId,
+            userId: watch.userId,
+            channelId: watch.channelId || null,
+            mint: watch.mint,
+            symbol: watch.symbol || null,
+            condition: watch.condition,
+            threshold: watch.threshold,
+            windowMinutes: watch.windowMinutes || null,
+            armed: watch.armed ? 1 : 0,
+            reference: watch.reference ?? null,
+            lastValue: watch.lastValue ?? null,
+            createdAt: watch.createdAt
+        });
+        return this.getWatch(lastInsertRowid);
+    }
+
+    getWatch(id) {
+        return this.db.prepare('SELECT * FROM token_watches WHERE id = ?').get(id) || null;
+    }
+
+    getAllWatches() {
+        return this.db.prepare('SELECT * FROM token_watches ORDER BY id').all();
+    }
+
+    getGuildWatches(guildId) {
+        return this.db.prepare('SELECT * FROM token_watches WHERE guild_id = ? ORDER BY id').all(guildId);
+    }
+
+    countUserWatches(userId) {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM token_watches WHERE user_id = ?').get(userId).count;
+    }
+
+    removeWatch(id) {
+        return this.db.prepare('DELETE FROM token_watches WHERE id = ?').run(id).changes > 0;
+    }
+
+    updateState(id, state) {
+        this.db.prepare(`
+            UPDATE token_watches
+            SET armed = @armed, reference = @reference, last_value = @lastValue, triggered_at = @triggeredAt
+            WHERE id = @id
+        `).run({
+            id,
+            armed: state.armed ? 1 : 0,
+            reference: state.reference ?? null,
+            lastValue: state.lastValue ?? null,
+            triggeredAt: state.triggeredAt ?? null
+        });
+    }
+
+    addSamples(prices, now) {
+        const insert = this.db.prepare('INSERT INTO token_price_samples (mint, price, sampled_at) VALUES (?, ?, ?)');
+        this.db.transaction(() => {
+            for (const [mint, price] of prices) insert.run(mint, price, now);
+        })();
+    }
+
+    // Latest price sampled at or before `at`, or null when history is shorter
+    getPriceAt(mint, at) {
+        return this.db.prepare(`
+            SELECT price, sampled_at FROM token_price_samples
+            WHERE mint = ? AND sampled_at <= ?
+            ORDER BY sampled_at DESC LIMIT 1
+        `).get(mint, at) || null;
+    }
+
+    pruneSamples(before) {
+        return this.db.prepare('DELETE FROM token_price_samples WHERE sampled_at < ?').run(before).changes;
+    }
+}
+
+module.exports = TokenWatchRepository;
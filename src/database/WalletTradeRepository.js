@@ -0,0 +1,32 @@
+// Persistence for WalletPnLTracker. Trades are de-duplicated per signature,
+// wallet, mint and side so WebhookQueue retries do not double count.
+class WalletTradeRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    recordTrade(trade) {
+        return this.db.prepare(`
+            INSERT OR IGNORE INTO wallet_trades (wallet_address, signature, mint, symbol, side, amount, usd_value, traded_at)
+            VALUES (@walletAddress, @signature, @mint, @symbol, @side, @amount, @usdValue, @tradedAt)
+        `).run({
+            walletAddress: trade.walletAddress,
+            signature: trade.signature,
+            mint: trade.mint,
+            symbol: trade.symbol || null,
+            side: trade.side,
+            amount: trade.amount,
+            usdValue: trade.usdValue ?? null,
+            tradedAt: trade.tradedAt
+        }).changes > 0;
+    }
+
+    // Oldest first, so cost basis can be replayed
+    getTrades(walletAddress) {
+        return this.db.prepare('SELECT * FROM wallet_trades WHERE wallet_address = ? ORDER BY traded_at, id')
+            .all(walletAddress);
+    }
+}
+
+module.exports = WalletTradeRepository;
@@ -0,0 +1,87 @@
+// Persistence for WebhookQueue. Rows are keyed by transaction signature so
+// repeated Helius deliveries collapse into a single item.
+class WebhookQueueRepository {
+    constructor(database) {
+        if (!database?.db) throw new Error('Open database required');
+        this.db = database.db;
+    }
+
+    // Returns false when the signature has already been queued
+    enqueue(signature, payload, now = Date.now()) {
+        return this.db.prepare(`
+            INSERT OR IGNORE INTO webhook_queue (signature, payload, next_attempt_at)
+            VALUES (?, ?, ?)
+        `).run(signature, JSON.stringify(payload), now).changes > 0;
+    }
+
+    // Atomically claim the oldest due item
+    claimNext(now = Date.now()) {
+        return this.db.transaction(() => {
+            const row = this.db.prepare(`
+                SELECT * FROM webhook_queue
+                WHERE status = 'pending' AND next_attempt_at <= ?
+                ORDER BY next_attempt_at ASC
+                LIMIT 1
+            `).get(now);
+
+            if (!row) return null;
+
+            this.db.prepare(`
+                UPDATE webhook_queue SET status = 'processing', attempts = attempts + 1
+                WHERE signature = ?
+            `).run(row.signature);
+
+            return {
+                signature: row.signature,
+                transaction: JSON.parse(row.payload),
+                attempts: row.attempts + 1
+            };
+        })();
+    }
+
+    markDelivered(signature) {
+        this.db.prepare(`
+            UPDATE webhook_queue
+            SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, last_error = NULL
+            WHERE signature = ?
+        `).run(signature);
+    }
+
+    scheduleRetry(signature, nextAttemptAt, errorMessage) {
+        this.db.prepare(`
+            UPDATE webhook_queue SET status = 'pending', next_attempt_at = ?, last_error = ?
+            WHERE signature = ?
+        `).run(nextAttemptAt, errorMessage, signature);
+    }
+
+    markFailed(signature, errorMessage) {
+        this.db.prepare(`
+            UPDATE webhook_queue SET status = 'failed', last_error = ?
+            WHERE signature = ?
+        `).run(errorMessage, signature);
+    }
+
+    // Items left in 'processing' by a crash are picked up again
+    resetInFlight() {
+        return this.db.prepare(`
+            UPDATE webhook_queue SET status = 'pending' WHERE status = 'processing'
+        `).run().changes;
+    }
+
+    pruneDelivered(olderThanDays) {
+        return this.db.prepare(`
+            DELETE FROM webhook_queue
+            WHERE status = 'delivered' AND delivered_at < datetime('now', ?)
+        `).run(`-${olderThanDays} days`).changes;
+    }
+
+    getStatusCounts() {
+        const counts = { pending: 0, processing: 0, delivered: 0, failed: 0 };
+        for (const row of this.db.prepare('SELECT status, COUNT(*) AS count FROM webhook_queue GROUP BY status').all()) {
+            counts[row.status] = row.count;
+        }
+        return counts;
+    }
+}
+
+module.exports = WebhookQueueRepository;
@@ -0,0 +1,48 @@
+module.exports = {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+        db.exec(`
+            CREATE TABLE monitored_accounts (
+                twitter_id TEXT PRIMARY KEY,
+                username TEXT NOT NULL,
+                name TEXT,
+                monitor_type TEXT,
+                is_vip INTEGER NOT NULL DEFAULT 0,
+                last_tweet_id TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE tracked_wallets (
+                address TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                added_by TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE sms_subscribers (
+                discord_user_id TEXT PRIMARY KEY,
+                phone TEXT NOT NULL,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE processed_tweets (
+                tweet_id TEXT PRIMARY KEY,
+                processed_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE tracked_tokens (
+                address TEXT PRIMARY KEY,
+                first_seen_tweet_id TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE token_mentions (
+                tweet_id TEXT NOT NULL,
+                token_address TEXT NOT NULL,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (tweet_id, token_address)
+            );
+        `);
+    }
+};
@@ -0,0 +1,20 @@
+module.exports = {
+    version: 2,
+    name: 'webhook_queue',
+    up(db) {
+        db.exec(`
+            CREATE TABLE webhook_queue (
+                signature TEXT PRIMARY KEY,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at INTEGER NOT NULL,
+                last_error TEXT,
+                received_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                delivered_at TEXT
+            );
+
+            CREATE INDEX idx_webhook_queue_due ON webhook_queue (status, next_attempt_at);
+        `);
+    }
+};
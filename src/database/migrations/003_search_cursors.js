@@ -0,0 +1,13 @@
+module.exports = {
+    version: 3,
+    name: 'search_cursors',
+    up(db) {
+        db.exec(`
+            CREATE TABLE search_cursors (
+                cursor_key TEXT PRIMARY KEY,
+                since_id TEXT NOT NULL,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+};
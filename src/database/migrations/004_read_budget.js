@@ -0,0 +1,14 @@
+module.exports = {
+    version: 4,
+    name: 'read_budget',
+    up(db) {
+        db.exec(`
+            CREATE TABLE read_budget (
+                period_start TEXT PRIMARY KEY,
+                tweets_read INTEGER NOT NULL DEFAULT 0,
+                warned_threshold REAL NOT NULL DEFAULT 0,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+};
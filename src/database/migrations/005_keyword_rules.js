@@ -0,0 +1,16 @@
+module.exports = {
+    version: 5,
+    name: 'keyword_rules',
+    up(db) {
+        db.exec(`
+            CREATE TABLE keyword_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                query TEXT NOT NULL UNIQUE,
+                label TEXT,
+                created_by TEXT,
+                since_id TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+};
@@ -0,0 +1,26 @@
+module.exports = {
+    version: 6,
+    name: 'token_calls',
+    up(db) {
+        db.exec(`
+            CREATE TABLE token_calls (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                tweet_id TEXT NOT NULL,
+                token_address TEXT NOT NULL,
+                caller_id TEXT NOT NULL,
+                caller_username TEXT NOT NULL,
+                called_at INTEGER NOT NULL,
+                is_first_call INTEGER NOT NULL DEFAULT 0,
+                price_at_call REAL NOT NULL,
+                market_cap_at_call REAL,
+                last_price REAL,
+                max_price REAL,
+                last_priced_at INTEGER,
+                UNIQUE (tweet_id, token_address)
+            );
+
+            CREATE INDEX idx_token_calls_called_at ON token_calls (called_at);
+            CREATE INDEX idx_token_calls_token ON token_calls (token_address);
+        `);
+    }
+};
@@ -0,0 +1,53 @@
+module.exports = {
+    version: 7,
+    name: 'guilds',
+    up(db) {
+        db.exec(`
+            CREATE TABLE guild_settings (
+                guild_id TEXT PRIMARY KEY,
+                tweets_channel_id TEXT,
+                vip_channel_id TEXT,
+                solana_channel_id TEXT,
+                wallets_channel_id TEXT,
+                updated_by TEXT,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE guild_accounts (
+                guild_id TEXT NOT NULL,
+                twitter_id TEXT NOT NULL REFERENCES monitored_accounts (twitter_id) ON DELETE CASCADE,
+                monitor_type TEXT,
+                is_vip INTEGER NOT NULL DEFAULT 0,
+                added_by TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, twitter_id)
+            );
+
+            CREATE TABLE guild_wallets (
+                guild_id TEXT NOT NULL,
+                address TEXT NOT NULL REFERENCES tracked_wallets (address) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                added_by TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, address)
+            );
+
+            CREATE TABLE keyword_rules_by_guild (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                query TEXT NOT NULL,
+                label TEXT,
+                created_by TEXT,
+                since_id TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (guild_id, query)
+            );
+
+            INSERT INTO keyword_rules_by_guild (id, query, label, created_by, since_id, created_at)
+            SELECT id, query, label, created_by, since_id, created_at FROM keyword_rules;
+
+            DROP TABLE keyword_rules;
+            ALTER TABLE keyword_rules_by_guild RENAME TO keyword_rules;
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+module.exports = {
+    version: 8,
+    name: 'alert_subscriptions',
+    up(db) {
+        db.exec(`
+            CREATE TABLE alert_subscriptions (
+                discord_user_id TEXT PRIMARY KEY,
+                event_types TEXT,
+                min_usd_value REAL,
+                min_market_cap REAL,
+                min_liquidity REAL,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE alert_subscription_filters (
+                discord_user_id TEXT NOT NULL,
+                kind TEXT NOT NULL CHECK (kind IN ('account', 'wallet')),
+                value TEXT NOT NULL,
+                label TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (discord_user_id, kind, value)
+            );
+        `);
+    }
+};
@@ -0,0 +1,32 @@
+module.exports = {
+    version: 9,
+    name: 'sms_verification',
+    up(db) {
+        db.exec(`
+            -- Subscribers saved before verification existed stay unverified
+            -- until they confirm a code
+            ALTER TABLE sms_subscribers ADD COLUMN verified_at TEXT;
+
+            CREATE TABLE sms_verifications (
+                discord_user_id TEXT PRIMARY KEY,
+                phone TEXT NOT NULL,
+                code_hash TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                expires_at INTEGER NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE sms_verification_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                discord_user_id TEXT NOT NULL,
+                phone TEXT,
+                event TEXT NOT NULL CHECK (event IN ('code_sent', 'verify_failed', 'verified')),
+                reason TEXT,
+                created_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_sms_verification_events_user ON sms_verification_events (discord_user_id, event, created_at);
+            CREATE INDEX idx_sms_verification_events_phone ON sms_verification_events (phone, event, created_at);
+        `);
+    }
+};
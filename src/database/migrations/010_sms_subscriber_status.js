@@ -0,0 +1,11 @@
+module.exports = {
+    version: 10,
+    name: 'sms_subscriber_status',
+    up(db) {
+        db.exec(`
+            -- Set from inbound STOP / PAUSE replies
+            ALTER TABLE sms_subscribers ADD COLUMN opted_out_at TEXT;
+            ALTER TABLE sms_subscribers ADD COLUMN paused_until INTEGER;
+        `);
+    }
+};
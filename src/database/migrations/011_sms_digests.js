@@ -0,0 +1,33 @@
+module.exports = {
+    version: 11,
+    name: 'sms_digests',
+    up(db) {
+        db.exec(`
+            ALTER TABLE alert_subscriptions ADD COLUMN quiet_start TEXT;
+            ALTER TABLE alert_subscriptions ADD COLUMN quiet_end TEXT;
+            ALTER TABLE alert_subscriptions ADD COLUMN timezone TEXT;
+            ALTER TABLE alert_subscriptions ADD COLUMN max_sms_per_hour INTEGER;
+            ALTER TABLE alert_subscriptions ADD COLUMN vip_breakthrough INTEGER NOT NULL DEFAULT 0;
+
+            -- Alerts held back by quiet hours or the hourly cap
+            CREATE TABLE sms_digest_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                discord_user_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                message TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_sms_digest_items_user ON sms_digest_items (discord_user_id, created_at);
+
+            -- One row per text sent, for the per-hour cap
+            CREATE TABLE sms_send_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                discord_user_id TEXT NOT NULL,
+                sent_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_sms_send_log_user ON sms_send_log (discord_user_id, sent_at);
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+module.exports = {
+    version: 12,
+    name: 'wallet_trades',
+    up(db) {
+        db.exec(`
+            -- Ledger of tracked-wallet swaps and token transfers. amount is in
+            -- whole tokens; traded_at is ms since epoch.
+            CREATE TABLE wallet_trades (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                wallet_address TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                mint TEXT NOT NULL,
+                symbol TEXT,
+                side TEXT NOT NULL CHECK (side IN ('buy', 'sell', 'transfer_in', 'transfer_out')),
+                amount REAL NOT NULL,
+                usd_value REAL,
+                traded_at INTEGER NOT NULL,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (signature, wallet_address, mint, side)
+            );
+
+            CREATE INDEX idx_wallet_trades_wallet ON wallet_trades (wallet_address, traded_at);
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+module.exports = {
+    version: 13,
+    name: 'wallet_seeds',
+    up(db) {
+        db.exec(`
+            -- wallets.json addresses already copied into tracked_wallets, so a
+            -- wallet removed with /stopwallet is not re-added on the next start
+            CREATE TABLE wallet_seed_imports (
+                address TEXT PRIMARY KEY,
+                imported_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+};
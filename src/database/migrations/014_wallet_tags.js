@@ -0,0 +1,10 @@
+module.exports = {
+    version: 14,
+    name: 'wallet_tags',
+    up(db) {
+        db.exec(`
+            -- JSON array of normalized tags; per guild, like the wallet name
+            ALTER TABLE guild_wallets ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+        `);
+    }
+};
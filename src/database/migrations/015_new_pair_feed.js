@@ -0,0 +1,20 @@
+module.exports = {
+    version: 15,
+    name: 'new_pair_feed',
+    up(db) {
+        db.exec(`
+            ALTER TABLE guild_settings ADD COLUMN newpairs_channel_id TEXT;
+
+            -- Pairs the new pair feed has decided on, so restarts do not
+            -- re-post or re-check them. Times are ms since epoch.
+            CREATE TABLE new_pair_feed (
+                address TEXT PRIMARY KEY,
+                status TEXT NOT NULL,            -- posted | rejected
+                reason TEXT,
+                checked_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_new_pair_feed_checked_at ON new_pair_feed (checked_at);
+        `);
+    }
+};
@@ -0,0 +1,36 @@
+module.exports = {
+    version: 16,
+    name: 'token_watches',
+    up(db) {
+        db.exec(`
+            -- /watch conditions. Times are ms since epoch.
+            CREATE TABLE token_watches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,           -- who added it
+                channel_id TEXT,                 -- NULL: DM the user
+                mint TEXT NOT NULL,
+                symbol TEXT,
+                condition TEXT NOT NULL,         -- see TokenWatcher CONDITIONS
+                threshold REAL NOT NULL,
+                window_minutes INTEGER,          -- change only
+                armed INTEGER NOT NULL DEFAULT 1,
+                reference REAL,                  -- liquidity_drop: peak since last alert; holders_change: count at last alert
+                last_value REAL,
+                triggered_at INTEGER,
+                created_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_token_watches_guild ON token_watches (guild_id);
+
+            -- Price history of watched mints, for percent change over a window
+            CREATE TABLE token_price_samples (
+                mint TEXT NOT NULL,
+                price REAL NOT NULL,
+                sampled_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_token_price_samples_mint ON token_price_samples (mint, sampled_at);
+        `);
+    }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+    version: 17,
+    name: 'tweet_deliveries',
+    up(db) {
+        db.exec(`
+            -- A tweet is processed once per delivery target instead of once
+            -- overall, so an account follow or one guild's keyword rule no
+            -- longer hides the tweet from another guild's matching rule.
+            -- target is 'follow' for the guild's account follows, or
+            -- 'rule:<keyword_rules.id>'.
+            CREATE TABLE tweet_deliveries (
+                tweet_id TEXT NOT NULL,
+                guild_id TEXT NOT NULL,
+                target TEXT NOT NULL,
+                delivered_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (tweet_id, guild_id, target)
+            );
+
+            DROP TABLE processed_tweets;
+        `);
+    }
+};
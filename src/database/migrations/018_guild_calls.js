@@ -0,0 +1,43 @@
+module.exports = {
+    version: 18,
+    name: 'guild_calls',
+    up(db) {
+        db.exec(`
+            -- Calls belong to the guild that follows the caller, so each
+            -- guild's /leaderboard and first-caller flags only count its own
+            -- follows. Calls recorded before this are adopted by
+            -- DISCORD_GUILD_ID (see GuildRepository.adoptUnassigned).
+            CREATE TABLE token_calls_by_guild (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                tweet_id TEXT NOT NULL,
+                token_address TEXT NOT NULL,
+                caller_id TEXT NOT NULL,
+                caller_username TEXT NOT NULL,
+                called_at INTEGER NOT NULL,
+                is_first_call INTEGER NOT NULL DEFAULT 0,
+                price_at_call REAL NOT NULL,
+                market_cap_at_call REAL,
+                last_price REAL,
+                max_price REAL,
+                last_priced_at INTEGER,
+                UNIQUE (guild_id, tweet_id, token_address)
+            );
+
+            INSERT INTO token_calls_by_guild (
+                id, tweet_id, token_address, caller_id, caller_username, called_at,
+                is_first_call, price_at_call, market_cap_at_call, last_price, max_price, last_priced_at
+            )
+            SELECT
+                id, tweet_id, token_address, caller_id, caller_username, called_at,
+                is_first_call, price_at_call, market_cap_at_call, last_price, max_price, last_priced_at
+            FROM token_calls;
+
+            DROP TABLE token_calls;
+            ALTER TABLE token_calls_by_guild RENAME TO token_calls;
+
+            CREATE INDEX idx_token_calls_guild_called_at ON token_calls (guild_id, called_at);
+            CREATE INDEX idx_token_calls_token ON token_calls (token_address);
+        `);
+    }
+};
@@ -4,6 +4,9 @@ const { Client, GatewayIntentBits } = require('discord.js');
 const TwitterMonitorBot = require('./core/TwitterMonitorBot');
 const BirdeyeService = require('./core/BirdeyeService');
 const HeliusService = require('./core/HeliusService');
+const Database = require('./database/Database');
+const WebhookServer = require('./core/WebhookServer');
+const WebhookQueue = require('./core/WebhookQueue');
 const config = require('./config/config');
 
 async function main() {
@@ -20,6 +23,10 @@ async function main() {
             ]
         });
 
+        // Open the SQLite store and apply pending migrations
+        const database = new Database(config.database);
+        database.open();
+
         // Initialize services
         const birdeyeService = new BirdeyeService(config.birdeye.apiKey);
         const heliusService = new HeliusService(config.helius.apiKey, birdeyeService, config);
@@ -29,12 +36,45 @@ async function main() {
             client,  // Pass the Discord client
             heliusService,
             birdeyeService,
+            database,
             config: config
         });
 
         // Start the bot
         await bot.start();
 
+        // Queue wallet transactions durably and deliver them one by one
+        const webhookQueue = new WebhookQueue({
+            database,
+            config,
+            handler: transaction => bot.processWalletTransaction(transaction)
+        });
+        webhookQueue.start();
+
+        // Receive Helius webhooks and inbound SMS, and expose a health route
+        const webhookServer = new WebhookServer({
+            config,
+            onHeliusTransactions: transactions => webhookQueue.enqueue(transactions),
+            onInboundSMS: message => bot.handleInboundSMS(message),
+            getHealthDetails: () => ({
+                discord: bot.client.isReady() ? 'ready' : 'not_ready',
+                queue: webhookQueue.getStats(),
+                walletSync: bot.walletSync.status,
+                tokenData: bot.tokenData.getHealth()
+            })
+        });
+        await webhookServer.start();
+
+        const shutdown = async (signal) => {
+            console.log(`[DEBUG] Received ${signal}, shutting down...`);
+            webhookQueue.stop();
+            await webhookServer.stop();
+            database.close();
+            process.exit(0);
+        };
+        process.once('SIGINT', () => shutdown('SIGINT'));
+        process.once('SIGTERM', () => shutdown('SIGTERM'));
+
     } catch (error) {
         console.error('❌ Fatal error:', error);
         process.exit(1);
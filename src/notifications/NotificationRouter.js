@@ -0,0 +1,99 @@
+const fs = require('fs');
+const { hasAnyTag, parseWalletTags } = require('../utils/walletTags');
+
+const EVENT_TYPES = ['tweet', 'vip_tweet', 'contract_call', 'wallet_swap', 'wallet_transfer', 'wallet_convergence', 'new_pair', 'token_watch'];
+
+// Single entry point for alert delivery. Producers dispatch typed events and
+// routing rules decide which transports receive them, so a new destination
+// is a new transport plus a rule rather than edits to every producer.
+//
+// event = {
+//     type,                                         // one of EVENT_TYPES
+//     targets: [{ guildId, message, walletTags }],  // Discord payload (and wallet tags) per guild
+//     text,                                         // plain-text body for SMS and webhooks
+//     data                                          // structured details (usdValue, ownerIds, walletTags, ...)
+// }
+class NotificationRouter {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.rules = dependencies.rules.map(rule => ({
+            ...rule,
+            ...(rule.walletTags && { walletTags: parseWalletTags(rule.walletTags) }),
+            ...(rule.excludeWalletTags && { excludeWalletTags: parseWalletTags(rule.excludeWalletTags) })
+        }));
+        this.transports = new Map();
+    }
+
+    validateDependencies(deps) {
+        if (!Array.isArray(deps.rules)) throw new Error('Notification rules required');
+    }
+
+    static loadRules(rulesPath) {
+        const { rules } = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+        if (!Array.isArray(rules)) {
+            throw new Error(`No "rules" array in ${rulesPath}`);
+        }
+        return rules;
+    }
+
+    registerTransport(transport) {
+        this.transports.set(transport.name, transport);
+    }
+
+    matches(rule, event) {
+        if (!rule.events.includes(event.type) && !rule.events.includes('*')) return false;
+        if (rule.minUsdValue && !(event.data?.usdValue >= rule.minUsdValue)) return false;
+        return true;
+    }
+
+    matchesWalletTags(rule, tags) {
+        if (rule.walletTags?.length > 0 && !hasAnyTag(tags, rule.walletTags)) return false;
+        if (rule.excludeWalletTags?.length > 0 && hasAnyTag(tags, rule.excludeWalletTags)) return false;
+        return true;
+    }
+
+    // The event as this rule should deliver it, or null when wallet tags rule
+    // it out. Events with targets keep the guilds whose tags match; the rest
+    // (e.g. the legacy webhook path) match on data.walletTags.
+    scopeToRule(rule, event) {
+        if (!rule.walletTags && !rule.excludeWalletTags) return event;
+
+        if (event.targets?.length > 0) {
+            const targets = event.targets.filter(target => this.matchesWalletTags(rule, target.walletTags || []));
+            return targets.length > 0 ? { ...event, targets } : null;
+        }
+        return this.matchesWalletTags(rule, event.data?.walletTags || []) ? event : null;
+    }
+
+    // Delivers to every matching rule. A failed delivery is logged and not
+    // re-thrown: the other rules have already delivered, and retrying the
+    // event would send their alerts again.
+    async dispatch(event) {
+        if (!EVENT_TYPES.includes(event.type)) {
+            throw new Error(`Unknown notification event: ${event.type}`);
+        }
+
+        for (const rule of this.rules.filter(rule => this.matches(rule, event))) {
+            const transport = this.transports.get(rule.transport);
+            if (!transport) {
+                console.log(`[DEBUG] No ${rule.transport} transport registered, skipping ${event.type}`);
+                continue;
+            }
+
+            const scoped = this.scopeToRule(rule, event);
+            if (!scoped) continue;
+
+            try {
+                await transport.send(scoped, rule);
+            } catch (error) {
+                const where = rule.channel || rule.channelId || rule.recipients || 'all';
+                console.error(`[ERROR] ${rule.transport} (${where}) delivery of ${event.type} failed:`, error.message);
+            }
+        }
+    }
+}
+
+NotificationRouter.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = NotificationRouter;
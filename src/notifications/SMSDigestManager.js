@@ -0,0 +1,170 @@
+const SMSDigestRepository = require('../database/SMSDigestRepository');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DIGEST_ITEM_LENGTH = 160;
+
+// Holds back SMS alerts during a subscriber's quiet hours or once they hit
+// their texts-per-hour cap, and sends what was held as a single digest once
+// neither applies. VIP tweets can break through if the subscriber opted in.
+// Held items are stored in SQLite so they survive a restart.
+class SMSDigestManager {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.repository = new SMSDigestRepository(dependencies.database);
+        this.config = dependencies.config.notifications.sms;
+        this.sendSMS = dependencies.sendSMS;
+        this.getSubscription = dependencies.getSubscription;
+        this.getSubscribers = dependencies.getSubscribers;
+
+        this.timer = null;
+        this.isFlushing = false;
+    }
+
+    validateDependencies(deps) {
+        if (!deps.database) throw new Error('Database required');
+        if (!deps.config?.notifications?.sms) throw new Error('SMS delivery configuration required');
+        if (typeof deps.sendSMS !== 'function') throw new Error('SMS sender required');
+        if (typeof deps.getSubscription !== 'function') throw new Error('Subscription lookup required');
+        if (typeof deps.getSubscribers !== 'function') throw new Error('SMS subscriber lookup required');
+    }
+
+    // 'HH:MM' -> minutes after midnight, or null
+    static parseTime(value) {
+        const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    }
+
+    static isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.flush(), this.config.flushIntervalMs);
+        console.log(`[DEBUG] SMS digests flushed every ${this.config.flushIntervalMs / 1000}s (${this.repository.countPending()} pending)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isQuietHours(subscription, now = Date.now()) {
+        const start = SMSDigestManager.parseTime(subscription.quietStart);
+        const end = SMSDigestManager.parseTime(subscription.quietEnd);
+        if (start === null || end === null || start === end) return false;
+
+        const [hour, minute] = new Intl.DateTimeFormat('en-GB', {
+            timeZone: subscription.timezone || 'UTC',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).format(new Date(now)).split(':').map(Number);
+        const minutes = hour * 60 + minute;
+
+        // Windows like 22:00-07:00 wrap past midnight
+        return start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    getHourlyCap(subscription) {
+        return subscription.maxSmsPerHour ?? this.config.maxPerHour;
+    }
+
+    // Why a text to this subscriber should be held right now, or null
+    getHoldReason(discordUserId, subscription, now) {
+        if (this.isQuietHours(subscription, now)) return 'quiet_hours';
+
+        const cap = this.getHourlyCap(subscription);
+        if (cap > 0 && this.repository.countSends(discordUserId, now - HOUR_MS) >= cap) return 'hourly_cap';
+
+        return null;
+    }
+
+    // Sends event.text now, or holds it for the next digest
+    async deliver(subscriber, event, now = Date.now()) {
+        const userId = subscriber.discord_user_id;
+        const subscription = this.getSubscription(userId);
+
+        const breakthrough = event.type === 'vip_tweet' && subscription.vipBreakthrough;
+        const holdReason = breakthrough ? null : this.getHoldReason(userId, subscription, now);
+        if (holdReason) {
+            this.repository.enqueue(userId, event.type, event.text, now);
+            console.log(`[DEBUG] Held ${event.type} SMS for ${userId} (${holdReason})`);
+            return false;
+        }
+
+        return this.send(subscriber, event.text, now);
+    }
+
+    async send(subscriber, message, now) {
+        const sent = await this.sendSMS(message, subscriber.phone, subscriber.discord_user_id);
+        if (sent) {
+            this.repository.recordSend(subscriber.discord_user_id, now);
+        }
+        return sent;
+    }
+
+    async flush(now = Date.now()) {
+        if (this.isFlushing) return;
+        this.isFlushing = true;
+
+        try {
+            const dropped = this.repository.prunePending(now - this.config.digestMaxAgeMs);
+            if (dropped > 0) {
+                console.log(`[DEBUG] Dropped ${dropped} SMS digest items older than ${this.config.digestMaxAgeMs / HOUR_MS}h`);
+            }
+            this.repository.pruneSends(now - 24 * HOUR_MS);
+
+            // Opted-out or paused subscribers keep their items until they
+            // are active again or the items age out
+            const subscribers = new Map((await this.getSubscribers()).map(subscriber => [subscriber.discord_user_id, subscriber]));
+
+            for (const userId of this.repository.getPendingUserIds()) {
+                const subscriber = subscribers.get(userId);
+                if (!subscriber) continue;
+                if (this.getHoldReason(userId, this.getSubscription(userId), now)) continue;
+
+                const items = this.repository.getPending(userId);
+                if (await this.send(subscriber, this.buildDigest(items), now)) {
+                    this.repository.deleteItems(items.map(item => item.id));
+                    console.log(`[DEBUG] Sent SMS digest of ${items.length} alerts to ${userId}`);
+                }
+            }
+        } catch (error) {
+            console.error('[ERROR] SMS digest flush failed:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    buildDigest(items) {
+        const header = `📬 kek-monitor digest: ${items.length} alert${items.length === 1 ? '' : 's'} while you were away`;
+        const lines = [];
+        let length = header.length;
+
+        for (const [index, item] of items.entries()) {
+            const text = item.message.replace(/\s+/g, ' ').trim();
+            const line = `• ${text.length > DIGEST_ITEM_LENGTH ? `${text.slice(0, DIGEST_ITEM_LENGTH - 1)}…` : text}`;
+
+            // Leave room for the "...and N more" trailer
+            if (length + line.length + 2 > this.config.digestMaxLength - 24) {
+                lines.push(`...and ${items.length - index} more`);
+                break;
+            }
+            lines.push(line);
+            length += line.length + 2;
+        }
+
+        return [header, ...lines].join('\n\n');
+    }
+}
+
+module.exports = SMSDigestManager;
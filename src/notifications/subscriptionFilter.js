@@ -0,0 +1,62 @@
+// Decides whether a user's alert subscription wants an event. Empty account
+// filters mean every monitored account; empty wallet filters mean only the
+// wallets the user added themselves, as before subscriptions existed. Which
+// servers' events a user may get at all is checked by the SMS transport.
+
+// What a user receives before they change anything with /subscriptions
+const DEFAULT_EVENT_TYPES = ['vip_tweet', 'contract_call', 'wallet_swap', 'wallet_transfer', 'wallet_convergence'];
+
+function isWalletEvent(event) {
+    return event.type === 'wallet_swap' || event.type === 'wallet_transfer' || event.type === 'wallet_convergence';
+}
+
+function isTweetEvent(event) {
+    return event.type === 'tweet' || event.type === 'vip_tweet' || event.type === 'contract_call';
+}
+
+/**
+ * @param {object} subscription SubscriptionRepository.getSubscription result
+ * @param {object} event NotificationRouter event
+ * @param {object} defaults { minUsdValue } used when the user has not set one
+ */
+function matchesSubscription(subscription, event, defaults = {}) {
+    const data = event.data || {};
+
+    const eventTypes = subscription.eventTypes || DEFAULT_EVENT_TYPES;
+    if (!eventTypes.includes(event.type)) return false;
+
+    if (isTweetEvent(event) && subscription.accounts.length > 0) {
+        if (!subscription.accounts.some(account => account.id === data.accountId)) return false;
+    }
+
+    if (isWalletEvent(event)) {
+        // Convergence alerts carry every wallet in the cluster
+        const addresses = data.walletAddresses || [data.walletAddress];
+        const watching = subscription.wallets.length > 0
+            ? subscription.wallets.some(wallet => addresses.includes(wallet.address))
+            : (data.ownerIds || []).includes(subscription.discordUserId);
+        if (!watching) return false;
+
+        const minUsdValue = subscription.minUsdValue ?? defaults.minUsdValue ?? 0;
+        if (!((data.usdValue || 0) >= minUsdValue)) return false;
+    }
+
+    // Watch alerts only go to whoever set the watch
+    if (event.type === 'token_watch' && !(data.ownerIds || []).includes(subscription.discordUserId)) return false;
+
+    // Contract calls pass if any mentioned token clears both floors
+    if (event.type === 'contract_call' && (subscription.minMarketCap || subscription.minLiquidity)) {
+        const passes = (data.tokens || []).some(token =>
+            (token.marketCap || 0) >= (subscription.minMarketCap || 0) &&
+            (token.liquidity || 0) >= (subscription.minLiquidity || 0)
+        );
+        if (!passes) return false;
+    }
+
+    return true;
+}
+
+module.exports = {
+    DEFAULT_EVENT_TYPES,
+    matchesSubscription
+};
@@ -0,0 +1,48 @@
+// Posts to the guild channel named by rule.channel (tweets, vip, solana, wallets, newpairs),
+// to the channel each target names when rule.channel is 'target' (/watch alerts),
+// or to the fixed channel rule.channelId for the target in that channel's guild.
+// rule.mention ('everyone' or 'here') pings, optionally only from rule.mentionMinUsdValue.
+class DiscordChannelTransport {
+    constructor(dependencies) {
+        if (typeof dependencies.getGuildChannels !== 'function') throw new Error('Guild channel resolver required');
+        if (typeof dependencies.getChannel !== 'function') throw new Error('Channel resolver required');
+
+        this.name = 'discord_channel';
+        this.getGuildChannels = dependencies.getGuildChannels;
+        this.getChannel = dependencies.getChannel;
+    }
+
+    async send(event, rule) {
+        if (rule.channelId) {
+            const channel = await this.getChannel(rule.channelId);
+            const target = channel && (event.targets || []).find(({ guildId }) => guildId === channel.guildId);
+            if (target) {
+                await channel.send(this.withMention(target.message, rule, event));
+            }
+            return;
+        }
+
+        for (const { guildId, channelId, message } of event.targets || []) {
+            const channel = rule.channel === 'target'
+                ? channelId && await this.getChannel(channelId)
+                : (await this.getGuildChannels(guildId))[rule.channel];
+            if (!channel) continue;
+
+            await channel.send(this.withMention(message, rule, event));
+        }
+    }
+
+    withMention(message, rule, event) {
+        const shouldMention = rule.mention &&
+            (!rule.mentionMinUsdValue || event.data?.usdValue >= rule.mentionMinUsdValue);
+        if (!shouldMention) return message;
+
+        return {
+            ...message,
+            content: [`@${rule.mention}`, message.content].filter(Boolean).join(' '),
+            allowedMentions: { parse: ['everyone'] }
+        };
+    }
+}
+
+module.exports = DiscordChannelTransport;
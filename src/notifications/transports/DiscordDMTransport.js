@@ -0,0 +1,26 @@
+// Direct-messages Discord users: rule.users lists IDs, or rule.recipients
+// 'wallet_owner' picks whoever added the wallet (event.data.ownerIds) and
+// 'watcher' the users whose /watch alerts come by DM (event.data.watcherIds).
+class DiscordDMTransport {
+    constructor(dependencies) {
+        if (!dependencies.client) throw new Error('Discord client required');
+
+        this.name = 'discord_dm';
+        this.client = dependencies.client;
+    }
+
+    async send(event, rule) {
+        const userIds = {
+            wallet_owner: event.data?.ownerIds,
+            watcher: event.data?.watcherIds
+        }[rule.recipients] || rule.users || [];
+        const message = event.targets?.[0]?.message || { content: event.text };
+
+        for (const userId of userIds) {
+            const user = await this.client.users.fetch(userId);
+            await user.send(message);
+        }
+    }
+}
+
+module.exports = DiscordDMTransport;
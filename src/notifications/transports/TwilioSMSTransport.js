@@ -0,0 +1,42 @@
+const { matchesSubscription } = require('../subscriptionFilter');
+
+// Texts event.text to SMS subscribers: rule.recipients is 'subscribers' (all
+// of them) or 'wallet_owner' (subscribers among event.data.ownerIds). Only
+// subscribers who are members of one of the event's target guilds qualify;
+// each recipient's own /subscriptions settings then decide if they get it,
+// and deliver() decides whether it goes out now or in a later digest.
+class TwilioSMSTransport {
+    constructor(dependencies) {
+        if (typeof dependencies.deliver !== 'function') throw new Error('SMS delivery required');
+        if (typeof dependencies.getSubscribers !== 'function') throw new Error('SMS subscriber lookup required');
+        if (typeof dependencies.getSubscription !== 'function') throw new Error('Subscription lookup required');
+        if (typeof dependencies.isMemberOfAny !== 'function') throw new Error('Guild membership lookup required');
+
+        this.name = 'sms';
+        this.deliver = dependencies.deliver;
+        this.getSubscribers = dependencies.getSubscribers;
+        this.getSubscription = dependencies.getSubscription;
+        this.isMemberOfAny = dependencies.isMemberOfAny;
+        this.defaults = dependencies.defaults || {};
+    }
+
+    async send(event, rule) {
+        let subscribers = await this.getSubscribers();
+        if (rule.recipients === 'wallet_owner') {
+            const ownerIds = new Set(event.data?.ownerIds || []);
+            subscribers = subscribers.filter(subscriber => ownerIds.has(subscriber.discord_user_id));
+        }
+
+        const guildIds = [...new Set((event.targets || []).map(target => target.guildId))];
+
+        for (const subscriber of subscribers) {
+            const subscription = this.getSubscription(subscriber.discord_user_id);
+            if (!matchesSubscription(subscription, event, this.defaults)) continue;
+            if (!(await this.isMemberOfAny(guildIds, subscriber.discord_user_id))) continue;
+
+            await this.deliver(subscriber, event);
+        }
+    }
+}
+
+module.exports = TwilioSMSTransport;
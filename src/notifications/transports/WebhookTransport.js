@@ -0,0 +1,26 @@
+const axios = require('axios');
+
+// POSTs the event as JSON to rule.url, or the default NOTIFICATION_WEBHOOK_URL.
+// Without either it does nothing, so a catch-all rule is safe to keep.
+class WebhookTransport {
+    constructor(dependencies = {}) {
+        this.name = 'webhook';
+        this.url = dependencies.url || '';
+        this.timeoutMs = dependencies.timeoutMs || 10000;
+    }
+
+    async send(event, rule) {
+        const url = rule.url || this.url;
+        if (!url) return;
+
+        await axios.post(url, {
+            type: event.type,
+            guildIds: (event.targets || []).map(target => target.guildId),
+            text: event.text,
+            data: event.data || {},
+            sentAt: new Date().toISOString()
+        }, { timeout: this.timeoutMs });
+    }
+}
+
+module.exports = WebhookTransport;
@@ -0,0 +1,32 @@
+// A source of token market data for TokenDataService. Implementations return
+// a partial token info object using the field names below, with null for
+// anything the source does not know, so another provider can fill it in:
+//
+// { address, name, symbol, logoURI, social,
+//   price, priceChange, priceChange1h, priceChange4h,
+//   marketCap, liquidity, volume24h, volumeChange24h,
+//   trades24h, buys24h, sells24h, buyRatio24h,
+//   holders, uniqueWallets24h, uniqueWallets1h, uniqueWalletChange1h,
+//   pairAddress, pairCreatedAt, dexId, url }
+//
+// A provider may also implement getTokenSecurity(address), resolving to the
+// Birdeye token_security shape or null.
+class TokenDataProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Resolves to null when the provider does not know the mint. Throws when
+    // the provider itself fails, which counts against its health.
+    async getTokenInfo(address) {
+        throw new Error(`${this.name} provider does not implement getTokenInfo`);
+    }
+
+    // Fields where this provider's value wins over providers listed before it,
+    // given what it returned for this mint
+    preferredFields(info) {
+        return [];
+    }
+}
+
+module.exports = TokenDataProvider;
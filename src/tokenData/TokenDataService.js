@@ -0,0 +1,181 @@
+// Token market data from every available provider, merged field by field.
+// For each field the first provider that prefers it and has a value wins,
+// otherwise the first provider (in registration order) with a value. A
+// provider that fails failureThreshold times in a row is skipped for
+// cooldownMs; the others carry on alone, and when all are cooling down all
+// are tried anyway.
+//
+// Merged results always carry every field (zeroed when no provider knows
+// it), plus sources: the providers that answered.
+
+const TOKEN_INFO_DEFAULTS = {
+    name: 'Unknown',
+    symbol: 'UNKNOWN',
+    logoURI: null,
+    social: {},
+    price: 0,
+    priceChange: 0,
+    priceChange1h: 0,
+    priceChange4h: 0,
+    marketCap: 0,
+    liquidity: 0,
+    volume24h: 0,
+    volumeChange24h: 0,
+    trades24h: 0,
+    buys24h: 0,
+    sells24h: 0,
+    buyRatio24h: 50,
+    holders: 0,
+    uniqueWallets24h: 0,
+    uniqueWallets1h: 0,
+    uniqueWalletChange1h: 0,
+    pairAddress: null,
+    pairCreatedAt: null,
+    dexId: null,
+    url: null
+};
+
+function hasValue(value) {
+    if (value === null || value === undefined || value === '' || value === 0) return false;
+    if (typeof value === 'object') return Object.keys(value).length > 0;
+    return true;
+}
+
+class TokenDataService {
+    constructor(dependencies) {
+        this.validateDependencies(dependencies);
+
+        this.providers = dependencies.providers;
+        this.config = dependencies.config.tokenData;
+
+        this.cache = new Map();      // address -> { at, data }
+        this.pending = new Map();    // address -> in-flight lookup
+        this.health = new Map(this.providers.map(provider => [provider.name, {
+            failures: 0,
+            lastError: null,
+            lastFailureAt: null,
+            lastSuccessAt: null,
+            downUntil: null
+        }]));
+    }
+
+    validateDependencies(deps) {
+        if (!Array.isArray(deps.providers) || deps.providers.length === 0) throw new Error('Token data providers required');
+        if (!deps.config?.tokenData) throw new Error('Token data configuration required');
+    }
+
+    isAvailable(provider, now = Date.now()) {
+        const { downUntil } = this.health.get(provider.name);
+        return !downUntil || downUntil <= now;
+    }
+
+    async getTokenInfo(address) {
+        const cached = this.cache.get(address);
+        if (cached && Date.now() - cached.at < this.config.cacheTtlMs) {
+            return cached.data;
+        }
+
+        // Concurrent lookups of one mint share a request
+        if (!this.pending.has(address)) {
+            this.pending.set(address, this.fetchTokenInfo(address).finally(() => this.pending.delete(address)));
+        }
+        return this.pending.get(address);
+    }
+
+    async fetchTokenInfo(address) {
+        const now = Date.now();
+        let providers = this.providers.filter(provider => this.isAvailable(provider, now));
+        if (providers.length === 0) providers = this.providers;
+
+        const results = await Promise.all(providers.map(async provider => {
+            try {
+                const info = await provider.getTokenInfo(address);
+                this.recordSuccess(provider);
+                return { provider, info };
+            } catch (error) {
+                this.recordFailure(provider, error);
+                return { provider, info: null };
+            }
+        }));
+
+        const found = results.filter(({ info }) => info);
+        if (found.length === 0) return null;
+
+        const data = this.merge(address, found);
+        this.prune(now);
+        this.cache.set(address, { at: now, data });
+        return data;
+    }
+
+    merge(address, found) {
+        const merged = { ...TOKEN_INFO_DEFAULTS, address, sources: found.map(({ provider }) => provider.name) };
+        const preferred = found.map(({ provider, info }) => new Set(provider.preferredFields(info)));
+        const fields = new Set(found.flatMap(({ info }) => Object.keys(info)));
+
+        for (const field of fields) {
+            const order = [
+                ...found.filter((result, index) => preferred[index].has(field)),
+                ...found.filter((result, index) => !preferred[index].has(field))
+            ];
+            const source = order.find(({ info }) => hasValue(info[field]));
+            if (source) merged[field] = source.info[field];
+        }
+        return merged;
+    }
+
+    // Security flags from the first available provider that has them
+    async getTokenSecurity(address) {
+        const providers = this.providers.filter(provider => typeof provider.getTokenSecurity === 'function');
+        const available = providers.filter(provider => this.isAvailable(provider));
+
+        for (const provider of available.length > 0 ? available : providers) {
+            const security = await provider.getTokenSecurity(address).catch(() => null);
+            if (security) return security;
+        }
+        return null;
+    }
+
+    recordSuccess(provider) {
+        const health = this.health.get(provider.name);
+        if (health.downUntil) {
+            console.log(`[DEBUG] Token data provider ${provider.name} recovered`);
+        }
+        health.failures = 0;
+        health.downUntil = null;
+        health.lastSuccessAt = new Date().toISOString();
+    }
+
+    recordFailure(provider, error) {
+        const health = this.health.get(provider.name);
+        health.failures++;
+        health.lastError = error.message;
+        health.lastFailureAt = new Date().toISOString();
+        console.error(`[ERROR] Token data provider ${provider.name} failed (${health.failures} in a row):`, error.message);
+
+        if (health.failures >= this.config.failureThreshold) {
+            health.downUntil = Date.now() + this.config.cooldownMs;
+            console.log(`[DEBUG] Skipping token data provider ${provider.name} for ${this.config.cooldownMs / 1000}s`);
+        }
+    }
+
+    prune(now) {
+        for (const [address, entry] of this.cache) {
+            if (now - entry.at >= this.config.cacheTtlMs) this.cache.delete(address);
+        }
+    }
+
+    // Per-provider health for the /health route
+    getHealth() {
+        const now = Date.now();
+        return Object.fromEntries(this.providers.map(provider => {
+            const { downUntil, ...health } = this.health.get(provider.name);
+            return [provider.name, {
+                ...health,
+                available: this.isAvailable(provider, now),
+                downUntil: downUntil ? new Date(downUntil).toISOString() : null
+            }];
+        }));
+    }
+}
+
+module.exports = TokenDataService;
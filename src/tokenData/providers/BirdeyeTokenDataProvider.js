@@ -0,0 +1,44 @@
+const TokenDataProvider = require('../TokenDataProvider');
+
+// Holder counts, wallet activity and socials only Birdeye has
+const PREFERRED_FIELDS = ['holders', 'uniqueWallets24h', 'uniqueWallets1h', 'uniqueWalletChange1h', 'social'];
+
+// Birdeye token overview and security. Its placeholder names and zeroed
+// metrics for fields it lacks are passed on as null.
+class BirdeyeTokenDataProvider extends TokenDataProvider {
+    constructor(dependencies) {
+        super('birdeye');
+        if (!dependencies.birdeyeService) throw new Error('BirdeyeService required');
+        this.birdeyeService = dependencies.birdeyeService;
+    }
+
+    async getTokenInfo(address) {
+        const info = await this.birdeyeService.fetchTokenInfo(address);
+        if (!info) return null;
+
+        const known = value => value || null;
+        return {
+            ...info,
+            address,
+            name: info.name !== 'Unknown' ? info.name : null,
+            symbol: info.symbol !== 'UNKNOWN' ? info.symbol : null,
+            price: known(info.price),
+            marketCap: known(info.marketCap),
+            liquidity: known(info.liquidity),
+            volume24h: known(info.volume24h),
+            holders: known(info.holders),
+            buyRatio24h: info.trades24h ? info.buyRatio24h : null,
+            logoURI: known(info.logoURI)
+        };
+    }
+
+    preferredFields() {
+        return PREFERRED_FIELDS;
+    }
+
+    getTokenSecurity(address) {
+        return this.birdeyeService.getTokenSecurity(address);
+    }
+}
+
+module.exports = BirdeyeTokenDataProvider;
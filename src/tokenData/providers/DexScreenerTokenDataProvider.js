@@ -0,0 +1,54 @@
+const TokenDataProvider = require('../TokenDataProvider');
+
+// Birdeye is often empty or behind on pools younger than this
+const NEW_POOL_AGE_MS = 24 * 60 * 60 * 1000;
+
+const PAIR_FIELDS = ['pairAddress', 'pairCreatedAt', 'dexId', 'url'];
+const NEW_POOL_FIELDS = ['price', 'marketCap', 'liquidity', 'volume24h'];
+
+// DexScreener's most active pair for the mint. It always wins for pair
+// details, and for price and liquidity while the pool is new.
+class DexScreenerTokenDataProvider extends TokenDataProvider {
+    constructor(dependencies) {
+        super('dexscreener');
+        if (!dependencies.dexScreenerService) throw new Error('DexScreenerService required');
+        this.dexScreenerService = dependencies.dexScreenerService;
+    }
+
+    async getTokenInfo(address) {
+        const pair = await this.dexScreenerService.fetchDexScreenerInfo(address);
+        if (!pair) return null;
+
+        const number = value => parseFloat(value) || null;
+        const buys = pair.txns?.h24?.buys || 0;
+        const sells = pair.txns?.h24?.sells || 0;
+
+        return {
+            address,
+            name: pair.name,
+            symbol: pair.symbol !== 'UNKNOWN' ? pair.symbol : null,
+            logoURI: pair.logoUrl,
+            price: number(pair.priceUsd),
+            priceChange: number(pair.priceChange?.h24),
+            priceChange1h: number(pair.priceChange?.h1),
+            marketCap: number(pair.marketCap),
+            liquidity: number(pair.liquidity?.usd),
+            volume24h: number(pair.volume?.h24),
+            trades24h: buys + sells || null,
+            buys24h: buys || null,
+            sells24h: sells || null,
+            buyRatio24h: buys + sells > 0 ? buys / (buys + sells) * 100 : null,
+            pairAddress: pair.pairAddress,
+            pairCreatedAt: pair.pairCreatedAt || null,
+            dexId: pair.dexId || null,
+            url: pair.url
+        };
+    }
+
+    preferredFields(info) {
+        const isNewPool = info.pairCreatedAt && Date.now() - info.pairCreatedAt < NEW_POOL_AGE_MS;
+        return isNewPool ? [...PAIR_FIELDS, ...NEW_POOL_FIELDS] : PAIR_FIELDS;
+    }
+}
+
+module.exports = DexScreenerTokenDataProvider;
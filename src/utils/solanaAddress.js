@@ -0,0 +1,160 @@
+// Solana address extraction for tweets. Candidates are base58-decoded and
+// only 32-byte public keys are kept, so URLs, hashtags and long words no
+// longer reach Birdeye.
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_MAP = new Map([...BASE58_ALPHABET].map((char, index) => [char, index]));
+
+const PUBLIC_KEY_BYTES = 32;
+const CANDIDATE_REGEX = /[1-9A-HJ-NP-Za-km-z]{32,44}/g;
+const URL_REGEX = /https?:\/\/[^\s]+/gi;
+
+// Quote mints that show up in swap links but are never the token being shilled
+const QUOTE_MINTS = new Set([
+    'So11111111111111111111111111111111111111112', // wSOL
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' // USDT
+]);
+
+// Hosts whose links carry a mint (or pair) address somewhere in the path or query
+const ADDRESS_LINK_HOSTS = [
+    'dexscreener.com',
+    'birdeye.so',
+    'pump.fun',
+    'solscan.io',
+    'jup.ag'
+];
+
+function decodeBase58(value) {
+    const bytes = [];
+
+    for (const char of value) {
+        let carry = BASE58_MAP.get(char);
+        if (carry === undefined) return null;
+
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+
+    // Leading '1's encode leading zero bytes
+    for (const char of value) {
+        if (char !== '1') break;
+        bytes.push(0);
+    }
+
+    return Uint8Array.from(bytes.reverse());
+}
+
+function isSolanaAddress(value) {
+    if (typeof value !== 'string' || value.length < 32 || value.length > 44) {
+        return false;
+    }
+    return decodeBase58(value)?.length === PUBLIC_KEY_BYTES;
+}
+
+// Addresses standing on their own in free text
+function extractFromText(text) {
+    const withoutUrls = text.replace(URL_REGEX, ' ');
+    const addresses = [];
+
+    for (const match of withoutUrls.matchAll(CANDIDATE_REGEX)) {
+        const before = withoutUrls[match.index - 1];
+        const after = withoutUrls[match.index + match[0].length];
+
+        // Part of a longer word or a hashtag, not a standalone address
+        if ((before && /[\w#]/.test(before)) || (after && /\w/.test(after))) continue;
+
+        // Long words and run-on phrases can decode to 32 bytes too; a random
+        // key has no digit only about once in 1,500, and links still match
+        if (!/\d/.test(match[0])) continue;
+
+        if (isSolanaAddress(match[0])) {
+            addresses.push(match[0]);
+        }
+    }
+    return addresses;
+}
+
+// Mint or pair address carried by a supported explorer / DEX link
+function extractFromUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return [];
+    }
+
+    const host = parsed.hostname.replace(/^www\./, '');
+    if (!ADDRESS_LINK_HOSTS.some(known => host === known || host.endsWith(`.${known}`))) {
+        return [];
+    }
+
+    // Covers /solana/<pair>, /token/<mint>, /coin/<mint>, /swap/SOL-<mint>, ?buy=<mint>
+    const parts = [
+        ...parsed.pathname.split(/[/-]/),
+        ...[...parsed.searchParams.values()].flatMap(value => value.split('-'))
+    ];
+
+    return parts.filter(part => isSolanaAddress(part) && !QUOTE_MINTS.has(part));
+}
+
+function extractFromTweetBody(text, entities) {
+    const results = [];
+
+    for (const address of extractFromText(text || '')) {
+        results.push({ address, source: 'text' });
+    }
+
+    // t.co hides the real link in the text, so prefer the expanded entity URLs
+    const urls = entities?.urls?.length > 0
+        ? entities.urls.map(entity => entity.unwound_url || entity.expanded_url || entity.url)
+        : (text || '').match(URL_REGEX) || [];
+
+    for (const url of urls) {
+        for (const address of extractFromUrl(url)) {
+            results.push({ address, source: 'url' });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Extract Solana addresses from a tweet, its links and the tweet it quotes.
+ * Returns [{ address, source }] with source 'text', 'url' or 'quoted_tweet';
+ * each address appears once, keeping the first source it was found in.
+ */
+function extractSolanaAddresses(tweet, includes = {}) {
+    const found = extractFromTweetBody(tweet.text, tweet.entities);
+
+    const quotedRef = tweet.referenced_tweets?.find(ref => ref.type === 'quoted');
+    const quotedTweet = quotedRef && includes.tweets?.find(t => t.id === quotedRef.id);
+    if (quotedTweet) {
+        for (const { address } of extractFromTweetBody(quotedTweet.text, quotedTweet.entities)) {
+            found.push({ address, source: 'quoted_tweet' });
+        }
+    }
+
+    const seen = new Set();
+    return found.filter(({ address }) => {
+        if (seen.has(address)) return false;
+        seen.add(address);
+        return true;
+    });
+}
+
+module.exports = {
+    decodeBase58,
+    isSolanaAddress,
+    extractFromText,
+    extractFromUrl,
+    extractSolanaAddresses,
+    QUOTE_MINTS
+};
@@ -0,0 +1,304 @@
+// Decodes a Helius enhanced SWAP transaction into what the tracked wallet
+// actually gave and got. Helius's own swap event is not reliable enough to
+// use directly (routes, bots and wrapped SOL all shape it differently), so
+// the wallet's net change per mint is rebuilt from tokenTransfers and
+// nativeTransfers:
+//
+// - native SOL and wSOL are one asset, and lamports moved between the wallet
+//   and its own token accounts (wrapping, unwrapping, ATA rent) are ignored
+// - intermediate hops of a multi-hop route never reach the wallet, or net to
+//   zero when they pass through it
+// - SOL sent to accounts that take no part in the token legs (platform,
+//   trading-bot and tip accounts, or Helius's reported fee accounts) is a fee,
+//   not part of the swap; the network fee is reported separately
+//
+// Amounts are in whole tokens (tokenTransfers are already UI amounts).
+
+const { QUOTE_MINTS } = require('./solanaAddress');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+
+// Symbols and decimals for the base tokens; any other mint is left to the caller
+const BASE_TOKENS = {
+    [WSOL_MINT]: { symbol: 'SOL', decimals: 9 },
+    EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', decimals: 6, usd: true },
+    Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: { symbol: 'USDT', decimals: 6, usd: true }
+};
+
+// Below this a net change is float noise from in-and-out hops
+const DUST = 1e-9;
+
+// Rent-exempt minimum of a token account, refunded when one is closed
+const ATA_RENT_SOL = 0.00203928;
+
+// Token accounts owned by the wallet, as seen in this transaction
+function findWalletTokenAccounts(transaction, walletAddress) {
+    const accounts = new Set();
+
+    for (const transfer of transaction.tokenTransfers || []) {
+        if (transfer.fromUserAccount === walletAddress && transfer.fromTokenAccount) accounts.add(transfer.fromTokenAccount);
+        if (transfer.toUserAccount === walletAddress && transfer.toTokenAccount) accounts.add(transfer.toTokenAccount);
+    }
+    for (const entry of transaction.accountData || []) {
+        for (const change of entry.tokenBalanceChanges || []) {
+            if (change.userAccount === walletAddress && change.tokenAccount) accounts.add(change.tokenAccount);
+        }
+    }
+    return accounts;
+}
+
+// Accounts on the other side of the wallet's token legs (pools, bonding curves)
+function findCounterparties(transaction, walletAddress) {
+    const accounts = new Set();
+
+    for (const transfer of transaction.tokenTransfers || []) {
+        for (const account of [transfer.fromUserAccount, transfer.toUserAccount]) {
+            if (account && account !== walletAddress) accounts.add(account);
+        }
+    }
+    return accounts;
+}
+
+// Accounts Helius itself reports as taking a fee in the swap event
+function findReportedFeeAccounts(transaction) {
+    const swapEvent = transaction.events?.swap;
+    const accounts = new Set();
+
+    for (const event of [swapEvent, ...(swapEvent?.innerSwaps || [])].filter(Boolean)) {
+        for (const fee of [...(event.nativeFees || []), ...(event.tokenFees || [])]) {
+            if (fee.account) accounts.add(fee.account);
+            if (fee.userAccount) accounts.add(fee.userAccount);
+        }
+    }
+    return accounts;
+}
+
+function findDecimals(transaction, mint) {
+    if (BASE_TOKENS[mint]) return BASE_TOKENS[mint].decimals;
+
+    for (const entry of transaction.accountData || []) {
+        for (const change of entry.tokenBalanceChanges || []) {
+            if (change.mint === mint && change.rawTokenAmount?.decimals !== undefined) {
+                return change.rawTokenAmount.decimals;
+            }
+        }
+    }
+    return null;
+}
+
+// DEX programs along the route, in order, when Helius reports them
+function findRoute(transaction) {
+    const swapEvent = transaction.events?.swap;
+    const route = (swapEvent?.innerSwaps || [])
+        .map(innerSwap => innerSwap.programInfo?.source)
+        .filter(Boolean);
+
+    if (route.length === 0 && transaction.source) route.push(transaction.source);
+    return route.filter((source, index) => route.indexOf(source) === index);
+}
+
+/**
+ * Net change per mint for walletAddress, SOL folded into the wSOL mint.
+ * Returns { deltas: Map<mint, amount>, fees: [{ account, amount }], ownAccountSol }
+ * with fees and ownAccountSol (SOL parked in the wallet's own token
+ * accounts) in SOL.
+ */
+function computeNetChanges(transaction, walletAddress) {
+    const deltas = new Map();
+    const add = (mint, amount) => deltas.set(mint, (deltas.get(mint) || 0) + amount);
+
+    for (const transfer of transaction.tokenTransfers || []) {
+        const amount = Number(transfer.tokenAmount) || 0;
+        if (!transfer.mint || amount === 0) continue;
+        if (transfer.toUserAccount === walletAddress) add(transfer.mint, amount);
+        if (transfer.fromUserAccount === walletAddress) add(transfer.mint, -amount);
+    }
+
+    const ownAccounts = findWalletTokenAccounts(transaction, walletAddress);
+    const counterparties = findCounterparties(transaction, walletAddress);
+    const reportedFeeAccounts = findReportedFeeAccounts(transaction);
+    const fees = new Map();
+    let ownAccountSol = 0;
+
+    for (const transfer of transaction.nativeTransfers || []) {
+        const amount = (Number(transfer.amount) || 0) / LAMPORTS_PER_SOL;
+        if (amount === 0) continue;
+
+        if (transfer.fromUserAccount === walletAddress && ownAccounts.has(transfer.toUserAccount)) {
+            ownAccountSol += amount;
+        } else if (transfer.toUserAccount === walletAddress && ownAccounts.has(transfer.fromUserAccount)) {
+            ownAccountSol -= amount;
+        } else if (transfer.toUserAccount === walletAddress) {
+            add(WSOL_MINT, amount);
+        } else if (transfer.fromUserAccount === walletAddress) {
+            const recipient = transfer.toUserAccount;
+            if (reportedFeeAccounts.has(recipient) || !counterparties.has(recipient)) {
+                fees.set(recipient, (fees.get(recipient) || 0) + amount);
+            } else {
+                add(WSOL_MINT, -amount);
+            }
+        }
+    }
+
+    for (const [mint, amount] of deltas) {
+        if (Math.abs(amount) < DUST) deltas.delete(mint);
+    }
+
+    return {
+        deltas,
+        fees: [...fees].map(([account, amount]) => ({ account, amount })),
+        ownAccountSol
+    };
+}
+
+// Some programs (pump.fun sells among them) pay out SOL by editing lamports
+// directly, which never shows up as a native transfer. When no SOL leg was
+// found, the wallet's balance change with the network fee, fees and SOL moved
+// into its own token accounts added back stands in for it; anything within ATA
+// rent of zero is treated as no change.
+function nativeBalanceChange(transaction, walletAddress, networkFee, fees, ownAccountSol) {
+    const entry = (transaction.accountData || []).find(account => account.account === walletAddress);
+    if (!entry?.nativeBalanceChange) return 0;
+
+    const change = entry.nativeBalanceChange / LAMPORTS_PER_SOL +
+        networkFee +
+        fees.reduce((sum, fee) => sum + fee.amount, 0) +
+        ownAccountSol;
+    return Math.abs(change) > ATA_RENT_SOL ? change : 0;
+}
+
+// First entry of the given mint list in base-token order (SOL, USDC, USDT)
+function pickBase(mints) {
+    return Object.keys(BASE_TOKENS).find(mint => mints.includes(mint)) || null;
+}
+
+// Largest leg by amount among mints that are not base tokens
+function pickToken(mints, deltas) {
+    return mints
+        .filter(mint => !QUOTE_MINTS.has(mint))
+        .sort((a, b) => Math.abs(deltas.get(b)) - Math.abs(deltas.get(a)))[0] || null;
+}
+
+function toLeg(transaction, mint, amount) {
+    return {
+        mint,
+        amount: Math.abs(amount),
+        symbol: BASE_TOKENS[mint]?.symbol || null,
+        decimals: findDecimals(transaction, mint),
+        usdValue: BASE_TOKENS[mint]?.usd ? Math.abs(amount) : null
+    };
+}
+
+/**
+ * Decode a SWAP transaction for walletAddress (defaults to the fee payer).
+ * side is 'buy' (base token out, other token in), 'sell' (the reverse) or
+ * 'swap' (token to token, or base to base). usdValue comes from the USDC /
+ * USDT leg, or the SOL leg when options.solPrice is given; otherwise null.
+ * Returns null when the wallet did not both send and receive something.
+ */
+function decodeSwap(transaction, walletAddress = transaction?.feePayer, options = {}) {
+    if (!transaction || !walletAddress) return null;
+
+    const { deltas, fees, ownAccountSol } = computeNetChanges(transaction, walletAddress);
+    const networkFee = transaction.feePayer === walletAddress ? (Number(transaction.fee) || 0) / LAMPORTS_PER_SOL : 0;
+    if (!deltas.has(WSOL_MINT)) {
+        const solChange = nativeBalanceChange(transaction, walletAddress, networkFee, fees, ownAccountSol);
+        if (solChange !== 0) deltas.set(WSOL_MINT, solChange);
+    }
+
+    const outMints = [...deltas.keys()].filter(mint => deltas.get(mint) < 0);
+    const inMints = [...deltas.keys()].filter(mint => deltas.get(mint) > 0);
+    if (outMints.length === 0 || inMints.length === 0) return null;
+
+    let side = 'swap';
+    let sentMint = pickToken(outMints, deltas) || pickBase(outMints);
+    let receivedMint = pickToken(inMints, deltas) || pickBase(inMints);
+
+    const baseOut = pickBase(outMints);
+    const baseIn = pickBase(inMints);
+    if (baseOut && pickToken(inMints, deltas)) {
+        side = 'buy';
+        sentMint = baseOut;
+    } else if (baseIn && pickToken(outMints, deltas)) {
+        side = 'sell';
+        receivedMint = baseIn;
+    }
+
+    const tokenSent = toLeg(transaction, sentMint, deltas.get(sentMint));
+    const tokenReceived = toLeg(transaction, receivedMint, deltas.get(receivedMint));
+
+    if (options.solPrice) {
+        for (const leg of [tokenSent, tokenReceived]) {
+            if (leg.mint === WSOL_MINT) leg.usdValue = leg.amount * options.solPrice;
+        }
+    }
+
+    // Value the swap by its base leg, else whichever leg has a value
+    const baseLeg = side === 'buy' ? tokenSent : side === 'sell' ? tokenReceived : null;
+    const usdValue = baseLeg?.usdValue ?? tokenSent.usdValue ?? tokenReceived.usdValue ?? null;
+
+    return {
+        signature: transaction.signature,
+        timestamp: transaction.timestamp,
+        wallet: walletAddress,
+        type: 'SWAP',
+        side,
+        baseMint: side === 'buy' ? sentMint : side === 'sell' ? receivedMint : null,
+        tokenSent,
+        tokenReceived,
+        usdValue,
+        // Every mint the wallet's balance moved in, signed
+        deltas: [...deltas].map(([mint, amount]) => ({ mint, amount })),
+        networkFee,
+        fees,
+        feeTotal: networkFee + fees.reduce((sum, fee) => sum + fee.amount, 0),
+        route: findRoute(transaction)
+    };
+}
+
+/**
+ * Decode any other transaction (transfers, airdrops, ...) into what
+ * walletAddress sent and received, as lists of legs like decodeSwap's. With
+ * no token legs there is no swap counterparty, so SOL that computeNetChanges
+ * books as fees is what the wallet sent. SOL legs are valued when
+ * options.solPrice is given.
+ */
+function decodeTransfer(transaction, walletAddress = transaction?.feePayer, options = {}) {
+    if (!transaction || !walletAddress) return null;
+
+    const { deltas, fees } = computeNetChanges(transaction, walletAddress);
+    const solSent = fees.reduce((sum, fee) => sum + fee.amount, 0);
+    const solChange = (deltas.get(WSOL_MINT) || 0) - solSent;
+
+    // Rent for a token account opened for the recipient is not part of the transfer
+    const hasTokenLegs = [...deltas.keys()].some(mint => mint !== WSOL_MINT);
+    const isRent = hasTokenLegs && Math.abs(solChange) <= ATA_RENT_SOL + DUST;
+    if (Math.abs(solChange) >= DUST && !isRent) {
+        deltas.set(WSOL_MINT, solChange);
+    } else {
+        deltas.delete(WSOL_MINT);
+    }
+
+    const legs = [...deltas].map(([mint, amount]) => {
+        const leg = toLeg(transaction, mint, amount);
+        if (mint === WSOL_MINT && options.solPrice) leg.usdValue = leg.amount * options.solPrice;
+        return { leg, amount };
+    });
+
+    return {
+        signature: transaction.signature,
+        timestamp: transaction.timestamp,
+        wallet: walletAddress,
+        type: transaction.type || 'UNKNOWN',
+        sent: legs.filter(({ amount }) => amount < 0).map(({ leg }) => leg),
+        received: legs.filter(({ amount }) => amount > 0).map(({ leg }) => leg)
+    };
+}
+
+module.exports = {
+    decodeSwap,
+    decodeTransfer,
+    computeNetChanges,
+    WSOL_MINT
+};
@@ -0,0 +1,33 @@
+require('dotenv').config();
+
+const { Client, GatewayIntentBits } = require('discord.js');
+const CommandSync = require('../core/CommandSync');
+const { loadCommands } = require('../commands');
+const config = require('../config/config');
+
+// npm run sync-commands -- [--dry-run] [--global | --guild]
+async function syncCommands() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const scope = args.includes('--global') ? 'global'
+        : args.includes('--guild') ? 'guild'
+        : config.discord.commandScope;
+
+    const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+
+    try {
+        const ready = new Promise(resolve => client.once('ready', resolve));
+        await client.login(config.discord.token);
+        await ready;
+
+        const commandSync = new CommandSync({ client, commands: loadCommands(), config });
+        await commandSync.sync({ scope, dryRun });
+    } catch (error) {
+        console.error('Error:', error);
+        process.exitCode = 1;
+    } finally {
+        client.destroy();
+    }
+}
+
+syncCommands();
@@ -0,0 +1,22 @@
+// Red flags in a Birdeye token_security result, used to keep low-quality new
+// pairs out of /newpairs and the new pair feed. rules.maxTop10HolderShare is
+// a fraction (0.5 = 50%) of supply held by the top 10 wallets, not counting
+// program-owned accounts such as the pool's own vault where Birdeye says so.
+// A freeze authority is flagged unless rules.requireFreezeRevoked is false.
+
+function getSecurityIssues(security, rules = {}) {
+    const issues = [];
+
+    if (rules.requireFreezeRevoked !== false && (security.freezeable || security.freezeAuthority)) issues.push('freeze authority not revoked');
+    if (security.transferFeeEnable) issues.push('transfer fee');
+    if (security.nonTransferable) issues.push('non-transferable');
+    const top10Share = security.top10UserPercent ?? security.top10HolderPercent;
+    if (rules.maxTop10HolderShare !== undefined && top10Share > rules.maxTop10HolderShare) {
+        issues.push(`top 10 holders own ${(top10Share * 100).toFixed(0)}%`);
+    }
+    return issues;
+}
+
+module.exports = {
+    getSecurityIssues
+};
@@ -0,0 +1,32 @@
+// Wallet tags ("smart money", "dev", "kol", ...) are free-form but stored
+// normalized, so rules, filters and wallets.json all compare the same way.
+// The wallets carrying a tag form that tag's group.
+
+const MAX_TAG_LENGTH = 24;
+const MAX_TAGS_PER_WALLET = 10;
+
+function normalizeWalletTag(tag) {
+    const normalized = String(tag || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9 _-]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return normalized.slice(0, MAX_TAG_LENGTH).trim();
+}
+
+// Accepts an array or a comma-separated string; returns unique normalized tags
+function parseWalletTags(input) {
+    const values = Array.isArray(input) ? input : String(input || '').split(',');
+    return [...new Set(values.map(normalizeWalletTag).filter(Boolean))].slice(0, MAX_TAGS_PER_WALLET);
+}
+
+function hasAnyTag(tags, wanted) {
+    return (tags || []).some(tag => wanted.includes(tag));
+}
+
+module.exports = {
+    normalizeWalletTag,
+    parseWalletTags,
+    hasAnyTag,
+    MAX_TAGS_PER_WALLET
+};
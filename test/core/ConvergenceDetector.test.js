@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ConvergenceDetector = require('../../src/core/ConvergenceDetector');
+
+const MINUTE = 60 * 1000;
+const MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+function createDetector() {
+    return new ConvergenceDetector({
+        config: { convergence: { minWallets: 3, windowMs: 30 * MINUTE, minBuyUsd: 500 } }
+    });
+}
+
+function buy(walletAddress, at, overrides = {}) {
+    return { mint: MINT, symbol: 'BONK', walletAddress, usdValue: 1000, signature: `${walletAddress}-${at}`, at, ...overrides };
+}
+
+const guildWallets = new Set(['w1', 'w2', 'w3', 'w4']);
+
+test('alerts once minWallets distinct wallets buy within the window', () => {
+    const detector = createDetector();
+    const start = 1_000_000;
+
+    detector.recordBuy(buy('w1', start), start);
+    detector.recordBuy(buy('w1', start + MINUTE), start + MINUTE);
+    detector.recordBuy(buy('w2', start + 2 * MINUTE), start + 2 * MINUTE);
+    assert.strictEqual(detector.getConvergence('guild-1', MINT, guildWallets, start + 2 * MINUTE), null);
+
+    detector.recordBuy(buy('w3', start + 3 * MINUTE, { usdValue: 4000 }), start + 3 * MINUTE);
+    const cluster = detector.getConvergence('guild-1', MINT, guildWallets, start + 3 * MINUTE);
+
+    assert.deepStrictEqual(cluster.wallets.map(wallet => wallet.address), ['w3', 'w1', 'w2']);
+    assert.strictEqual(cluster.wallets[1].buys, 2);
+    assert.strictEqual(cluster.totalUsd, 7000);
+    assert.strictEqual(cluster.symbol, 'BONK');
+    assert.strictEqual(cluster.firstAt, start);
+    assert.strictEqual(cluster.lastAt, start + 3 * MINUTE);
+});
+
+test('a scope is alerted once per window, other scopes independently', () => {
+    const detector = createDetector();
+    const now = 1_000_000;
+    ['w1', 'w2', 'w3'].forEach(wallet => detector.recordBuy(buy(wallet, now), now));
+
+    assert.ok(detector.getConvergence('guild-1', MINT, guildWallets, now));
+    assert.strictEqual(detector.getConvergence('guild-1', MINT, guildWallets, now + MINUTE), null);
+    assert.ok(detector.getConvergence('guild-2', MINT, guildWallets, now + MINUTE));
+});
+
+test('only the scope\'s own wallets count toward a cluster', () => {
+    const detector = createDetector();
+    const now = 1_000_000;
+    ['w1', 'w2', 'other'].forEach(wallet => detector.recordBuy(buy(wallet, now), now));
+
+    assert.strictEqual(detector.getConvergence('guild-1', MINT, guildWallets, now), null);
+});
+
+test('buys older than the window are forgotten, and so is the alert', () => {
+    const detector = createDetector();
+    const start = 1_000_000;
+    ['w1', 'w2', 'w3'].forEach(wallet => detector.recordBuy(buy(wallet, start), start));
+    assert.ok(detector.getConvergence('guild-1', MINT, guildWallets, start));
+
+    const later = start + 31 * MINUTE;
+    detector.recordBuy(buy('w4', later), later);
+    assert.strictEqual(detector.getConvergence('guild-1', MINT, guildWallets, later), null);
+
+    ['w1', 'w2'].forEach(wallet => detector.recordBuy(buy(wallet, later), later));
+    assert.ok(detector.getConvergence('guild-1', MINT, guildWallets, later));
+});
+
+test('small buys and repeated signatures are ignored', () => {
+    const detector = createDetector();
+    const now = 1_000_000;
+
+    assert.strictEqual(detector.recordBuy(buy('w1', now, { usdValue: 499 }), now), false);
+    assert.strictEqual(detector.recordBuy(buy('w1', now, { usdValue: null }), now), false);
+    assert.strictEqual(detector.recordBuy(buy('w2', now), now), true);
+    assert.strictEqual(detector.recordBuy(buy('w2', now), now), false);
+    assert.strictEqual(detector.buys.get(MINT).length, 1);
+});
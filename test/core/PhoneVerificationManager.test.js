@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Database = require('../../src/database/Database');
+const PhoneVerificationManager = require('../../src/core/PhoneVerificationManager');
+
+const PHONE = '+15551234567';
+const MINUTE = 60 * 1000;
+
+function createManager(overrides = {}) {
+    const database = new Database({ path: ':memory:' });
+    database.open();
+    const sent = [];
+    const manager = new PhoneVerificationManager({
+        database,
+        config: {
+            twilio: {
+                verification: {
+                    codeTtlMs: 10 * MINUTE,
+                    maxAttempts: 3,
+                    maxCodesPerHour: 2,
+                    maxFailedPerHour: 5,
+                    ...overrides
+                }
+            }
+        },
+        sendCode: async (phone, message) => sent.push({ phone, code: message.match(/code is (\d{6})/)[1] })
+    });
+    return { manager, sent };
+}
+
+test('normalizePhone strips formatting and only accepts E.164 numbers', () => {
+    assert.strictEqual(PhoneVerificationManager.normalizePhone('+1 (555) 123-4567'), PHONE);
+    assert.strictEqual(PhoneVerificationManager.normalizePhone('5551234567'), null);
+    assert.strictEqual(PhoneVerificationManager.normalizePhone('+0123456789'), null);
+    assert.strictEqual(PhoneVerificationManager.normalizePhone(''), null);
+});
+
+test('the code sent by SMS verifies the number once', async () => {
+    const { manager, sent } = createManager();
+    const now = 1_000_000;
+
+    const started = await manager.startVerification('user-1', '+1 555 123 4567', now);
+    assert.deepStrictEqual(started, { ok: true, phone: PHONE, expiresAt: now + 10 * MINUTE });
+    assert.strictEqual(sent[0].phone, PHONE);
+
+    assert.deepStrictEqual(manager.verify('user-1', ` ${sent[0].code} `, now + MINUTE), { ok: true, phone: PHONE });
+    assert.deepStrictEqual(manager.verify('user-1', sent[0].code, now + MINUTE), { ok: false, reason: 'no_pending' });
+});
+
+test('codes are bound to the user who requested them', async () => {
+    const { manager, sent } = createManager();
+    await manager.startVerification('user-1', PHONE, 1_000_000);
+
+    assert.deepStrictEqual(manager.verify('user-2', sent[0].code, 1_000_000), { ok: false, reason: 'no_pending' });
+});
+
+test('expired codes are rejected and cleared', async () => {
+    const { manager, sent } = createManager();
+    const now = 1_000_000;
+    await manager.startVerification('user-1', PHONE, now);
+
+    assert.deepStrictEqual(manager.verify('user-1', sent[0].code, now + 11 * MINUTE), { ok: false, reason: 'expired' });
+    assert.deepStrictEqual(manager.verify('user-1', sent[0].code, now + 11 * MINUTE), { ok: false, reason: 'no_pending' });
+});
+
+test('wrong codes count down the attempts, then the pending code is dropped', async () => {
+    const { manager, sent } = createManager();
+    const now = 1_000_000;
+    await manager.startVerification('user-1', PHONE, now);
+    const wrong = sent[0].code === '000000' ? '111111' : '000000';
+
+    assert.deepStrictEqual(manager.verify('user-1', wrong, now), { ok: false, reason: 'wrong_code', attemptsLeft: 2 });
+    assert.deepStrictEqual(manager.verify('user-1', wrong, now), { ok: false, reason: 'wrong_code', attemptsLeft: 1 });
+    assert.deepStrictEqual(manager.verify('user-1', wrong, now), { ok: false, reason: 'too_many_attempts' });
+    assert.deepStrictEqual(manager.verify('user-1', sent[0].code, now), { ok: false, reason: 'no_pending' });
+});
+
+test('code sends are rate limited per user and per number', async () => {
+    const { manager } = createManager();
+    const now = 1_000_000;
+
+    assert.strictEqual((await manager.startVerification('user-1', PHONE, now)).ok, true);
+    assert.strictEqual((await manager.startVerification('user-1', PHONE, now)).ok, true);
+    assert.deepStrictEqual(await manager.startVerification('user-1', '+15557654321', now), { ok: false, reason: 'rate_limited' });
+    assert.deepStrictEqual(await manager.startVerification('user-2', PHONE, now), { ok: false, reason: 'rate_limited' });
+
+    // The hourly window slides
+    assert.strictEqual((await manager.startVerification('user-1', PHONE, now + 61 * MINUTE)).ok, true);
+});
+
+test('too many failures in an hour lock the user out of sending and verifying', async () => {
+    const { manager, sent } = createManager({ maxAttempts: 10, maxFailedPerHour: 3, maxCodesPerHour: 10 });
+    const now = 1_000_000;
+    await manager.startVerification('user-1', PHONE, now);
+    const wrong = sent[0].code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 3; i++) manager.verify('user-1', wrong, now);
+
+    assert.deepStrictEqual(manager.verify('user-1', sent[0].code, now), { ok: false, reason: 'locked_out' });
+    assert.deepStrictEqual(await manager.startVerification('user-1', PHONE, now), { ok: false, reason: 'locked_out' });
+
+    // Once the failures age out of the hour a new code can be requested
+    const later = now + 61 * MINUTE;
+    assert.strictEqual((await manager.startVerification('user-1', PHONE, later)).ok, true);
+    assert.strictEqual(manager.verify('user-1', sent[1].code, later).ok, true);
+});
+
+test('a failed send does not leave a pending code or use up the hourly allowance', async () => {
+    const { manager } = createManager({ maxCodesPerHour: 1 });
+    manager.sendCode = async () => {
+        throw new Error('Twilio unavailable');
+    };
+
+    await assert.rejects(manager.startVerification('user-1', PHONE, 1_000_000), /Twilio unavailable/);
+    assert.deepStrictEqual(manager.verify('user-1', '123456', 1_000_000), { ok: false, reason: 'no_pending' });
+
+    manager.sendCode = async () => {};
+    assert.strictEqual((await manager.startVerification('user-1', PHONE, 1_000_000)).ok, true);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Database = require('../../src/database/Database');
+const ReadBudgetManager = require('../../src/core/ReadBudgetManager');
+
+function openDatabase() {
+    const database = new Database({ path: ':memory:' });
+    database.open();
+    return database;
+}
+
+function createManager(database = openDatabase(), overrides = {}) {
+    return new ReadBudgetManager({
+        database,
+        config: {
+            twitter: {
+                readBudget: {
+                    monthlyLimit: 1000,
+                    resetDay: 15,
+                    warningThresholds: [0.5, 0.8, 0.95],
+                    vipOnlyThreshold: 0.95,
+                    ...overrides
+                }
+            }
+        }
+    });
+}
+
+function collectWarnings(manager) {
+    const warnings = [];
+    manager.on('threshold', status => warnings.push(status.threshold));
+    return warnings;
+}
+
+test('each warning threshold is emitted once, when usage first crosses it', () => {
+    const manager = createManager();
+    const warnings = collectWarnings(manager);
+
+    manager.recordReads(499);
+    assert.deepStrictEqual(warnings, []);
+
+    manager.recordReads(1);
+    manager.recordReads(100);
+    assert.deepStrictEqual(warnings, [0.5]);
+
+    manager.recordReads(200);
+    assert.deepStrictEqual(warnings, [0.5, 0.8]);
+});
+
+test('a jump past several thresholds only emits the highest one', () => {
+    const manager = createManager();
+    const warnings = collectWarnings(manager);
+
+    manager.recordReads(960);
+
+    assert.deepStrictEqual(warnings, [0.95]);
+});
+
+test('warnings already sent are remembered across restarts', () => {
+    const database = openDatabase();
+    createManager(database).recordReads(600);
+
+    const restarted = createManager(database);
+    const warnings = collectWarnings(restarted);
+    restarted.recordReads(10);
+    restarted.recordReads(200);
+
+    assert.deepStrictEqual(warnings, [0.8]);
+    assert.strictEqual(restarted.getStatus().used, 810);
+});
+
+test('the billing period starts on the reset day, in the previous month before it', () => {
+    const manager = createManager();
+
+    assert.strictEqual(manager.getPeriodKey(new Date('2026-03-20T12:00:00Z')), '2026-03-15');
+    assert.strictEqual(manager.getPeriodKey(new Date('2026-03-15T00:00:00Z')), '2026-03-15');
+    assert.strictEqual(manager.getPeriodKey(new Date('2026-03-14T23:59:59Z')), '2026-02-15');
+    assert.strictEqual(manager.getPeriodKey(new Date('2026-01-02T00:00:00Z')), '2025-12-15');
+    assert.strictEqual(manager.getResetDate(new Date('2026-12-20T00:00:00Z')).toISOString(), '2027-01-15T00:00:00.000Z');
+});
+
+test('reset days past the 28th are clamped so every month has one', () => {
+    const manager = createManager(openDatabase(), { resetDay: 31 });
+
+    assert.strictEqual(manager.getPeriodKey(new Date('2026-03-01T00:00:00Z')), '2026-02-28');
+});
+
+test('reads from the previous period do not count against the new one', () => {
+    const manager = createManager();
+    const previousPeriod = manager.getPeriodStart();
+    previousPeriod.setUTCMonth(previousPeriod.getUTCMonth() - 1);
+    manager.repository.addReads(previousPeriod.toISOString().slice(0, 10), 1000);
+    manager.repository.setWarnedThreshold(previousPeriod.toISOString().slice(0, 10), 0.95);
+
+    const warnings = collectWarnings(manager);
+    manager.recordReads(500);
+
+    assert.strictEqual(manager.getStatus().used, 500);
+    assert.deepStrictEqual(warnings, [0.5]);
+});
+
+test('polling keeps the base interval while the budget allows it', () => {
+    const manager = createManager(openDatabase(), { monthlyLimit: 10000000 });
+    manager.recordReads(10);
+    manager.completeCycle();
+
+    assert.strictEqual(manager.getPollingInterval(60000), 60000);
+});
+
+test('polling stretches to spread the remaining budget until the reset', () => {
+    const manager = createManager();
+    manager.recordReads(100);
+    manager.completeCycle();
+
+    const msUntilReset = manager.getResetDate() - Date.now();
+    const interval = manager.getPollingInterval(60000);
+
+    // 900 reads left at 100 per cycle: 9 cycles until the reset
+    assert.ok(Math.abs(interval - Math.max(msUntilReset / 9, 60000)) < 1000);
+});
+
+test('an exhausted budget waits for the reset, capped at the longest timer delay', () => {
+    const manager = createManager();
+    manager.recordReads(1000);
+
+    const interval = manager.getPollingInterval(60000);
+    const msUntilReset = manager.getResetDate() - Date.now();
+
+    assert.strictEqual(manager.getStatus().remaining, 0);
+    assert.ok(interval <= 2 ** 31 - 1);
+    assert.ok(interval >= Math.min(msUntilReset, 2 ** 31 - 1) - 1000);
+});
+
+test('only VIP accounts are polled once usage passes vipOnlyThreshold', () => {
+    const manager = createManager();
+    const accounts = [{ id: 'a', isVIP: false }, { id: 'b', isVIP: true }];
+
+    assert.deepStrictEqual(manager.prioritizeAccounts(accounts).map(account => account.id), ['b', 'a']);
+
+    manager.recordReads(950);
+    assert.deepStrictEqual(manager.prioritizeAccounts(accounts).map(account => account.id), ['b']);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Database = require('../../src/database/Database');
+const TokenWatcher = require('../../src/core/TokenWatcher');
+
+const MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+function createWatcher() {
+    const database = new Database({ path: ':memory:' });
+    database.open();
+    return new TokenWatcher({
+        database,
+        birdeyeService: { rateLimitManager: { getRemaining: () => 100 } },
+        publish: async () => {},
+        config: {
+            watch: {
+                checkIntervalMs: 60000,
+                batchSize: 100,
+                overviewRefreshMs: 300000,
+                birdeyeReserve: 10,
+                hysteresis: 0.05
+            }
+        }
+    });
+}
+
+// Feeds values through evaluate() like check() does, returning which fired
+function run(watcher, watch, values) {
+    let current = { ...watch };
+    return values.map((value, index) => {
+        const result = watcher.evaluate(current, value, index);
+        current = {
+            ...current,
+            armed: result.state.armed ? 1 : 0,
+            reference: result.state.reference,
+            triggered_at: result.state.triggeredAt
+        };
+        return result.fired;
+    });
+}
+
+const watch = (condition, threshold) => ({ id: 1, mint: MINT, condition, threshold, armed: 1, reference: null, triggered_at: null });
+
+test('price_above fires once, then waits until the price is back below the hysteresis band', () => {
+    const watcher = createWatcher();
+
+    // Threshold 1.00 with 5% hysteresis re-arms below 0.95
+    assert.deepStrictEqual(
+        run(watcher, watch('price_above', 1), [0.9, 1.0, 1.2, 0.97, 1.05, 0.94, 1.01]),
+        [false, true, false, false, false, false, true]
+    );
+});
+
+test('price_below mirrors the band above the threshold', () => {
+    const watcher = createWatcher();
+
+    assert.deepStrictEqual(
+        run(watcher, watch('price_below', 1), [1.1, 0.99, 1.03, 0.9, 1.06, 0.98]),
+        [false, true, false, false, false, true]
+    );
+});
+
+test('change watches rise for positive thresholds and fall for negative ones', () => {
+    const watcher = createWatcher();
+
+    assert.deepStrictEqual(run(watcher, watch('change', 20), [5, 25, 19.5, 18, 21]), [false, true, false, false, true]);
+    assert.deepStrictEqual(run(watcher, watch('change', -20), [-5, -25, -19.5, -18, -21]), [false, true, false, false, true]);
+});
+
+test('liquidity_drop measures from the peak since the last alert', () => {
+    const watcher = createWatcher();
+
+    // 30% drop: peak 200 -> 140 fires; the reference moves to 140
+    assert.deepStrictEqual(
+        run(watcher, watch('liquidity_drop', 30), [100, 200, 150, 140, 120, 98]),
+        [false, false, false, true, false, true]
+    );
+});
+
+test('holders_change needs a full move away from the count at the last alert', () => {
+    const watcher = createWatcher();
+
+    assert.deepStrictEqual(
+        run(watcher, watch('holders_change', 10), [1000, 1050, 1100, 1150, 990, 1080]),
+        [false, false, true, false, true, false]
+    );
+});
+
+test('a level condition that already holds when added waits for a fresh crossing', () => {
+    const watcher = createWatcher();
+
+    const stored = watcher.addWatch(
+        { guildId: 'guild-1', userId: 'user-1', channelId: null, mint: MINT, symbol: 'BONK', condition: 'price_above', threshold: 1 },
+        { price: 1.5 }
+    );
+
+    assert.strictEqual(stored.armed, 0);
+    assert.deepStrictEqual(run(watcher, stored, [1.2, 0.9, 1.1]), [false, false, true]);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Database = require('../../src/database/Database');
+const WalletPnLTracker = require('../../src/core/WalletPnLTracker');
+
+const WALLET = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const TOKEN = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const SOL = 'So11111111111111111111111111111111111111112';
+
+function createTracker(prices = {}) {
+    const database = new Database({ path: ':memory:' });
+    database.open();
+    return new WalletPnLTracker({
+        database,
+        priceService: {
+            getPrice: async mint => (prices[mint] ? { price: prices[mint], stale: false } : null)
+        },
+        tokenDataService: { getTokenInfo: async () => ({ symbol: 'BONK' }) }
+    });
+}
+
+function trade(side, amount, usdValue, tradedAt) {
+    return { side, mint: TOKEN, symbol: 'BONK', amount, usd_value: usdValue, traded_at: tradedAt };
+}
+
+function swap(signature, sent, received, timestamp) {
+    return {
+        signature,
+        timestamp,
+        tokenSent: { mint: sent.mint, symbol: sent.symbol, amount: sent.amount, usdValue: sent.usdValue },
+        tokenReceived: { mint: received.mint, symbol: received.symbol, amount: received.amount, usdValue: received.usdValue }
+    };
+}
+
+test('a sell realizes proceeds against the average cost of the part sold', () => {
+    const tracker = createTracker();
+
+    const { positions, realizations } = tracker.replay([
+        trade('buy', 100, 100, 1),
+        trade('buy', 100, 300, 2),
+        trade('sell', 50, 150, 3)
+    ]);
+
+    // Average cost is $2 per token: 50 sold for $150 realizes $50
+    assert.deepStrictEqual(realizations, [{ mint: TOKEN, pnl: 50, at: 3 }]);
+    assert.strictEqual(positions[0].size, 150);
+    assert.strictEqual(positions[0].cost, 300);
+});
+
+test('selling more than the ledger holds only realizes the covered part', () => {
+    const tracker = createTracker();
+
+    const { positions, realizations } = tracker.replay([
+        trade('buy', 10, 10, 1),
+        trade('sell', 40, 80, 2)
+    ]);
+
+    // 10 of the 40 had a known basis: $20 of proceeds against $10 of cost
+    assert.deepStrictEqual(realizations, [{ mint: TOKEN, pnl: 10, at: 2 }]);
+    assert.deepStrictEqual(positions, []);
+});
+
+test('transfers out remove basis without realizing anything', () => {
+    const tracker = createTracker();
+
+    const { positions, realizations } = tracker.replay([
+        trade('transfer_in', 100, 50, 1),
+        trade('transfer_out', 60, null, 2)
+    ]);
+
+    assert.deepStrictEqual(realizations, []);
+    assert.strictEqual(positions[0].size, 40);
+    assert.strictEqual(positions[0].cost, 20);
+});
+
+test('swaps are recorded once per signature, with token-to-token swaps as a sell and a buy', async () => {
+    const tracker = createTracker();
+    const OTHER = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1w';
+    const buy = swap('sig-buy', { mint: SOL, symbol: 'SOL', amount: 1, usdValue: 150 }, { mint: TOKEN, symbol: 'BONK', amount: 1000 }, 100);
+    const rotate = swap('sig-rotate', { mint: TOKEN, symbol: 'BONK', amount: 500, usdValue: 120 }, { mint: OTHER, symbol: 'OTHER', amount: 10 }, 200);
+
+    assert.strictEqual(await tracker.recordTransaction({ signature: 'sig-buy' }, WALLET, buy), 1);
+    assert.strictEqual(await tracker.recordTransaction({ signature: 'sig-buy' }, WALLET, buy), 0);
+    assert.strictEqual(await tracker.recordTransaction({ signature: 'sig-rotate' }, WALLET, rotate), 2);
+
+    const trades = tracker.repository.getTrades(WALLET);
+    assert.deepStrictEqual(trades.map(row => [row.side, row.mint, row.usd_value]), [
+        ['buy', TOKEN, 150],
+        ['sell', TOKEN, 120],
+        ['buy', OTHER, 120]
+    ]);
+});
+
+test('token transfers are booked by direction and priced from PriceService when Helius has no price', async () => {
+    const tracker = createTracker({ [TOKEN]: 0.002 });
+
+    const recorded = await tracker.recordTransaction({
+        signature: 'sig-transfer',
+        timestamp: 100,
+        tokenTransfers: [
+            { mint: TOKEN, fromUserAccount: 'someone', toUserAccount: WALLET, tokenAmount: 1000 },
+            { mint: SOL, fromUserAccount: WALLET, toUserAccount: 'someone', tokenAmount: 1 }
+        ]
+    }, WALLET);
+
+    assert.strictEqual(recorded, 1);
+    const [row] = tracker.repository.getTrades(WALLET);
+    assert.strictEqual(row.side, 'transfer_in');
+    assert.strictEqual(row.usd_value, 2);
+    assert.strictEqual(row.traded_at, 100000);
+});
+
+test('getReport marks open positions at current prices and sums realized PnL in the period', async () => {
+    const tracker = createTracker({ [TOKEN]: 0.5 });
+    const now = Date.now();
+    const record = (signature, side, amount, usdValue, tradedAt) => tracker.repository.recordTrade({
+        walletAddress: WALLET, signature, mint: TOKEN, symbol: 'BONK', side, amount, usdValue, tradedAt
+    });
+
+    record('old-buy', 'buy', 100, 20, now - 40 * 24 * 60 * 60 * 1000);
+    record('old-sell', 'sell', 50, 30, now - 35 * 24 * 60 * 60 * 1000);
+    record('new-sell', 'sell', 25, 15, now - 60 * 60 * 1000);
+
+    const report = await tracker.getReport(WALLET, '7d');
+
+    // Only the recent sell is in the period: $15 proceeds on $5 of basis
+    assert.strictEqual(report.realized, 10);
+    assert.strictEqual(report.closedTrades, 1);
+    assert.strictEqual(report.winRate, 1);
+    assert.strictEqual(report.positions.length, 1);
+    assert.strictEqual(report.positions[0].size, 25);
+    assert.strictEqual(report.positions[0].value, 12.5);
+    assert.strictEqual(report.unrealized, 7.5);
+    assert.strictEqual(report.totalPnL, 17.5);
+    assert.strictEqual(report.tradeCount, 1);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Database = require('../../src/database/Database');
+const WebhookQueue = require('../../src/core/WebhookQueue');
+
+const config = {
+    webhookQueue: {
+        pollIntervalMs: 1000,
+        maxAttempts: 3,
+        baseRetryDelayMs: 5000,
+        maxRetryDelayMs: 8000,
+        retentionDays: 7
+    }
+};
+
+function createQueue(handler) {
+    const database = new Database({ path: ':memory:' });
+    database.open();
+    return new WebhookQueue({ database, handler, config });
+}
+
+function getRow(queue, signature) {
+    return queue.repository.db.prepare('SELECT * FROM webhook_queue WHERE signature = ?').get(signature);
+}
+
+test('enqueue stores each signature once and skips transactions without one', () => {
+    const queue = createQueue(async () => {});
+
+    const first = queue.enqueue([{ signature: 'sig-1' }, { signature: 'sig-2' }, {}]);
+    const second = queue.enqueue([{ signature: 'sig-1' }]);
+
+    assert.deepStrictEqual(first, { queued: 2, duplicates: 0, skipped: 1 });
+    assert.deepStrictEqual(second, { queued: 0, duplicates: 1, skipped: 0 });
+    assert.strictEqual(queue.getStats().pending, 2);
+});
+
+test('claimNext hands out due items oldest first and marks them processing', () => {
+    const queue = createQueue(async () => {});
+    queue.repository.enqueue('later', { signature: 'later' }, 2000);
+    queue.repository.enqueue('sooner', { signature: 'sooner' }, 1000);
+
+    assert.strictEqual(queue.repository.claimNext(500), null);
+
+    const item = queue.repository.claimNext(3000);
+    assert.strictEqual(item.signature, 'sooner');
+    assert.strictEqual(item.attempts, 1);
+    assert.deepStrictEqual(item.transaction, { signature: 'sooner' });
+    assert.strictEqual(getRow(queue, 'sooner').status, 'processing');
+
+    assert.strictEqual(queue.repository.claimNext(3000).signature, 'later');
+    assert.strictEqual(queue.repository.claimNext(3000), null);
+});
+
+test('a successful handler marks the item delivered', async () => {
+    const handled = [];
+    const queue = createQueue(async transaction => handled.push(transaction.signature));
+    queue.enqueue([{ signature: 'sig-1' }]);
+
+    await queue.processItem(queue.repository.claimNext());
+
+    assert.deepStrictEqual(handled, ['sig-1']);
+    assert.strictEqual(getRow(queue, 'sig-1').status, 'delivered');
+});
+
+test('failures are retried with exponential backoff capped at maxRetryDelayMs', async () => {
+    const queue = createQueue(async () => {
+        throw new Error('RPC down');
+    });
+    queue.enqueue([{ signature: 'sig-1' }]);
+
+    const farFuture = Date.now() + 60 * 60 * 1000;
+
+    const before = Date.now();
+    await queue.processItem(queue.repository.claimNext());
+    let row = getRow(queue, 'sig-1');
+    assert.strictEqual(row.status, 'pending');
+    assert.strictEqual(row.last_error, 'RPC down');
+    assert.ok(row.next_attempt_at >= before + 5000 && row.next_attempt_at <= Date.now() + 5000);
+
+    // Not handed out again before its retry time
+    assert.strictEqual(queue.repository.claimNext(before), null);
+
+    await queue.processItem(queue.repository.claimNext(farFuture));
+    row = getRow(queue, 'sig-1');
+    assert.strictEqual(row.status, 'pending');
+    assert.ok(row.next_attempt_at - Date.now() <= 8000 && row.next_attempt_at - before >= 8000);
+
+    await queue.processItem(queue.repository.claimNext(farFuture));
+    row = getRow(queue, 'sig-1');
+    assert.strictEqual(row.status, 'failed');
+    assert.strictEqual(row.attempts, 3);
+    assert.strictEqual(queue.repository.claimNext(farFuture), null);
+});
+
+test('getRetryDelay doubles per attempt up to the cap', () => {
+    const queue = createQueue(async () => {});
+
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempts => queue.getRetryDelay(attempts)), [5000, 8000, 8000, 8000]);
+});
+
+test('resetInFlight returns items a crash left processing to the queue', () => {
+    const queue = createQueue(async () => {});
+    queue.enqueue([{ signature: 'sig-1' }, { signature: 'sig-2' }]);
+    queue.repository.claimNext();
+
+    assert.strictEqual(queue.getStats().processing, 1);
+    assert.strictEqual(queue.repository.resetInFlight(), 1);
+    assert.deepStrictEqual(queue.getStats(), { pending: 2, processing: 0, delivered: 0, failed: 0 });
+
+    // The resumed item keeps its attempt count
+    const resumed = [queue.repository.claimNext(), queue.repository.claimNext()]
+        .find(item => item.signature === 'sig-1');
+    assert.strictEqual(resumed.attempts, 2);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const twilio = require('twilio');
+
+const WebhookServer = require('../../src/core/WebhookServer');
+
+const AUTH_TOKEN = 'test-auth-token';
+const PUBLIC_URL = 'https://bot.example.com/webhooks/twilio';
+const params = { From: '+15551234567', Body: 'STOP' };
+
+function createServer(twilioConfig = {}, onInboundSMS = async () => null) {
+    return new WebhookServer({
+        config: {
+            server: { port: 0, heliusWebhookPath: '/webhooks/helius', twilioWebhookPath: '/webhooks/twilio', maxBodyBytes: 1024 * 1024 },
+            helius: { webhookSecret: 'helius-secret' },
+            twilio: { authToken: AUTH_TOKEN, webhookUrl: PUBLIC_URL, ...twilioConfig }
+        },
+        onHeliusTransactions: async () => ({}),
+        onInboundSMS
+    });
+}
+
+const sign = (url, body = params, token = AUTH_TOKEN) => twilio.getExpectedTwilioSignature(token, url, body);
+
+function request(headers, url = '/webhooks/twilio') {
+    return { headers: { host: 'localhost:3000', ...headers }, url };
+}
+
+test('a signature over the configured public URL and params is accepted', () => {
+    const server = createServer();
+
+    assert.strictEqual(server.isValidTwilioRequest(request({ 'x-twilio-signature': sign(PUBLIC_URL) }), params), true);
+});
+
+test('signatures over other params, another URL or another token are rejected', () => {
+    const server = createServer();
+
+    assert.strictEqual(server.isValidTwilioRequest(request({ 'x-twilio-signature': sign(PUBLIC_URL) }), { ...params, Body: 'START' }), false);
+    assert.strictEqual(server.isValidTwilioRequest(request({ 'x-twilio-signature': sign('https://evil.example.com/webhooks/twilio') }), params), false);
+    assert.strictEqual(server.isValidTwilioRequest(request({ 'x-twilio-signature': sign(PUBLIC_URL, params, 'other-token') }), params), false);
+});
+
+test('requests without a signature, or without an auth token configured, are rejected', () => {
+    assert.strictEqual(createServer().isValidTwilioRequest(request({}), params), false);
+
+    const server = createServer({ authToken: null });
+    assert.strictEqual(server.isValidTwilioRequest(request({ 'x-twilio-signature': sign(PUBLIC_URL) }), params), false);
+});
+
+test('without a configured URL the signed URL is rebuilt from the proxy headers', () => {
+    const server = createServer({ webhookUrl: null });
+    const headers = { host: 'bot.example.com', 'x-forwarded-proto': 'https' };
+
+    assert.strictEqual(server.isValidTwilioRequest(request({ ...headers, 'x-twilio-signature': sign(PUBLIC_URL) }), params), true);
+    assert.strictEqual(server.isValidTwilioRequest(request({ host: 'bot.example.com', 'x-twilio-signature': sign(PUBLIC_URL) }), params), false);
+});
+
+test('the Twilio route answers signed requests with TwiML and refuses unsigned ones', async () => {
+    const received = [];
+    const server = createServer({}, async message => {
+        received.push(message);
+        return 'You are unsubscribed';
+    });
+    await server.start();
+
+    try {
+        const url = `http://localhost:${server.server.address().port}/webhooks/twilio`;
+        const post = headers => fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+            body: new URLSearchParams(params).toString()
+        });
+
+        const rejected = await post({ 'X-Twilio-Signature': sign(`${PUBLIC_URL}?forged=1`) });
+        assert.strictEqual(rejected.status, 403);
+        assert.deepStrictEqual(received, []);
+
+        const accepted = await post({ 'X-Twilio-Signature': sign(PUBLIC_URL) });
+        assert.strictEqual(accepted.status, 200);
+        assert.match(await accepted.text(), /<Message>You are unsubscribed<\/Message>/);
+        assert.deepStrictEqual(received, [{ from: params.From, body: params.Body }]);
+        assert.strictEqual(server.stats.rejected, 1);
+    } finally {
+        await server.stop();
+    }
+});
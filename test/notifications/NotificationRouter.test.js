@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const NotificationRouter = require('../../src/notifications/NotificationRouter');
+
+function recordingTransport(name, fail = false) {
+    return {
+        name,
+        sent: [],
+        async send(event, rule) {
+            if (fail) throw new Error(`${name} is down`);
+            this.sent.push({ event, rule });
+        }
+    };
+}
+
+const event = {
+    type: 'wallet_swap',
+    targets: [{ guildId: 'guild-1', message: { content: 'swap' } }],
+    text: 'swap',
+    data: { usdValue: 2500, ownerIds: ['user-1'] }
+};
+
+test('dispatch keeps delivering after a failed transport and does not throw', async () => {
+    const router = new NotificationRouter({
+        rules: [
+            { events: ['wallet_swap'], transport: 'discord_dm', recipients: 'wallet_owner' },
+            { events: ['wallet_swap'], transport: 'discord_channel', channel: 'wallets' },
+            { events: ['*'], transport: 'sms', recipients: 'subscribers' }
+        ]
+    });
+    const dm = recordingTransport('discord_dm', true);
+    const channel = recordingTransport('discord_channel');
+    const sms = recordingTransport('sms');
+    [dm, channel, sms].forEach(transport => router.registerTransport(transport));
+
+    await router.dispatch(event);
+
+    assert.strictEqual(channel.sent.length, 1);
+    assert.strictEqual(sms.sent.length, 1);
+});
+
+test('dispatch rejects unknown event types', async () => {
+    const router = new NotificationRouter({ rules: [] });
+    await assert.rejects(router.dispatch({ ...event, type: 'nope' }), /Unknown notification event/);
+});
+
+test('minUsdValue rules skip events below the threshold', async () => {
+    const router = new NotificationRouter({
+        rules: [{ events: ['wallet_swap'], transport: 'discord_channel', channel: 'wallets', minUsdValue: 5000 }]
+    });
+    const channel = recordingTransport('discord_channel');
+    router.registerTransport(channel);
+
+    await router.dispatch(event);
+
+    assert.strictEqual(channel.sent.length, 0);
+});
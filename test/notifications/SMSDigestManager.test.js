@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Database = require('../../src/database/Database');
+const SMSDigestManager = require('../../src/notifications/SMSDigestManager');
+
+const MINUTE = 60 * 1000;
+const subscriber = { discord_user_id: 'user-1', phone: '+15551234567' };
+
+function createManager(subscription = {}, overrides = {}) {
+    const database = new Database({ path: ':memory:' });
+    database.open();
+    const sent = [];
+    const manager = new SMSDigestManager({
+        database,
+        config: {
+            notifications: {
+                sms: { maxPerHour: 2, flushIntervalMs: MINUTE, digestMaxLength: 1600, digestMaxAgeMs: 24 * 60 * MINUTE, ...overrides }
+            }
+        },
+        sendSMS: async (message, phone) => {
+            sent.push({ message, phone });
+            return true;
+        },
+        getSubscription: () => ({ timezone: 'UTC', ...subscription }),
+        getSubscribers: async () => [subscriber]
+    });
+    return { manager, sent };
+}
+
+const at = time => Date.parse(`2026-03-10T${time}:00Z`);
+const event = (text, type = 'tweet') => ({ type, text });
+
+test('isQuietHours handles windows that wrap past midnight and the subscriber\'s timezone', () => {
+    const { manager } = createManager();
+    const overnight = { quietStart: '22:00', quietEnd: '07:00', timezone: 'UTC' };
+
+    assert.strictEqual(manager.isQuietHours(overnight, at('23:30')), true);
+    assert.strictEqual(manager.isQuietHours(overnight, at('06:59')), true);
+    assert.strictEqual(manager.isQuietHours(overnight, at('07:00')), false);
+    assert.strictEqual(manager.isQuietHours(overnight, at('12:00')), false);
+
+    assert.strictEqual(manager.isQuietHours({ quietStart: '13:00', quietEnd: '14:00', timezone: 'UTC' }, at('13:15')), true);
+    // 04:00 UTC is 23:00 the previous evening in New York (EST)
+    assert.strictEqual(manager.isQuietHours({ ...overnight, timezone: 'America/New_York' }, at('04:00')), true);
+    assert.strictEqual(manager.isQuietHours({ ...overnight, timezone: 'America/New_York' }, at('13:00')), false);
+
+    assert.strictEqual(manager.isQuietHours({ quietStart: '22:00', quietEnd: '22:00' }, at('22:30')), false);
+    assert.strictEqual(manager.isQuietHours({}, at('22:30')), false);
+});
+
+test('parseTime and isValidTimezone reject malformed input', () => {
+    assert.strictEqual(SMSDigestManager.parseTime('7:05'), 425);
+    assert.strictEqual(SMSDigestManager.parseTime('23:59'), 1439);
+    assert.strictEqual(SMSDigestManager.parseTime('24:00'), null);
+    assert.strictEqual(SMSDigestManager.parseTime('noon'), null);
+
+    assert.strictEqual(SMSDigestManager.isValidTimezone('Europe/Berlin'), true);
+    assert.strictEqual(SMSDigestManager.isValidTimezone('Mars/Olympus'), false);
+});
+
+test('alerts during quiet hours are held, and flushed as one digest once they end', async () => {
+    const { manager, sent } = createManager({ quietStart: '22:00', quietEnd: '07:00' });
+
+    assert.strictEqual(await manager.deliver(subscriber, event('first alert'), at('23:00')), false);
+    assert.strictEqual(await manager.deliver(subscriber, event('second alert'), at('23:30')), false);
+
+    await manager.flush(at('06:00'));
+    assert.deepStrictEqual(sent, []);
+
+    await manager.flush(at('07:05'));
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].phone, subscriber.phone);
+    assert.strictEqual(
+        sent[0].message,
+        '📬 kek-monitor digest: 2 alerts while you were away\n\n• first alert\n\n• second alert'
+    );
+    assert.strictEqual(manager.repository.countPending(), 0);
+
+    await manager.flush(at('07:10'));
+    assert.strictEqual(sent.length, 1);
+});
+
+test('VIP tweets break through quiet hours only for subscribers who opted in', async () => {
+    const quiet = { quietStart: '22:00', quietEnd: '07:00' };
+
+    const optedIn = createManager({ ...quiet, vipBreakthrough: true });
+    assert.strictEqual(await optedIn.manager.deliver(subscriber, event('vip', 'vip_tweet'), at('23:00')), true);
+    assert.strictEqual(await optedIn.manager.deliver(subscriber, event('regular'), at('23:00')), false);
+
+    const optedOut = createManager(quiet);
+    assert.strictEqual(await optedOut.manager.deliver(subscriber, event('vip', 'vip_tweet'), at('23:00')), false);
+});
+
+test('the hourly cap holds further alerts until the oldest send is an hour old', async () => {
+    const { manager, sent } = createManager();
+
+    assert.strictEqual(await manager.deliver(subscriber, event('one'), at('12:00')), true);
+    assert.strictEqual(await manager.deliver(subscriber, event('two'), at('12:10')), true);
+    assert.strictEqual(await manager.deliver(subscriber, event('three'), at('12:20')), false);
+
+    await manager.flush(at('12:30'));
+    assert.strictEqual(sent.length, 2);
+
+    await manager.flush(at('13:01'));
+    assert.strictEqual(sent.length, 3);
+    assert.match(sent[2].message, /1 alert while you were away\n\n• three$/);
+});
+
+test('a subscriber\'s own hourly cap overrides the default, and 0 disables it', async () => {
+    const { manager } = createManager({ maxSmsPerHour: 0 });
+
+    assert.strictEqual(manager.getHourlyCap({ maxSmsPerHour: 5 }), 5);
+    assert.strictEqual(manager.getHourlyCap({}), 2);
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(await manager.deliver(subscriber, event(`alert ${i}`), at('12:00')), true);
+    }
+});
+
+test('held items older than digestMaxAgeMs are dropped instead of sent', async () => {
+    const { manager, sent } = createManager({ quietStart: '22:00', quietEnd: '07:00' }, { digestMaxAgeMs: 60 * MINUTE });
+
+    await manager.deliver(subscriber, event('stale'), at('01:00'));
+    await manager.deliver(subscriber, event('fresh'), at('06:30'));
+    await manager.flush(at('07:00'));
+
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0].message, /1 alert while you were away\n\n• fresh$/);
+});
+
+test('long digests are trimmed to digestMaxLength with a count of what was left out', () => {
+    const { manager } = createManager({}, { digestMaxLength: 300 });
+    const items = Array.from({ length: 10 }, (_, index) => ({ message: `alert number ${index} ${'x'.repeat(40)}` }));
+
+    const digest = manager.buildDigest(items);
+
+    assert.ok(digest.length <= 300);
+    assert.match(digest, /^📬 kek-monitor digest: 10 alerts/);
+    assert.match(digest, /\.\.\.and \d+ more$/);
+    const shown = digest.split('\n\n').filter(line => line.startsWith('•')).length;
+    assert.ok(digest.endsWith(`...and ${10 - shown} more`));
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { extractSolanaAddresses, extractFromUrl, isSolanaAddress } = require('../../src/utils/solanaAddress');
+const tweets = require('../fixtures/tweets.json');
+
+for (const { name, tweet, includes, expected } of tweets) {
+    test(`extractSolanaAddresses: ${name}`, () => {
+        assert.deepStrictEqual(extractSolanaAddresses(tweet, includes), expected);
+    });
+}
+
+test('isSolanaAddress accepts 32-byte keys only', () => {
+    assert.strictEqual(isSolanaAddress('So11111111111111111111111111111111111111112'), true);
+    assert.strictEqual(isSolanaAddress('DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'), true);
+    assert.strictEqual(isSolanaAddress('DezXAZ8z7PnrnRJjz3wXBoRgixCa6xj'), false);
+    assert.strictEqual(isSolanaAddress('0ezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'), false);
+    assert.strictEqual(isSolanaAddress(null), false);
+});
+
+test('extractFromUrl ignores hosts that do not carry mints', () => {
+    assert.deepStrictEqual(extractFromUrl('https://example.com/token/DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'), []);
+    assert.deepStrictEqual(extractFromUrl('not a url'), []);
+});
+
+test('extractFromUrl skips quote mints', () => {
+    assert.deepStrictEqual(
+        extractFromUrl('https://jup.ag/swap/USDT-Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'),
+        []
+    );
+});
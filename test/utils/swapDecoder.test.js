@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { decodeSwap, decodeTransfer, WSOL_MINT } = require('../../src/utils/swapDecoder');
+
+const WALLET = 'J4WLyiyTbmSF2wsRqgzKXpFf79P8jHdXq3BxfzcvRk1z';
+const PNUT = '2qEHjDLDLbuBgRYvsxhc5D6uDWAivNFZGan56P1tpump';
+const WIF = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+const fixture = name => require(`../fixtures/helius/${name}.json`);
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('pump.fun buy: SOL out, token in, platform and bot fees split off', () => {
+    const swap = decodeSwap(fixture('pumpfun-buy'), WALLET, { solPrice: 150 });
+
+    assert.strictEqual(swap.side, 'buy');
+    assert.strictEqual(swap.baseMint, WSOL_MINT);
+    assert.deepStrictEqual(swap.tokenSent, { mint: WSOL_MINT, amount: 1.5, symbol: 'SOL', decimals: 9, usdValue: 225 });
+    assert.deepStrictEqual(swap.tokenReceived, { mint: PNUT, amount: 5123456.789012, symbol: null, decimals: 6, usdValue: null });
+    assert.strictEqual(swap.usdValue, 225);
+    assert.deepStrictEqual(swap.fees.map(fee => fee.amount), [0.015, 0.015]);
+    assertClose(swap.networkFee, 0.000105);
+    assert.deepStrictEqual(swap.route, ['PUMP_FUN']);
+});
+
+test('Raydium sell: wrapped SOL proceeds count once', () => {
+    const swap = decodeSwap(fixture('raydium-sell'), WALLET, { solPrice: 150 });
+
+    assert.strictEqual(swap.side, 'sell');
+    assert.strictEqual(swap.baseMint, WSOL_MINT);
+    assert.strictEqual(swap.tokenSent.mint, WIF);
+    assert.strictEqual(swap.tokenSent.amount, 250.5);
+    assert.strictEqual(swap.tokenSent.decimals, 6);
+    assert.strictEqual(swap.tokenReceived.mint, WSOL_MINT);
+    assert.strictEqual(swap.tokenReceived.amount, 3.2);
+    assertClose(swap.usdValue, 480);
+    assert.deepStrictEqual(swap.fees, []);
+    assert.deepStrictEqual(swap.route, ['RAYDIUM']);
+});
+
+test('Jupiter token-to-token: the SOL hop nets out and the swap has no base value', () => {
+    const swap = decodeSwap(fixture('jupiter-token-to-token'), WALLET, { solPrice: 150 });
+
+    assert.strictEqual(swap.side, 'swap');
+    assert.strictEqual(swap.baseMint, null);
+    assert.strictEqual(swap.tokenSent.mint, BONK);
+    assert.strictEqual(swap.tokenSent.amount, 12000000);
+    assert.strictEqual(swap.tokenSent.decimals, 5);
+    assert.strictEqual(swap.tokenReceived.mint, WIF);
+    assert.strictEqual(swap.tokenReceived.amount, 140.25);
+    assert.strictEqual(swap.usdValue, null);
+    assert.deepStrictEqual(swap.deltas.map(delta => delta.mint).sort(), [BONK, WIF].sort());
+    assert.deepStrictEqual(swap.route, ['RAYDIUM', 'ORCA']);
+});
+
+test('decodeSwap returns null for one-way transfers', () => {
+    assert.strictEqual(decodeSwap(fixture('spl-token-transfer'), WALLET), null);
+    assert.strictEqual(decodeSwap(fixture('sol-transfer'), WALLET), null);
+});
+
+test('token transfer: token sent, recipient account rent left out', () => {
+    const transfer = decodeTransfer(fixture('spl-token-transfer'), WALLET, { solPrice: 150 });
+
+    assert.strictEqual(transfer.type, 'TRANSFER');
+    assert.deepStrictEqual(transfer.sent, [{ mint: BONK, amount: 1000000, symbol: null, decimals: 5, usdValue: null }]);
+    assert.deepStrictEqual(transfer.received, []);
+});
+
+test('SOL transfer: received by a wallet that did not pay the fee', () => {
+    const transfer = decodeTransfer(fixture('sol-transfer'), WALLET, { solPrice: 150 });
+
+    assert.deepStrictEqual(transfer.sent, []);
+    assert.deepStrictEqual(transfer.received, [{ mint: WSOL_MINT, amount: 2.5, symbol: 'SOL', decimals: 9, usdValue: 375 }]);
+});
+
+test('SOL transfer: the sender sees SOL going out', () => {
+    const transfer = decodeTransfer(fixture('sol-transfer'), '2ey6F95nPxKRk67CxisYGR9Ugpa63jUD17JJjDEwSfQB');
+
+    assert.deepStrictEqual(transfer.sent.map(leg => [leg.mint, leg.amount]), [[WSOL_MINT, 2.5]]);
+    assert.deepStrictEqual(transfer.received, []);
+});